@@ -0,0 +1,316 @@
+/**
+ * JavaScript client for the Eye Color Identifier API (/api/v1, described by /api/openapi.json).
+ * - Works wherever fetch, FormData and Blob exist: Node 18+ and browsers (CommonJS or a
+ *   global EyeColorClient from a script tag)
+ * - Images may be Blobs / Files, bytes (Buffer, Uint8Array, ArrayBuffer) or data URL / base64 strings
+ * - Failed requests reject with EyeColorApiError carrying the API's status and error code
+ *
+ *   const { createClient } = require('eye-color-client');
+ *   const client = createClient({ baseUrl: 'https://eyes.example.com' });
+ *   const result = await client.analyze(fs.readFileSync('eye.jpg'), { retention: 'none' });
+ *   console.log(result.generalColor.name);
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.EyeColorClient = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const API_PATH = '/api/v1';
+
+  /**
+   * @typedef {Blob | ArrayBuffer | ArrayBufferView | string} ImageInput
+   * Image bytes, a Blob / File, or a data URL / base64 string of a JPEG, PNG or WebP image
+   */
+
+  /**
+   * @typedef {Object} AnalyzeOptions
+   * @property {'auto'|'none'|'gray-world'|'white-patch'|'reference-card'} [whiteBalance]
+   * @property {string} [referenceCardHex] True color of a gray card in the photo, e.g. '#808080'
+   * @property {'kmeans'|'median-cut'} [clustering]
+   * @property {number} [numColors] Maximum number of iris colors
+   * @property {'ciede2000'|'cie94'|'cmc'|'cie76'} [metric]
+   * @property {string} [palette] Palette id, see listPalettes
+   * @property {'single'|'both'} [mode] both: a face or two-eye photo
+   * @property {boolean} [mirrored] The image is a mirrored selfie
+   * @property {'history'|'none'} [retention] none: the server keeps nothing
+   * @property {boolean} [save] true: save the scan to the history (see ownerToken)
+   * @property {string} [userId] Label stored with the scan
+   * @property {string} [sessionId] Label stored with the scan
+   * @property {boolean} [debug] Add debug: { requestId, timings } with per-stage milliseconds
+   */
+
+  /**
+   * @typedef {Object} ColorMatch
+   * @property {string} name
+   * @property {string} hex
+   * @property {number} distance
+   */
+
+  /**
+   * @typedef {Object} EyeResult
+   * @property {{ name: string, hex: string, description?: string }} generalColor
+   * @property {{ distribution: Object<string, number>, category: string, runnerUp: ?string, margin: number, ambiguous: boolean }} confidence
+   * @property {Array<{ hex: string, percentage: number, variance: number, shadeName: string, description?: string, pantoneMatches: ColorMatch[] }>} breakdown
+   * @property {Array<{ name: string, percentage: number, hex: string, description?: string }>} shadeBreakdown
+   * @property {ColorMatch[]} pantoneMatches
+   * @property {{ id: string, name: string }} palette
+   * @property {Object} segmentation
+   * @property {Object<string, number>} quality
+   * @property {Object} whiteBalance
+   * @property {Object} irisMap
+   * @property {Object} heterochromia
+   * @property {Object} [burst] Present for burst analyses
+   * @property {{ requestId: string, timings: Object<string, number> }} [debug] Present when requested
+   * @property {string} [scanId] Present when the scan was saved to the history
+   * @property {string} [ownerToken] Present when a new owner token was issued for the saved scan; send
+   *   it as the X-Owner-Token header (config.headers) to add to and read that history
+   */
+
+  /**
+   * @typedef {Object} BothEyesResult
+   * @property {'both'} mode
+   * @property {EyeResult} left
+   * @property {EyeResult} right
+   * @property {{ deltaE: ?number, metric: string, sameCategory: boolean, completeHeterochromia: boolean }} comparison
+   * @property {string} [scanId]
+   * @property {string} [ownerToken]
+   */
+
+  /**
+   * @typedef {Object} BatchItem
+   * @property {string} name
+   * @property {'ok'|'error'} status
+   * @property {EyeResult|BothEyesResult} [result]
+   * @property {{ status: number, code: string, message: string, reasons?: Array<{ code: string, message: string }> }} [error]
+   * @property {number} timingMs
+   */
+
+  /**
+   * @typedef {Object} BatchResponse
+   * @property {number} count
+   * @property {number} succeeded
+   * @property {number} failed
+   * @property {number} timingMs
+   * @property {BatchItem[]} results
+   */
+
+  /**
+   * @typedef {Object} PaletteSummary
+   * @property {string} id
+   * @property {string} name
+   * @property {?string} description
+   * @property {'bundled'|'uploaded'} source
+   * @property {number} colorCount
+   */
+
+  /**
+   * @typedef {Object} Palette
+   * @property {string} id
+   * @property {string} name
+   * @property {?string} description
+   * @property {'bundled'|'uploaded'} source
+   * @property {Array<{ name: string, hex: string }>} colors
+   */
+
+  /**
+   * Rejection of a failed request. code is the API's error code (e.g. IMAGE_QUALITY, RATE_LIMITED),
+   * or HTTP_<status> when the response was not an API error; details holds the rest of the error
+   * body, such as reasons for IMAGE_QUALITY or retryAfter for RATE_LIMITED.
+   */
+  class EyeColorApiError extends Error {
+    constructor(status, code, message, details) {
+      super(message);
+      this.name = 'EyeColorApiError';
+      this.status = status;
+      this.code = code;
+      this.details = details || {};
+    }
+  }
+
+  // MIME type from the leading bytes; the server refuses uploads declared as anything else
+  function sniffImageType(bytes) {
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'image/jpeg';
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return 'image/png';
+    if (bytes[8] === 0x57 && bytes[9] === 0x45 && bytes[10] === 0x42 && bytes[11] === 0x50) return 'image/webp';
+    return 'application/octet-stream';
+  }
+
+  function toBytes(data) {
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    return null;
+  }
+
+  /**
+   * A Blob for a multipart upload; type is sniffed for bytes and for Blobs without one
+   */
+  function toBlob(data, type) {
+    if (typeof Blob !== 'undefined' && data instanceof Blob) {
+      if (data.type) return data;
+      return data.slice(0, 16).arrayBuffer().then(function (head) {
+        return new Blob([data], { type: type || sniffImageType(new Uint8Array(head)) });
+      });
+    }
+    const bytes = toBytes(data);
+    if (!bytes) throw new TypeError('Expected a Blob, ArrayBuffer, typed array or Buffer');
+    return new Blob([bytes], { type: type || sniffImageType(bytes) });
+  }
+
+  function appendOptions(form, options) {
+    Object.keys(options).forEach(function (key) {
+      const value = options[key];
+      if (value !== undefined && value !== null) form.append(key, String(value));
+    });
+  }
+
+  function withoutUndefined(options) {
+    const copy = {};
+    Object.keys(options).forEach(function (key) {
+      if (options[key] !== undefined) copy[key] = options[key];
+    });
+    return copy;
+  }
+
+  /**
+   * Create a client.
+   * @param {Object} [config]
+   * @param {string} [config.baseUrl] Server origin, e.g. 'https://eyes.example.com' ('' for same-origin)
+   * @param {typeof fetch} [config.fetch] fetch implementation (default: the global fetch)
+   * @param {Object<string, string>} [config.headers] Extra headers sent with every request
+   */
+  function createClient(config) {
+    const settings = config || {};
+    const baseUrl = (settings.baseUrl || '').replace(/\/+$/, '') + API_PATH;
+    const fetchImpl = settings.fetch || (typeof fetch !== 'undefined' ? fetch : null);
+    const headers = settings.headers || {};
+    if (!fetchImpl) throw new TypeError('No fetch implementation: pass config.fetch');
+
+    function request(method, path, body) {
+      const init = { method: method, headers: Object.assign({}, headers) };
+      if (typeof FormData !== 'undefined' && body instanceof FormData) {
+        init.body = body;
+      } else if (body !== undefined) {
+        init.headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(body);
+      }
+      return fetchImpl(baseUrl + path, init).then(function (res) {
+        const isJson = /json/.test(res.headers.get('content-type') || '');
+        return (isJson ? res.json() : res.text()).then(function (data) {
+          if (res.ok) return data;
+          const error = (isJson && data && data.error) || {};
+          const details = Object.assign({}, error);
+          delete details.code;
+          delete details.message;
+          throw new EyeColorApiError(
+            res.status,
+            error.code || 'HTTP_' + res.status,
+            error.message || res.statusText || 'Request failed with status ' + res.status,
+            details
+          );
+        });
+      });
+    }
+
+    function imageRequest(path, field, images, options) {
+      const opts = options || {};
+      if (images.every(function (image) { return typeof image === 'string'; })) {
+        const body = withoutUndefined(opts);
+        body[field] = field === 'frames' ? images : images[0];
+        return request('POST', path, body);
+      }
+      return Promise.all(images.map(function (image) { return toBlob(image); })).then(function (blobs) {
+        const form = new FormData();
+        blobs.forEach(function (blob, i) { form.append(field, blob, 'image-' + i); });
+        appendOptions(form, opts);
+        return request('POST', path, form);
+      });
+    }
+
+    return {
+      /**
+       * Analyze one photo: a close-up of one eye, or a face with mode 'both'.
+       * Rejects with code IMAGE_QUALITY (details.reasons) when the photo fails the quality gate.
+       * @param {ImageInput} image
+       * @param {AnalyzeOptions} [options]
+       * @returns {Promise<EyeResult|BothEyesResult>}
+       */
+      analyze: function (image, options) {
+        return Promise.resolve().then(function () {
+          return imageRequest('/analyze', 'image', [image], options);
+        });
+      },
+
+      /**
+       * Analyze several frames of one eye together (burst capture); the result has burst details.
+       * @param {ImageInput[]} frames
+       * @param {AnalyzeOptions} [options]
+       * @returns {Promise<EyeResult>}
+       */
+      analyzeBurst: function (frames, options) {
+        return Promise.resolve().then(function () {
+          return imageRequest('/analyze/burst', 'frames', frames, options);
+        });
+      },
+
+      /**
+       * Analyze many images. Each entry is an image or { name, data }; options.archive may be a
+       * zip of images. Items fail on their own: check each result's status.
+       * @param {Array<ImageInput|{ name: string, data: ImageInput }>} images
+       * @param {AnalyzeOptions & { archive?: Blob|ArrayBuffer|ArrayBufferView }} [options]
+       * @returns {Promise<BatchResponse>}
+       */
+      analyzeBatch: function (images, options) {
+        const opts = Object.assign({}, options);
+        const archive = opts.archive;
+        delete opts.archive;
+        return Promise.resolve().then(function () {
+          const entries = (images || []).map(function (image, i) {
+            const named = image && typeof image === 'object' && 'data' in image;
+            return { name: named ? image.name : (image && image.name) || 'image-' + (i + 1), data: named ? image.data : image };
+          });
+          const uploads = entries.map(function (entry) { return toBlob(entry.data); });
+          if (archive) uploads.push(toBlob(archive, 'application/zip'));
+          return Promise.all(uploads).then(function (blobs) {
+            const form = new FormData();
+            entries.forEach(function (entry, i) { form.append('images', blobs[i], entry.name); });
+            if (archive) form.append('archive', blobs[entries.length], archive.name || 'images.zip');
+            appendOptions(form, opts);
+            return request('POST', '/analyze/batch', form);
+          });
+        });
+      },
+
+      /**
+       * Palettes available for shade names and matches
+       * @returns {Promise<PaletteSummary[]>}
+       */
+      listPalettes: function () {
+        return request('GET', '/palettes').then(function (data) { return data.palettes; });
+      },
+
+      /**
+       * A palette with its colors; rejects with PALETTE_NOT_FOUND for unknown ids
+       * @param {string} id
+       * @returns {Promise<Palette>}
+       */
+      getPalette: function (id) {
+        return request('GET', '/palettes/' + encodeURIComponent(id));
+      },
+
+      /**
+       * Upload a palette; rejects with INVALID_PALETTE (details.details lists the problems)
+       * @param {{ id: string, name: string, description?: string, colors: Array<{ name: string, hex: string }> }} definition
+       * @returns {Promise<PaletteSummary>}
+       */
+      registerPalette: function (definition) {
+        return request('POST', '/palettes', definition);
+      }
+    };
+  }
+
+  return { createClient: createClient, EyeColorApiError: EyeColorApiError };
+});
@@ -0,0 +1,175 @@
+/**
+ * Live alignment checks on downscaled camera frames (runs in the browser, no server round trip):
+ * - Centered: a dark pupil inside the guide (one eye) or a dark blob in each half (both eyes)
+ * - Size: iris radius from a radial walk out of the pupil, relative to the guide
+ * - Sharp: Laplacian variance of the luminance
+ * - Lighting: mean luminance inside the guide
+ * Input is the guide region only, already drawn to a small canvas.
+ */
+(function (global) {
+  const THRESHOLDS = {
+    minSharpness: 40,         // Laplacian variance (0-255 luminance) on the downscaled guide region
+    minLuminance: 0.18,
+    maxLuminance: 0.8,
+    maxPupilOffset: 0.3,      // pupil distance from the guide center, as a fraction of the guide radius
+    minPupilFraction: 0.003,  // dark pixels as a fraction of the guide area
+    maxPupilFraction: 0.2,
+    minIrisRatio: 0.28,       // iris radius / guide radius
+    maxIrisRatio: 0.95,
+    minEyeSpacing: 0.3        // both eyes: distance between pupils / guide width
+  };
+
+  const MESSAGES = {
+    centered: { single: 'Center your eye in the circle', both: 'Fit both eyes inside the frame' },
+    size: { tooSmall: 'Move closer', tooLarge: 'Move a little farther away' },
+    sharp: 'Hold still so the camera can focus',
+    lighting: { dark: 'Find brighter light', bright: 'Too bright — move away from direct light' }
+  };
+
+  function luminance(imageData) {
+    const { data, width, height } = imageData;
+    const lum = new Float32Array(width * height);
+    for (let i = 0; i < lum.length; i++) {
+      lum[i] = (0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]) / 255;
+    }
+    return lum;
+  }
+
+  // Inscribed ellipse for the one-eye circle; the whole box for the wide two-eye frame
+  function guideMask(width, height, mode) {
+    const mask = new Uint8Array(width * height);
+    const rx = width / 2;
+    const ry = height / 2;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const dx = (x + 0.5 - rx) / rx;
+        const dy = (y + 0.5 - ry) / ry;
+        mask[y * width + x] = mode === 'both' || dx * dx + dy * dy <= 1 ? 1 : 0;
+      }
+    }
+    return mask;
+  }
+
+  function percentile(values, p) {
+    const sorted = Array.from(values).sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  }
+
+  function laplacianVariance(lum, width, height, mask) {
+    let sum = 0, sumSq = 0, count = 0;
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        if (!mask[i]) continue;
+        const v = 255 * (4 * lum[i] - lum[i - 1] - lum[i + 1] - lum[i - width] - lum[i + width]);
+        sum += v;
+        sumSq += v * v;
+        count += 1;
+      }
+    }
+    return count ? sumSq / count - (sum / count) * (sum / count) : 0;
+  }
+
+  /**
+   * Centroid of pixels at or below threshold within [x0, x1) columns of the mask
+   */
+  function darkCentroid(lum, width, height, mask, threshold, x0, x1) {
+    let sx = 0, sy = 0, n = 0, area = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = x0; x < x1; x++) {
+        const i = y * width + x;
+        if (!mask[i]) continue;
+        area += 1;
+        if (lum[i] <= threshold) {
+          sx += x;
+          sy += y;
+          n += 1;
+        }
+      }
+    }
+    return n ? { x: sx / n, y: sy / n, fraction: n / area } : null;
+  }
+
+  /**
+   * Median distance from the pupil to where luminance first rises above the iris/sclera midpoint
+   */
+  function irisRadius(lum, width, height, pupil, limit) {
+    const radii = [];
+    for (let k = 0; k < 16; k++) {
+      const angle = (k / 16) * 2 * Math.PI;
+      let r = 1;
+      for (; r < Math.max(width, height); r++) {
+        const x = Math.round(pupil.x + r * Math.cos(angle));
+        const y = Math.round(pupil.y + r * Math.sin(angle));
+        if (x < 0 || y < 0 || x >= width || y >= height || lum[y * width + x] > limit) break;
+      }
+      radii.push(r);
+    }
+    return percentile(radii, 0.5);
+  }
+
+  /**
+   * Assess one frame of the guide region (ImageData). mode: 'single' or 'both'.
+   * Returns { ready, checks: { centered, size, sharp, lighting } with { ok, message }, anchor }
+   * where anchor is the pupil position (0-1) used to tell whether the eye is holding steady.
+   */
+  function assessFrame(imageData, mode) {
+    const t = THRESHOLDS;
+    const { width, height } = imageData;
+    const lum = luminance(imageData);
+    const mask = guideMask(width, height, mode);
+    const inside = lum.filter((v, i) => mask[i]);
+    const mean = inside.reduce((a, b) => a + b, 0) / inside.length;
+    const dark = Math.min(0.22, percentile(inside, 0.02) + 0.08);
+    const bright = percentile(inside, 0.9);
+    const checks = {};
+
+    checks.lighting = mean < t.minLuminance
+      ? { ok: false, message: MESSAGES.lighting.dark }
+      : mean > t.maxLuminance
+        ? { ok: false, message: MESSAGES.lighting.bright }
+        : { ok: true };
+    checks.sharp = laplacianVariance(lum, width, height, mask) >= t.minSharpness
+      ? { ok: true }
+      : { ok: false, message: MESSAGES.sharp };
+
+    let anchor = null;
+    const blobOk = blob => blob && blob.fraction >= t.minPupilFraction && blob.fraction <= t.maxPupilFraction;
+    if (mode === 'both') {
+      const left = darkCentroid(lum, width, height, mask, dark, 0, Math.floor(width / 2));
+      const right = darkCentroid(lum, width, height, mask, dark, Math.ceil(width / 2), width);
+      const found = blobOk(left) && blobOk(right);
+      checks.centered = found ? { ok: true } : { ok: false, message: MESSAGES.centered.both };
+      if (found) {
+        anchor = { x: (left.x + right.x) / 2 / width, y: (left.y + right.y) / 2 / height };
+        checks.size = (right.x - left.x) / width >= t.minEyeSpacing
+          ? { ok: true }
+          : { ok: false, message: MESSAGES.size.tooSmall };
+      } else {
+        checks.size = { ok: false, message: MESSAGES.size.tooSmall };
+      }
+    } else {
+      const pupil = darkCentroid(lum, width, height, mask, dark, 0, width);
+      const radius = width / 2;
+      const offset = pupil ? Math.hypot(pupil.x - width / 2, pupil.y - height / 2) / radius : Infinity;
+      const found = blobOk(pupil) && offset <= t.maxPupilOffset;
+      checks.centered = found ? { ok: true } : { ok: false, message: MESSAGES.centered.single };
+      if (found) {
+        anchor = { x: pupil.x / width, y: pupil.y / height };
+        const ratio = irisRadius(lum, width, height, pupil, (dark + bright) / 2) / radius;
+        checks.size = ratio < t.minIrisRatio
+          ? { ok: false, message: MESSAGES.size.tooSmall }
+          : ratio > t.maxIrisRatio
+            ? { ok: false, message: MESSAGES.size.tooLarge }
+            : { ok: true };
+      } else {
+        checks.size = { ok: false, message: MESSAGES.size.tooSmall };
+      }
+    }
+
+    const ready = Object.keys(checks).every(key => checks[key].ok);
+    return { ready, checks, anchor };
+  }
+
+  global.EyeAlignment = { assessFrame, THRESHOLDS };
+})(window);
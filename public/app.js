@@ -12,12 +12,129 @@
   const resultsContent = document.getElementById('results-content');
   const resultsError = document.getElementById('results-error');
   const newScanBtn = document.getElementById('new-scan-btn');
+  const resultsRetake = document.getElementById('results-retake');
+  const retakeReasons = document.getElementById('retake-reasons');
+  const retakeScanBtn = document.getElementById('retake-scan-btn');
+  const cameraWrapper = document.getElementById('camera-wrapper');
+  const cameraHint = document.getElementById('camera-hint');
+  const eyeGuide = document.getElementById('eye-guide');
+  const alignmentChecks = document.querySelectorAll('#alignment-checks li');
+  const autoCaptureToggle = document.getElementById('auto-capture-toggle');
+  const modeInputs = document.querySelectorAll('input[name="capture-mode"]');
+  const burstOption = document.getElementById('burst-option');
+  const burstToggle = document.getElementById('burst-toggle');
+  const onDeviceOption = document.getElementById('on-device-option');
+  const onDeviceToggle = document.getElementById('on-device-toggle');
+  const keepScanOption = document.getElementById('keep-scan-option');
+  const keepScanToggle = document.getElementById('keep-scan-toggle');
+  const developerOption = document.getElementById('developer-option');
+  const developerToggle = document.getElementById('developer-toggle');
+  const debugCard = document.getElementById('debug-card');
+  const debugOverlay = document.getElementById('debug-overlay');
+  const debugTimings = document.getElementById('debug-timings');
+  const privacyNote = document.getElementById('privacy-note');
+  const singleResults = document.getElementById('single-results');
+  const pairResults = document.getElementById('pair-results');
+  const exportCard = document.getElementById('export-card');
+  const exportButtons = document.querySelectorAll('.export-actions [data-export]');
+  const historySection = document.getElementById('history-section');
+  const historyList = document.getElementById('history-list');
+  const historyFilter = document.getElementById('history-filter');
+  const historyEmpty = document.getElementById('history-empty');
+  const historyError = document.getElementById('history-error');
+  const historyMoreBtn = document.getElementById('history-more-btn');
+  const historyTimelineCard = document.getElementById('history-timeline-card');
+  const historyTimeline = document.getElementById('history-timeline');
+  const resultsQueued = document.getElementById('results-queued');
+  const offlineQueueCard = document.getElementById('offline-queue');
+  const offlineQueueStatus = document.getElementById('offline-queue-status');
+  const offlineQueueList = document.getElementById('offline-queue-list');
+  const offlineQueueSyncBtn = document.getElementById('offline-queue-sync');
+  const installBtn = document.getElementById('install-btn');
+  const announcer = document.getElementById('announcer');
+  const resultsHeading = document.getElementById('results-heading');
+  const historyHeading = document.getElementById('history-heading');
+  const highContrastToggle = document.getElementById('high-contrast-toggle');
+  const visionSelect = document.getElementById('vision-select');
 
   const API_BASE = '';
+  // Versioned API; see /api/openapi.json
+  const API_URL = API_BASE + '/api/v1';
+
+  // Actionable guidance for the quality gate's reason codes (422 from /api/v1/analyze)
+  const RETAKE_TIPS = {
+    TOO_BLURRY: 'Hold the device steady and let the camera focus on your eye before capturing.',
+    OVEREXPOSED: 'Move away from direct light or turn off the flash — the image is too bright.',
+    UNDEREXPOSED: 'Find brighter, even light (facing a window works well) — the image is too dark.',
+    GLARE: 'Tilt the device slightly or move away from lamps to avoid reflections on your eye.',
+    IRIS_TOO_SMALL: 'Move the camera closer so your eye fills more of the circle.',
+    LOW_SEGMENTATION_CONFIDENCE: 'Center your eye in the circle and open it wide so the whole iris is visible.',
+    INSUFFICIENT_IRIS_PIXELS: 'Open your eye wider and keep eyelashes and eyelids out of the circle.',
+    EYES_NOT_FOUND: 'Face the camera straight on with both eyes open and inside the frame.'
+  };
+
+  const CAMERA_HINTS = {
+    single: 'Position your eye in the circle — hold the device at arm’s length',
+    both: 'Fit both eyes inside the frame — face the camera straight on'
+  };
 
   let stream = null;
   let currentFacingMode = 'user';
   let capturedDataUrl = null;
+  let capturedFrames = null;
+  let captureMode = 'single';
+  const guidanceCanvas = document.createElement('canvas');
+  let guidanceTimer = null;
+  let guidanceStarted = 0;
+  let readySince = null;
+  let lastAnchor = null;
+  let historyScans = [];
+  let historyTotal = 0;
+  let corePromise = null;
+  let debugOverlayUrl = null;
+  let queueSyncing = false;
+  let sendingEntryId = null;
+  let queueRetryTimer = null;
+  let installPrompt = null;
+
+  // Burst capture: frames spread over ~0.6 s, analyzed together by /api/v1/analyze/burst
+  const BURST_FRAME_COUNT = 5;
+  const BURST_INTERVAL_MS = 150;
+  // Live alignment guidance on a small copy of the guide region (see alignment.js)
+  const GUIDANCE_INTERVAL_MS = 150;
+  const STEADY_MS = 1000;          // checks must all hold this long before auto-capture
+  const MAX_ANCHOR_DRIFT = 0.06;   // pupil movement between checks (fraction of the guide) that counts as steady
+  const CAPTURE_ANYWAY_MS = 8000;  // manual capture is allowed after this even if checks never pass
+  const HISTORY_PAGE_SIZE = 12;
+  // Issued by the server with the first saved scan; the only key to this browser's history
+  const OWNER_TOKEN_KEY = 'eyeColorOwnerToken';
+  // Developer view: offered when the page is opened with ?dev, remembered once switched on
+  const DEVELOPER_KEY = 'eyeColorDeveloper';
+  const HIGH_CONTRAST_KEY = 'eyeColorHighContrast';
+  // Queued captures are retried this often while the server is unreachable or busy
+  const QUEUE_RETRY_MS = 30000;
+
+  function getOwnerToken() {
+  try {
+    return localStorage.getItem(OWNER_TOKEN_KEY);
+  } catch (err) {
+    return null;
+  }
+  }
+
+  function setOwnerToken(token) {
+  try {
+    localStorage.setItem(OWNER_TOKEN_KEY, token);
+  } catch (err) {}
+  }
+
+  // Headers that prove this browser owns its scans; sent as a header so the token stays out of URLs and logs
+  function ownerHeaders(headers) {
+  const token = getOwnerToken();
+  const all = Object.assign({}, headers);
+  if (token) all['X-Owner-Token'] = token;
+  return all;
+  }
 
   function showSection(section) {
   cameraSection.classList.add('hidden');
@@ -26,7 +143,24 @@
   resultsLoading.classList.add('hidden');
   resultsContent.classList.add('hidden');
   resultsError.classList.add('hidden');
+  resultsRetake.classList.add('hidden');
+  resultsQueued.classList.add('hidden');
+  historySection.classList.add('hidden');
   section.classList.remove('hidden');
+  // The control that was used is usually hidden now; keep keyboard and screen reader users in place
+  if (!section.contains(document.activeElement)) section.focus({ preventScroll: true });
+  }
+
+  // Read out by screen readers; cleared first so the same message twice is announced twice
+  function announce(message) {
+  announcer.textContent = '';
+  setTimeout(function () { announcer.textContent = message; }, 100);
+  }
+
+  function newScan() {
+  capturedDataUrl = null;
+  showSection(cameraSection);
+  startCamera();
   }
 
   function getConstraints() {
@@ -48,8 +182,7 @@
     }
     stream = await navigator.mediaDevices.getUserMedia(getConstraints());
     video.srcObject = stream;
-    captureBtn.disabled = false;
-    captureBtn.focus();
+    startGuidance();
     return true;
   } catch (err) {
     console.error(err);
@@ -60,6 +193,7 @@
   }
 
   function stopCamera() {
+  stopGuidance();
   if (stream) {
     stream.getTracks().forEach(t => t.stop());
     stream = null;
@@ -67,26 +201,183 @@
   video.srcObject = null;
   }
 
+  // Guide rectangle in video pixels (the video is object-fit: cover, centered like the guide)
+  function guideSourceRect() {
+  const vw = video.videoWidth;
+  const vh = video.videoHeight;
+  const scale = Math.max(cameraWrapper.clientWidth / vw, cameraWrapper.clientHeight / vh);
+  const w = Math.min(vw, eyeGuide.offsetWidth / scale);
+  const h = Math.min(vh, eyeGuide.offsetHeight / scale);
+  return { x: (vw - w) / 2, y: (vh - h) / 2, w, h };
+  }
+
+  function renderGuidance(assessment, now) {
+  alignmentChecks.forEach(function (li) {
+    li.classList.toggle('ok', assessment.checks[li.dataset.check].ok);
+  });
+  eyeGuide.classList.toggle('ready', assessment.ready);
+  captureBtn.disabled = !assessment.ready && now - guidanceStarted < CAPTURE_ANYWAY_MS;
+  const failing = Object.keys(assessment.checks).filter(function (key) { return !assessment.checks[key].ok; });
+  if (failing.length) {
+    cameraHint.textContent = assessment.checks[failing[0]].message;
+  } else {
+    cameraHint.textContent = autoCaptureToggle.checked ? 'Hold still…' : 'Ready — tap Capture';
+  }
+  }
+
+  function runGuidance() {
+  if (!stream || !video.videoWidth) return;
+  const rect = guideSourceRect();
+  const width = captureMode === 'both' ? 160 : 96;
+  const height = Math.max(16, Math.round(width * rect.h / rect.w));
+  guidanceCanvas.width = width;
+  guidanceCanvas.height = height;
+  const ctx = guidanceCanvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(video, rect.x, rect.y, rect.w, rect.h, 0, 0, width, height);
+  const assessment = EyeAlignment.assessFrame(ctx.getImageData(0, 0, width, height), captureMode);
+
+  const now = Date.now();
+  const steady = assessment.ready && lastAnchor &&
+    Math.hypot(assessment.anchor.x - lastAnchor.x, assessment.anchor.y - lastAnchor.y) <= MAX_ANCHOR_DRIFT;
+  readySince = steady ? readySince || now : assessment.ready ? now : null;
+  lastAnchor = assessment.anchor;
+  renderGuidance(assessment, now);
+  if (autoCaptureToggle.checked && readySince && now - readySince >= STEADY_MS) {
+    captureBtn.click();
+  }
+  }
+
+  function startGuidance() {
+  stopGuidance();
+  captureBtn.disabled = true;
+  guidanceStarted = Date.now();
+  guidanceTimer = setInterval(runGuidance, GUIDANCE_INTERVAL_MS);
+  }
+
+  function stopGuidance() {
+  clearInterval(guidanceTimer);
+  guidanceTimer = null;
+  readySince = null;
+  lastAnchor = null;
+  eyeGuide.classList.remove('ready');
+  alignmentChecks.forEach(function (li) { li.classList.remove('ok'); });
+  cameraHint.textContent = CAMERA_HINTS[captureMode];
+  }
+
+  // The browser build of the analysis core (/eye-color-core.js), loaded the first time it is needed
+  function loadCore() {
+  if (!corePromise) {
+    corePromise = new Promise(function (resolve, reject) {
+      const script = document.createElement('script');
+      script.src = API_BASE + '/eye-color-core.js';
+      script.onload = function () { resolve(window.EyeColorCore); };
+      script.onerror = function () {
+        corePromise = null;
+        reject(new Error('Could not load on-device analysis. Check your connection and try again.'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return corePromise;
+  }
+
+  // Analyze the captured frame in the browser; resolves like a server response ({ ok, status, data })
+  function analyzeOnDevice() {
+  return loadCore().then(function (core) {
+    const size = core.analysisSize(previewCanvas.width, previewCanvas.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(previewCanvas, size.crop.left, size.crop.top, size.crop.width, size.crop.height, 0, 0, size.width, size.height);
+    const imageData = ctx.getImageData(0, 0, size.width, size.height);
+    try {
+      return { ok: true, status: 200, data: core.analyzeImageData(imageData, { scale: size.scale }) };
+    } catch (err) {
+      if (err instanceof core.ImageQualityError) {
+        return { ok: false, status: 422, data: { error: { code: 'IMAGE_QUALITY', message: err.message, reasons: err.reasons } } };
+      }
+      return { ok: false, status: 400, data: { error: { code: 'INVALID_OPTION', message: err.message } } };
+    } finally {
+      imageData.data.fill(0);
+      ctx.clearRect(0, 0, size.width, size.height);
+    }
+  });
+  }
+
+  // The server request for the capture: { url, body } (also what the offline queue stores)
+  function serverRequest() {
+  const retention = keepScanToggle.checked ? undefined : 'none';
+  const request = capturedFrames
+    ? { url: '/analyze/burst', body: { frames: capturedFrames, retention: retention, save: true } }
+    // Captures are drawn mirrored (selfie view), so the server must swap image left/right
+    : { url: '/analyze', body: { image: capturedDataUrl, mode: captureMode, mirrored: true, retention: retention, save: true } };
+  if (developerToggle.checked) request.body.debug = true;
+  return request;
+  }
+
+  // Resolves like analyzeOnDevice; rejects only when no answer arrives (offline, connection dropped).
+  // The owner token is read when sending, so queued captures join the history as it is then.
+  function sendAnalysis(request) {
+  return fetch(API_URL + request.url, {
+    method: 'POST',
+    headers: ownerHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify(request.body)
+  })
+    .then(function (res) {
+      return res.json().then(function (data) {
+        // A new token comes with the first saved scan (or replaces one the server no longer knows)
+        if (data && data.ownerToken) {
+          setOwnerToken(data.ownerToken);
+          delete data.ownerToken;
+        }
+        return { ok: res.ok, status: res.status, data: data };
+      });
+    });
+  }
+
+  // Captures that cannot reach the server are queued rather than lost; resolves to { queued: true } then
+  function analyzeOnServer() {
+  const request = serverRequest();
+  if (!navigator.onLine) return queueCapture(request);
+  return sendAnalysis(request).catch(function () { return queueCapture(request); });
+  }
+
   function runAnalysis() {
   if (!capturedDataUrl) return;
   showSection(resultsSection);
   resultsLoading.classList.remove('hidden');
   resultsContent.classList.add('hidden');
   resultsError.classList.add('hidden');
+  resultsRetake.classList.add('hidden');
+  hideDebugView();
+  announce('Analyzing your eye color…');
 
-  fetch(API_BASE + '/api/analyze', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ image: capturedDataUrl })
-  })
-    .then(function (res) { return res.json().then(function (data) { return { res, data }; }); })
-    .then(function (_ref) {
-      var res = _ref.res;
-      var data = _ref.data;
-      if (!res.ok) throw new Error(data.error || 'Analysis failed');
+  // On-device analysis covers one eye from one frame; two-eye mode needs the server to find the eyes
+  const onDevice = onDeviceToggle.checked && captureMode === 'single';
+  // The overlay is rendered by the server, so it is never requested for on-device analysis
+  if (developerToggle.checked && !onDevice && captureMode === 'single' && navigator.onLine) showDebugOverlay(capturedDataUrl);
+  (onDevice ? analyzeOnDevice() : analyzeOnServer())
+    .then(function (response) {
+      if (response.queued) {
+        resultsLoading.classList.add('hidden');
+        resultsQueued.classList.remove('hidden');
+        announce('You are offline. The capture is saved and will be analyzed when the connection returns.');
+        return;
+      }
+      var data = response.data;
+      if (data && data.debug) showDebugTimings(data.debug.timings);
+      if (response.status === 422 && data.error && data.error.reasons) {
+        showRetakeGuidance(data.error.reasons);
+        return;
+      }
+      if (!response.ok) throw new Error(errorMessage(data, 'Analysis failed'));
       renderResults(data);
-      resultsLoading.classList.add('hidden');
-      resultsContent.classList.remove('hidden');
+      privacyNote.textContent = onDevice
+        ? 'Analyzed on this device — your photo was not uploaded.'
+        : data.scanId ? '' : 'Not saved — the photo and result were discarded after analysis.';
+      privacyNote.classList.toggle('hidden', !privacyNote.textContent);
+      revealResults(data);
     })
     .catch(function (err) {
       resultsLoading.classList.add('hidden');
@@ -95,19 +386,310 @@
     });
   }
 
-  captureBtn.addEventListener('click', function () {
+  // API errors are { error: { code, message } }; rate limiting gets a friendlier message
+  function errorMessage(data, fallback) {
+  const error = data && data.error;
+  if (!error) return fallback;
+  if (error.code === 'RATE_LIMITED') return 'Too many scans in a short time — please wait a minute and try again.';
+  return error.message || fallback;
+  }
+
+  function queueCapture(request) {
+  return OfflineQueue.add(request)
+    .then(function () {
+      renderQueue();
+      return { queued: true };
+    })
+    .catch(function () {
+      throw new Error('You seem to be offline, and this browser cannot keep the capture for later. Please try again once connected.');
+    });
+  }
+
+  // Scan-like summary of a result, for the history helpers (scanColorLabel, scanSwatchColors)
+  function resultSummary(result) {
+  return result.mode === 'both'
+    ? { mode: 'both', generalColor: { left: result.left.generalColor, right: result.right.generalColor } }
+    : { generalColor: result.generalColor };
+  }
+
+  function queueButton(text, label, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn btn-secondary';
+  btn.textContent = text;
+  btn.setAttribute('aria-label', label);
+  btn.addEventListener('click', onClick);
+  return btn;
+  }
+
+  function renderQueueItem(entry) {
+  const li = document.createElement('li');
+  li.className = 'history-item';
+  const body = entry.request && entry.request.body;
+  if (body) {
+    const img = document.createElement('img');
+    img.className = 'history-thumb';
+    img.src = body.frames ? body.frames[body.frames.length - 1] : body.image;
+    img.alt = '';
+    li.appendChild(img);
+  }
+  const info = document.createElement('div');
+  info.className = 'history-info';
+  const label = document.createElement('span');
+  label.className = 'history-color';
+  const time = document.createElement('time');
+  time.dateTime = entry.createdAt;
+  time.textContent = new Date(entry.createdAt).toLocaleString();
+  if (entry.status === 'done') {
+    const summary = resultSummary(entry.result);
+    scanSwatchColors(summary).forEach(function (hex) {
+      const dot = document.createElement('span');
+      dot.className = 'swatch';
+      dot.style.background = hex;
+      label.appendChild(dot);
+    });
+    label.appendChild(document.createTextNode(scanColorLabel(summary)));
+  } else if (entry.status === 'failed') {
+    label.textContent = entry.error;
+  } else {
+    label.textContent = entry.id === sendingEntryId ? 'Sending…' : 'Waiting for a connection';
+  }
+  info.appendChild(label);
+  info.appendChild(time);
+  li.appendChild(info);
+
+  if (entry.status === 'done') {
+    li.appendChild(queueButton('View', 'View result of the capture from ' + time.textContent, function () { showQueuedResult(entry); }));
+  }
+  if (entry.status !== 'pending') {
+    li.appendChild(queueButton('Dismiss', 'Dismiss the capture from ' + time.textContent, function () { discardQueued(entry.id); }));
+  } else if (entry.id !== sendingEntryId) {
+    li.appendChild(queueButton('Discard', 'Discard the capture from ' + time.textContent, function () {
+      if (window.confirm('Discard this capture without analyzing it?')) discardQueued(entry.id);
+    }));
+  }
+  return li;
+  }
+
+  function queueStatusText(pending, finished) {
+  const captures = function (n) { return n + (n === 1 ? ' capture' : ' captures'); };
+  if (!navigator.onLine) {
+    return pending
+      ? 'Offline — ' + captures(pending) + ' will be analyzed when the connection returns. Until then they are stored on this device only.'
+      : 'Offline — captures are kept on this device and analyzed when the connection returns.';
+  }
+  if (queueSyncing && pending) return 'Sending ' + captures(pending) + '…';
+  if (pending) return captures(pending) + ' waiting — the server could not be reached, trying again shortly.';
+  return finished ? 'Analyzed since you reconnected:' : '';
+  }
+
+  // The Waiting to Analyze card: shown while offline or while the queue has entries
+  function renderQueue() {
+  return OfflineQueue.list()
+    .catch(function () { return []; })
+    .then(function (entries) {
+      const pending = entries.filter(function (entry) { return entry.status === 'pending'; }).length;
+      offlineQueueStatus.textContent = queueStatusText(pending, entries.length - pending);
+      offlineQueueList.innerHTML = '';
+      entries.forEach(function (entry) { offlineQueueList.appendChild(renderQueueItem(entry)); });
+      offlineQueueSyncBtn.classList.toggle('hidden', !pending || !navigator.onLine || queueSyncing);
+      offlineQueueCard.classList.toggle('hidden', navigator.onLine && !entries.length);
+    });
+  }
+
+  // Busy or rate limited: the capture stays queued and is retried later
+  function isRetryable(status) {
+  return status === 429 || status >= 502;
+  }
+
+  function sendQueuedCapture(entry) {
+  sendingEntryId = entry.id;
+  renderQueue();
+  return sendAnalysis(entry.request).then(function (response) {
+    if (isRetryable(response.status)) throw new Error(errorMessage(response.data, 'Server unavailable'));
+    if (response.ok) return OfflineQueue.update(entry.id, { status: 'done', request: null, result: response.data });
+    const reasons = response.status === 422 && response.data.error && response.data.error.reasons;
+    const error = reasons && reasons.length
+      ? 'Retake needed — ' + (RETAKE_TIPS[reasons[0].code] || reasons[0].message)
+      : errorMessage(response.data, 'Analysis failed');
+    return OfflineQueue.update(entry.id, { status: 'failed', request: null, error: error });
+  });
+  }
+
+  // Send queued captures oldest first, stopping at the first one the server cannot take yet
+  function syncQueue() {
+  if (queueSyncing || !navigator.onLine) return renderQueue();
+  clearTimeout(queueRetryTimer);
+  queueSyncing = true;
+  return OfflineQueue.list()
+    .then(function (entries) {
+      return entries
+        .filter(function (entry) { return entry.status === 'pending'; })
+        .reduce(function (chain, entry) {
+          return chain.then(function () { return sendQueuedCapture(entry); });
+        }, Promise.resolve());
+    })
+    .catch(function () {
+      queueRetryTimer = setTimeout(syncQueue, QUEUE_RETRY_MS);
+    })
+    .then(function () {
+      queueSyncing = false;
+      sendingEntryId = null;
+      return renderQueue();
+    });
+  }
+
+  function discardQueued(id) {
+  OfflineQueue.remove(id).catch(function () {}).then(renderQueue);
+  }
+
+  // A result that came in from the queue; viewing it takes it off the list
+  function showQueuedResult(entry) {
+  stopCamera();
+  hideDebugView();
+  showSection(resultsSection);
+  renderResults(entry.result);
+  privacyNote.textContent = entry.result.scanId
+    ? 'Analyzed when the connection returned.'
+    : 'Analyzed when the connection returned — not saved, the photo and result were discarded.';
+  privacyNote.classList.remove('hidden');
+  revealResults(entry.result);
+  discardQueued(entry.id);
+  }
+
+  function hideDebugView() {
+  debugCard.classList.add('hidden');
+  debugOverlay.removeAttribute('src');
+  debugTimings.textContent = '';
+  if (debugOverlayUrl) URL.revokeObjectURL(debugOverlayUrl);
+  debugOverlayUrl = null;
+  }
+
+  // Annotated PNG from /api/v1/analyze/debug; shown for rejected photos too, as those are what need inspecting
+  function showDebugOverlay(image) {
+  fetch(API_URL + '/analyze/debug', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ image: image })
+  })
+    .then(function (res) {
+      if (!res.ok) {
+        return res.json().then(function (data) { throw new Error(errorMessage(data, 'Overlay failed')); });
+      }
+      return res.blob();
+    })
+    .then(function (blob) {
+      if (debugOverlayUrl) URL.revokeObjectURL(debugOverlayUrl);
+      debugOverlayUrl = URL.createObjectURL(blob);
+      debugOverlay.src = debugOverlayUrl;
+      debugCard.classList.remove('hidden');
+    })
+    .catch(function (err) {
+      debugTimings.textContent = 'Overlay unavailable: ' + err.message;
+      debugCard.classList.remove('hidden');
+    });
+  }
+
+  function showDebugTimings(timings) {
+  const parts = Object.keys(timings || {}).map(function (stage) { return stage + ' ' + timings[stage] + ' ms'; });
+  if (!parts.length) return;
+  debugTimings.textContent = 'Stage timings: ' + parts.join(' · ');
+  debugCard.classList.remove('hidden');
+  }
+
+  function showRetakeGuidance(reasons) {
+  resultsLoading.classList.add('hidden');
+  retakeReasons.innerHTML = '';
+  reasons.forEach(function (reason) {
+    const li = document.createElement('li');
+    const tip = RETAKE_TIPS[reason.code] || reason.message;
+    li.textContent = reason.eye ? capitalize(reason.eye) + ' eye: ' + tip : tip;
+    retakeReasons.appendChild(li);
+  });
+  resultsRetake.classList.remove('hidden');
+  retakeScanBtn.focus();
+  }
+
+  function grabFrame() {
   const ctx = previewCanvas.getContext('2d');
   const w = video.videoWidth;
   const h = video.videoHeight;
   previewCanvas.width = w;
   previewCanvas.height = h;
   ctx.save();
+  ctx.translate(w, 0);
   ctx.scale(-1, 1);
   ctx.drawImage(video, 0, 0, w, h);
   ctx.restore();
-  capturedDataUrl = previewCanvas.toDataURL('image/jpeg', 0.92);
-  stopCamera();
-  runAnalysis();
+  return previewCanvas.toDataURL('image/jpeg', 0.92);
+  }
+
+  // Resolves to BURST_FRAME_COUNT frames, showing progress on the capture button
+  function captureBurst() {
+  const label = captureBtn.textContent;
+  const frames = [];
+  captureBtn.disabled = true;
+  return new Promise(function (resolve) {
+    function next() {
+      frames.push(grabFrame());
+      captureBtn.textContent = 'Capturing ' + frames.length + '/' + BURST_FRAME_COUNT + '…';
+      if (frames.length < BURST_FRAME_COUNT) {
+        setTimeout(next, BURST_INTERVAL_MS);
+        return;
+      }
+      captureBtn.textContent = label;
+      captureBtn.disabled = false;
+      resolve(frames);
+    }
+    next();
+  });
+  }
+
+  // Burst capture and on-device analysis cover one eye; history only applies when the photo is uploaded
+  function updateCaptureOptions() {
+  const onDevice = onDeviceToggle.checked && captureMode === 'single';
+  onDeviceOption.classList.toggle('hidden', captureMode === 'both');
+  burstOption.classList.toggle('hidden', captureMode === 'both' || onDevice);
+  keepScanOption.classList.toggle('hidden', onDevice);
+  }
+
+  captureBtn.addEventListener('click', function () {
+  stopGuidance();
+  // Burst capture covers one eye; two-eye photos are analyzed from a single frame
+  const useBurst = burstToggle.checked && captureMode === 'single' && !onDeviceToggle.checked;
+  const captured = useBurst ? captureBurst() : Promise.resolve([grabFrame()]);
+  captured.then(function (frames) {
+    capturedFrames = useBurst ? frames : null;
+    capturedDataUrl = frames[frames.length - 1];
+    stopCamera();
+    runAnalysis();
+  });
+  });
+
+  modeInputs.forEach(function (input) {
+  input.addEventListener('change', function () {
+    if (!input.checked) return;
+    captureMode = input.value;
+    cameraWrapper.classList.toggle('both-eyes', captureMode === 'both');
+    cameraHint.textContent = CAMERA_HINTS[captureMode];
+    readySince = null;
+    lastAnchor = null;
+    updateCaptureOptions();
+  });
+  });
+
+  developerToggle.addEventListener('change', function () {
+  try {
+    if (developerToggle.checked) localStorage.setItem(DEVELOPER_KEY, '1');
+    else localStorage.removeItem(DEVELOPER_KEY);
+  } catch (err) {}
+  if (!developerToggle.checked) hideDebugView();
+  });
+
+  onDeviceToggle.addEventListener('change', function () {
+  updateCaptureOptions();
+  // Fetch the analysis core now, so it is ready by the time of capture
+  if (onDeviceToggle.checked) loadCore().catch(function () {});
   });
 
   switchCameraBtn.addEventListener('click', async function () {
@@ -116,69 +698,636 @@
   await startCamera();
   });
 
-  retakeBtn.addEventListener('click', function () {
-  capturedDataUrl = null;
-  showSection(cameraSection);
-  startCamera();
-  });
+  retakeBtn.addEventListener('click', newScan);
 
   analyzeBtn.addEventListener('click', function () {
   if (!capturedDataUrl) return;
   runAnalysis();
   });
 
+  function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  function patternNote(heterochromia) {
+  if (!heterochromia) return '';
+  const notes = [];
+  if (heterochromia.central && heterochromia.central.detected) {
+    notes.push('Central heterochromia: ' + heterochromia.central.inner + ' around the pupil, ' + heterochromia.central.outer + ' toward the edge');
+  }
+  if (heterochromia.sectoral && heterochromia.sectoral.detected) {
+    notes.push('Sectoral heterochromia: one segment of the iris differs in color');
+  }
+  return notes.join('. ');
+  }
+
+  function textElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  el.textContent = text;
+  return el;
+  }
+
+  // Swatches are decoration for assistive tech: the name and description next to them say the same
+  function colorSwatch(hex) {
+  const swatch = document.createElement('div');
+  swatch.className = 'swatch';
+  swatch.style.background = hex;
+  swatch.setAttribute('aria-hidden', 'true');
+  return swatch;
+  }
+
+  // A color's label with its description beneath; scans from before descriptions have none
+  function colorLabel(className, label, description) {
+  const el = textElement('span', className, label);
+  if (description) el.appendChild(textElement('span', 'color-description', description));
+  return el;
+  }
+
+  function listItem(className, children) {
+  const item = document.createElement('div');
+  item.className = className;
+  item.setAttribute('role', 'listitem');
+  children.forEach(function (child) { item.appendChild(child); });
+  return item;
+  }
+
+  function renderEyeColumn(container, label, eye) {
+  container.replaceChildren();
+  const title = document.createElement('h3');
+  title.textContent = label;
+  const swatch = document.createElement('div');
+  swatch.className = 'general-swatch';
+  swatch.style.background = eye.generalColor.hex;
+  swatch.setAttribute('aria-hidden', 'true');
+  const name = document.createElement('p');
+  name.className = 'color-name';
+  name.textContent = eye.generalColor.name;
+  const code = document.createElement('p');
+  code.className = 'color-code';
+  code.textContent = eye.generalColor.hex;
+  const shades = document.createElement('ul');
+  shades.className = 'eye-shades';
+  (eye.shadeBreakdown || []).slice(0, 4).forEach(function (item) {
+    const li = document.createElement('li');
+    const dot = document.createElement('span');
+    dot.className = 'swatch';
+    dot.style.background = item.hex;
+    dot.setAttribute('aria-hidden', 'true');
+    li.appendChild(dot);
+    li.appendChild(colorLabel('', (item.name || item.hex) + ' ' + item.percentage + '%', item.description));
+    shades.appendChild(li);
+  });
+  [title, swatch, name].forEach(function (el) { container.appendChild(el); });
+  if (eye.generalColor.description) container.appendChild(textElement('p', 'color-description', eye.generalColor.description));
+  [code, shades].forEach(function (el) { container.appendChild(el); });
+  const note = patternNote(eye.heterochromia);
+  if (note) {
+    const p = document.createElement('p');
+    p.className = 'pattern-note';
+    p.textContent = note;
+    container.appendChild(p);
+  }
+  }
+
+  function renderPairResults(data) {
+  const comparison = data.comparison;
+  document.getElementById('comparison-summary').textContent = comparison.completeHeterochromia
+    ? 'Your eyes are different colors (complete heterochromia)'
+    : 'Both eyes are the same color';
+  document.getElementById('comparison-detail').textContent =
+    'Color difference between eyes: ΔE ' + comparison.deltaE + ' (' + comparison.metric + ')';
+  renderEyeColumn(document.getElementById('left-eye-result'), 'Left eye', data.left);
+  renderEyeColumn(document.getElementById('right-eye-result'), 'Right eye', data.right);
+  }
+
+  function ringRadius(fraction, pupilRadius, irisRadius) {
+  return pupilRadius + fraction * (irisRadius - pupilRadius);
+  }
+
+  function fillAnnulus(ctx, center, inner, outer, startAngle, endAngle, color) {
+  ctx.beginPath();
+  ctx.arc(center, center, outer, startAngle, endAngle);
+  ctx.arc(center, center, inner, endAngle, startAngle, true);
+  ctx.closePath();
+  ctx.fillStyle = color;
+  ctx.fill();
+  }
+
+  /**
+   * Polar iris map: anatomical rings from the pupil outward, a band of sector colors
+   * around the limbus, and flecks at their measured angle and radius
+   */
+  function drawIrisMap(canvas, map) {
+  const ctx = canvas.getContext('2d');
+  const center = canvas.width / 2;
+  const irisRadius = center * 0.8;
+  const pupilRadius = irisRadius * 0.28;
+  const fullCircle = Math.PI * 2;
+  const toRad = function (deg) { return deg * Math.PI / 180; };
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  map.sectors.forEach(function (sector) {
+    if (!sector.hex) return;
+    fillAnnulus(ctx, center, irisRadius + 3, center - 1, toRad(sector.startAngle), toRad(sector.endAngle), sector.hex);
+  });
+  map.rings.forEach(function (ring) {
+    fillAnnulus(ctx, center, ringRadius(ring.from, pupilRadius, irisRadius),
+      ringRadius(ring.to, pupilRadius, irisRadius), 0, fullCircle, ring.hex || 'rgba(255, 255, 255, 0.06)');
+  });
+  ctx.beginPath();
+  ctx.arc(center, center, pupilRadius, 0, fullCircle);
+  ctx.fillStyle = '#050505';
+  ctx.fill();
+
+  const irisArea = irisRadius * irisRadius - pupilRadius * pupilRadius;
+  map.flecks.forEach(function (fleck) {
+    const r = ringRadius(fleck.radial, pupilRadius, irisRadius);
+    const angle = toRad(fleck.angle);
+    ctx.beginPath();
+    ctx.arc(center + r * Math.cos(angle), center + r * Math.sin(angle),
+      Math.max(2.5, Math.sqrt(fleck.relativeSize * irisArea)), 0, fullCircle);
+    ctx.fillStyle = fleck.hex;
+    ctx.fill();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = fleck.contrast === 'darker' ? 'rgba(255, 255, 255, 0.8)' : 'rgba(0, 0, 0, 0.8)';
+    ctx.stroke();
+  });
+  }
+
+  function describeIrisMap(map) {
+  const rings = map.rings.filter(function (ring) { return ring.hex; }).map(function (ring) {
+    return ring.label + ' ' + ring.hex;
+  });
+  const flecks = map.flecks.length === 1 ? '1 fleck' : map.flecks.length + ' flecks';
+  return 'From the pupil outward: ' + rings.join(', ') + '. Outer band: color by sector. ' + flecks + ' detected.';
+  }
+
+  function renderConfidence(confidence) {
+  const list = document.getElementById('category-confidence');
+  const note = document.getElementById('ambiguous-note');
+  list.replaceChildren();
+  note.classList.toggle('hidden', !confidence || !confidence.ambiguous);
+  if (!confidence) return;
+  Object.keys(confidence.distribution).slice(0, 3).forEach(function (key) {
+    const share = confidence.distribution[key];
+    if (share < 0.01) return;
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'category-label';
+    label.textContent = capitalize(key);
+    const bar = document.createElement('span');
+    bar.className = 'category-bar';
+    bar.setAttribute('aria-hidden', 'true');
+    const fill = document.createElement('span');
+    fill.style.width = Math.round(share * 100) + '%';
+    bar.appendChild(fill);
+    const pct = document.createElement('span');
+    pct.className = 'pct';
+    pct.textContent = Math.round(share * 100) + '%';
+    li.appendChild(label);
+    li.appendChild(bar);
+    li.appendChild(pct);
+    list.appendChild(li);
+  });
+  if (confidence.ambiguous) {
+    note.textContent = 'Between ' + capitalize(confidence.category) + ' and ' + capitalize(confidence.runnerUp) +
+      ' — a rescan in even daylight may give a clearer answer.';
+  }
+  }
+
+  // Request for a stored scan (or one of its exports); the server only returns scans to the owner token that saved them
+  function fetchScan(id, suffix, init) {
+  return fetch(API_URL + '/scans/' + encodeURIComponent(id) + (suffix || ''),
+    Object.assign({}, init, { headers: ownerHeaders() }));
+  }
+
+  // The owner token must go in a header, so exports are fetched and saved from a blob rather than linked
+  function downloadExport(suffix) {
+  const scanId = exportCard.dataset.scanId;
+  if (!scanId) return;
+  fetchScan(scanId, suffix)
+    .then(function (res) {
+      if (!res.ok) throw new Error('Could not download the export');
+      const disposition = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+      return res.blob().then(function (blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = disposition ? disposition[1] : suffix.slice(1);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+      });
+    })
+    .catch(function (err) {
+      announce(err.message);
+    });
+  }
+
+  // Download buttons for a stored scan; hidden when the result was not saved
+  function setExportScan(scanId) {
+  exportCard.classList.toggle('hidden', !scanId);
+  if (scanId) exportCard.dataset.scanId = scanId;
+  else delete exportCard.dataset.scanId;
+  }
+
   function renderResults(data) {
+  const isPair = data.mode === 'both';
+  setExportScan(data.scanId);
+  privacyNote.classList.add('hidden');
+  pairResults.classList.toggle('hidden', !isPair);
+  singleResults.classList.toggle('hidden', isPair);
+  if (isPair) {
+    renderPairResults(data);
+    return;
+  }
   const general = data.generalColor;
   const generalSwatch = document.getElementById('general-swatch');
   const generalName = document.getElementById('general-name');
+  const generalDescription = document.getElementById('general-description');
   const generalCode = document.getElementById('general-code');
 
   generalSwatch.style.background = general.hex;
   generalName.textContent = general.name;
-  generalCode.textContent = general.colorCode || general.hex;
+  generalDescription.textContent = general.description || '';
+  generalDescription.classList.toggle('hidden', !general.description);
+  generalCode.textContent = general.hex;
+  const generalPattern = document.getElementById('general-pattern');
+  generalPattern.textContent = patternNote(data.heterochromia);
+  generalPattern.classList.toggle('hidden', !generalPattern.textContent);
+  renderConfidence(data.confidence);
+  const burstNote = document.getElementById('burst-note');
+  burstNote.textContent = data.burst
+    ? 'Consensus of ' + data.burst.usedCount + ' of ' + data.burst.frameCount + ' frames · frame-to-frame spread ΔE ' + data.burst.variance.meanDeltaE
+    : '';
+  burstNote.classList.toggle('hidden', !data.burst);
 
-  var shadeList = document.getElementById('shade-breakdown-list');
-  shadeList.innerHTML = '';
+  const shadeList = document.getElementById('shade-breakdown-list');
+  shadeList.replaceChildren();
   (data.shadeBreakdown || []).forEach(function (item) {
-    var div = document.createElement('div');
-    div.className = 'shade-breakdown-item';
-    div.innerHTML =
-      '<div class="swatch" style="background:' + item.hex + '"></div>' +
-      '<span class="shade-name">' + (item.name || item.hex) + '</span>' +
-      '<span class="pct">' + item.percentage + '%</span>';
-    shadeList.appendChild(div);
+    shadeList.appendChild(listItem('shade-breakdown-item', [
+      colorSwatch(item.hex),
+      colorLabel('shade-name', item.name || item.hex, item.description),
+      textElement('span', 'pct', item.percentage + '%')
+    ]));
   });
 
+  const irisMapFigure = document.querySelector('.iris-map');
+  irisMapFigure.classList.toggle('hidden', !data.irisMap);
+  if (data.irisMap) {
+    const irisMapCanvas = document.getElementById('iris-map-canvas');
+    const caption = describeIrisMap(data.irisMap);
+    drawIrisMap(irisMapCanvas, data.irisMap);
+    irisMapCanvas.setAttribute('aria-label', 'Iris map. ' + caption);
+    document.getElementById('iris-map-caption').textContent = caption;
+  }
+
   const breakdownList = document.getElementById('breakdown-list');
-  breakdownList.innerHTML = '';
+  breakdownList.replaceChildren();
   (data.breakdown || []).forEach(function (item) {
-    const div = document.createElement('div');
-    div.className = 'breakdown-item';
-    div.innerHTML =
-      '<div class="swatch" style="background:' + item.hex + '"></div>' +
-      '<span class="hex">' + (item.shadeName || item.hex) + '</span>' +
-      '<span class="pct">' + item.percentage + '%</span>';
-    breakdownList.appendChild(div);
+    breakdownList.appendChild(listItem('breakdown-item', [
+      colorSwatch(item.hex),
+      colorLabel('hex', item.shadeName || item.hex, item.description),
+      textElement('span', 'pct', item.percentage + '%')
+    ]));
   });
 
   const pantoneList = document.getElementById('pantone-list');
-  pantoneList.innerHTML = '';
+  pantoneList.replaceChildren();
   (data.pantoneMatches || []).forEach(function (p) {
-    const div = document.createElement('div');
-    div.className = 'pantone-item';
-    div.innerHTML =
-      '<div class="swatch" style="background:' + p.hex + '"></div>' +
-      '<div><span class="name">' + p.name + '</span><br><span class="hex">' + p.hex + '</span></div>';
-    pantoneList.appendChild(div);
+    const text = document.createElement('div');
+    text.appendChild(textElement('span', 'name', p.name));
+    text.appendChild(document.createElement('br'));
+    text.appendChild(textElement('span', 'hex', p.hex));
+    pantoneList.appendChild(listItem('pantone-item', [colorSwatch(p.hex), text]));
   });
+
+  renderRecommendations(general, data.confidence && data.confidence.category);
   }
 
-  newScanBtn.addEventListener('click', function () {
-  capturedDataUrl = null;
-  showSection(cameraSection);
-  startCamera();
+  function colorSentence(label, color) {
+  return label + ' ' + color.name + (color.description ? ', ' + color.description : '') + '.';
+  }
+
+  // What a screen reader hears when results appear: the color in words and the main shades
+  function resultAnnouncement(data) {
+  if (data.mode === 'both') {
+    return 'Analysis complete. ' + colorSentence('Left eye:', data.left.generalColor) + ' ' +
+      colorSentence('Right eye:', data.right.generalColor) + ' ' +
+      (data.comparison.completeHeterochromia ? 'Your eyes are different colors.' : 'Both eyes are the same color.');
+  }
+  const shades = (data.shadeBreakdown || []).slice(0, 3).map(function (item) {
+    return (item.name || item.hex) + ' ' + item.percentage + '%';
   });
+  return 'Analysis complete. ' + colorSentence('Your eye color is', data.generalColor) +
+    (shades.length ? ' Main shades: ' + shades.join(', ') + '.' : '');
+  }
+
+  // Shows rendered results, announces them and moves focus to their heading
+  function revealResults(data) {
+  resultsLoading.classList.add('hidden');
+  resultsContent.classList.remove('hidden');
+  resultsHeading.focus();
+  announce(resultAnnouncement(data));
+  }
+
+  function setHighContrast(enabled) {
+  document.body.classList.toggle('high-contrast', enabled);
+  }
+
+  const HARMONY_LABELS = { complementary: 'Complementary', analogous: 'Analogous', triadic: 'Triadic' };
+  const SET_LABELS = { eyeshadow: 'Eyeshadow', eyeliner: 'Eyeliner', clothing: 'Clothing' };
+
+  function recommendationGroup(title, colors) {
+  const group = document.createElement('div');
+  group.className = 'recommendation-group';
+  const heading = document.createElement('h4');
+  heading.textContent = title;
+  const row = document.createElement('div');
+  row.className = 'recommendation-swatches';
+  colors.forEach(function (color) {
+    const item = document.createElement('div');
+    item.className = 'recommendation-swatch';
+    const swatch = document.createElement('div');
+    swatch.className = 'swatch';
+    swatch.style.background = color.hex;
+    const name = document.createElement('span');
+    name.textContent = color.name || color.hex;
+    item.appendChild(swatch);
+    item.appendChild(name);
+    if (color.harmony) {
+      const harmony = document.createElement('span');
+      harmony.className = 'harmony';
+      harmony.textContent = color.harmony;
+      item.appendChild(harmony);
+    }
+    item.title = (color.name ? color.name + ' ' : '') + color.hex;
+    row.appendChild(item);
+  });
+  group.appendChild(heading);
+  group.appendChild(row);
+  return group;
+  }
+
+  // Makeup and clothing suggestions for the measured color; the card stays hidden if the request fails
+  function renderRecommendations(general, category) {
+  const card = document.getElementById('recommendations-card');
+  const body = document.getElementById('recommendations-body');
+  card.classList.add('hidden');
+  const params = new URLSearchParams({ hex: general.hex });
+  if (category) params.set('category', category);
+  fetch(API_URL + '/recommendations?' + params.toString())
+    .then(function (res) { return res.ok ? res.json() : null; })
+    .then(function (data) {
+      if (!data) return;
+      document.getElementById('recommendations-summary').textContent = data.summary;
+      body.replaceChildren();
+      Object.keys(SET_LABELS).forEach(function (set) {
+        body.appendChild(recommendationGroup(SET_LABELS[set], data.sets[set]));
+      });
+      Object.keys(HARMONY_LABELS).forEach(function (harmony) {
+        body.appendChild(recommendationGroup(HARMONY_LABELS[harmony] + ' to your eyes', data.harmonies[harmony]));
+      });
+      card.classList.remove('hidden');
+    })
+    .catch(function () {});
+  }
+
+  function scanColorLabel(scan) {
+  const color = scan.generalColor;
+  return scan.mode === 'both' ? 'Left ' + color.left.name + ' · Right ' + color.right.name : color.name;
+  }
+
+  function scanSwatchColors(scan) {
+  const color = scan.generalColor;
+  return scan.mode === 'both' ? [color.left.hex, color.right.hex] : [color.hex];
+  }
+
+  function renderHistoryItem(scan) {
+  const li = document.createElement('li');
+  li.className = 'history-item';
+  if (scan.thumbnail) {
+    const img = document.createElement('img');
+    img.className = 'history-thumb';
+    img.src = scan.thumbnail;
+    img.alt = '';
+    li.appendChild(img);
+  }
+  const info = document.createElement('div');
+  info.className = 'history-info';
+  const name = document.createElement('span');
+  name.className = 'history-color';
+  scanSwatchColors(scan).forEach(function (hex) {
+    const dot = document.createElement('span');
+    dot.className = 'swatch';
+    dot.style.background = hex;
+    name.appendChild(dot);
+  });
+  name.appendChild(document.createTextNode(scanColorLabel(scan)));
+  const time = document.createElement('time');
+  time.dateTime = scan.createdAt;
+  time.textContent = new Date(scan.createdAt).toLocaleString();
+  info.appendChild(name);
+  info.appendChild(time);
+  li.appendChild(info);
+
+  const viewBtn = document.createElement('button');
+  viewBtn.type = 'button';
+  viewBtn.className = 'btn btn-secondary';
+  viewBtn.textContent = 'View';
+  viewBtn.setAttribute('aria-label', 'View scan from ' + time.textContent);
+  viewBtn.addEventListener('click', function () { openScan(scan.id); });
+  const deleteBtn = document.createElement('button');
+  deleteBtn.type = 'button';
+  deleteBtn.className = 'btn btn-secondary';
+  deleteBtn.textContent = 'Delete';
+  deleteBtn.setAttribute('aria-label', 'Delete scan from ' + time.textContent);
+  deleteBtn.addEventListener('click', function () { deleteScan(scan.id); });
+  li.appendChild(viewBtn);
+  li.appendChild(deleteBtn);
+  return li;
+  }
+
+  function renderHistory() {
+  historyList.innerHTML = '';
+  historyScans.forEach(function (scan) { historyList.appendChild(renderHistoryItem(scan)); });
+  historyEmpty.classList.toggle('hidden', historyScans.length > 0);
+  historyMoreBtn.classList.toggle('hidden', historyScans.length >= historyTotal);
+
+  // Timeline oldest -> newest, so a drift in measured color is easy to spot
+  historyTimeline.innerHTML = '';
+  historyTimelineCard.classList.toggle('hidden', historyScans.length < 2);
+  historyScans.slice().reverse().forEach(function (scan) {
+    const entry = document.createElement('span');
+    entry.className = 'history-timeline-entry';
+    entry.title = scanColorLabel(scan) + ' — ' + new Date(scan.createdAt).toLocaleDateString();
+    scanSwatchColors(scan).forEach(function (hex) {
+      const dot = document.createElement('span');
+      dot.className = 'swatch';
+      dot.style.background = hex;
+      entry.appendChild(dot);
+    });
+    historyTimeline.appendChild(entry);
+  });
+  }
+
+  function loadHistory(reset) {
+  if (reset) historyScans = [];
+  historyError.classList.add('hidden');
+  // Nothing has been saved from this browser yet
+  if (!getOwnerToken()) {
+    historyTotal = 0;
+    renderHistory();
+    return Promise.resolve();
+  }
+  const params = new URLSearchParams({ limit: String(HISTORY_PAGE_SIZE), offset: String(historyScans.length) });
+  if (historyFilter.value) params.set('color', historyFilter.value);
+  return fetch(API_URL + '/scans?' + params.toString(), { headers: ownerHeaders() })
+    .then(function (res) { return res.json().then(function (data) { return { res, data }; }); })
+    .then(function (_ref) {
+      if (!_ref.res.ok) throw new Error(errorMessage(_ref.data, 'Could not load history'));
+      historyScans = historyScans.concat(_ref.data.scans);
+      historyTotal = _ref.data.total;
+      renderHistory();
+    })
+    .catch(function (err) {
+      historyError.textContent = err.message || 'Could not load history.';
+      historyError.classList.remove('hidden');
+    });
+  }
+
+  function showHistory() {
+  stopCamera();
+  showSection(historySection);
+  loadHistory(true);
+  }
+
+  function openScan(id) {
+  showSection(resultsSection);
+  resultsLoading.classList.remove('hidden');
+  fetchScan(id)
+    .then(function (res) { return res.json().then(function (data) { return { res, data }; }); })
+    .then(function (_ref) {
+      if (!_ref.res.ok) throw new Error(errorMessage(_ref.data, 'Could not load scan'));
+      renderResults(_ref.data.result);
+      setExportScan(_ref.data.id);
+      revealResults(_ref.data.result);
+    })
+    .catch(function (err) {
+      resultsLoading.classList.add('hidden');
+      resultsError.textContent = err.message || 'Could not load scan.';
+      resultsError.classList.remove('hidden');
+    });
+  }
+
+  function deleteScan(id) {
+  if (!window.confirm('Delete this scan from your history?')) return;
+  fetchScan(id, '', { method: 'DELETE' })
+    .then(function (res) {
+      if (!res.ok && res.status !== 404) throw new Error('Could not delete scan');
+      historyScans = historyScans.filter(function (scan) { return scan.id !== id; });
+      historyTotal = Math.max(0, historyTotal - 1);
+      renderHistory();
+      // The focused Delete button went with its item
+      historyHeading.focus();
+      announce('Scan deleted.');
+    })
+    .catch(function (err) {
+      historyError.textContent = err.message;
+      historyError.classList.remove('hidden');
+    });
+  }
+
+  exportButtons.forEach(function (button) {
+  button.addEventListener('click', function () { downloadExport(button.dataset.export); });
+  });
+  document.getElementById('history-btn').addEventListener('click', showHistory);
+  document.getElementById('results-history-btn').addEventListener('click', showHistory);
+  historyFilter.addEventListener('change', function () { loadHistory(true); });
+  historyMoreBtn.addEventListener('click', function () { loadHistory(false); });
+  document.getElementById('history-back-btn').addEventListener('click', newScan);
+  retakeScanBtn.addEventListener('click', newScan);
+  newScanBtn.addEventListener('click', newScan);
+  document.getElementById('queued-new-scan-btn').addEventListener('click', newScan);
+
+  // Escape leaves the preview, results or history for a new scan, like their New Scan buttons (not mid-analysis)
+  document.addEventListener('keydown', function (event) {
+  if (event.key !== 'Escape' || event.defaultPrevented || !cameraSection.classList.contains('hidden')) return;
+  if (/^(INPUT|SELECT|TEXTAREA)$/.test(event.target.tagName) || !resultsLoading.classList.contains('hidden')) return;
+  event.preventDefault();
+  newScan();
+  });
+
+  highContrastToggle.addEventListener('change', function () {
+  setHighContrast(highContrastToggle.checked);
+  try {
+    localStorage.setItem(HIGH_CONTRAST_KEY, highContrastToggle.checked ? '1' : '0');
+  } catch (err) {}
+  });
+
+  visionSelect.addEventListener('change', function () {
+  if (visionSelect.value) resultsContent.dataset.vision = visionSelect.value;
+  else delete resultsContent.dataset.vision;
+  announce(visionSelect.value
+    ? 'Colors now shown as seen with ' + visionSelect.options[visionSelect.selectedIndex].text + '.'
+    : 'Colors shown as measured.');
+  });
+
+  offlineQueueSyncBtn.addEventListener('click', syncQueue);
+  window.addEventListener('online', syncQueue);
+  window.addEventListener('offline', renderQueue);
+
+  // Chrome offers installation through beforeinstallprompt; other browsers have it in their menu
+  window.addEventListener('beforeinstallprompt', function (event) {
+  event.preventDefault();
+  installPrompt = event;
+  installBtn.classList.remove('hidden');
+  });
+  window.addEventListener('appinstalled', function () {
+  installPrompt = null;
+  installBtn.classList.add('hidden');
+  });
+  installBtn.addEventListener('click', function () {
+  if (!installPrompt) return;
+  installPrompt.prompt();
+  installPrompt.userChoice.then(function () {
+    installPrompt = null;
+    installBtn.classList.add('hidden');
+  });
+  });
+
+  (function initDeveloperOption() {
+  let enabled = false;
+  try {
+    enabled = localStorage.getItem(DEVELOPER_KEY) === '1';
+  } catch (err) {}
+  developerToggle.checked = enabled;
+  developerOption.classList.toggle('hidden', !enabled && !/[?&]dev\b/.test(location.search));
+  })();
+
+  // Saved choice first; otherwise follow the system's increased-contrast setting
+  (function initHighContrast() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(HIGH_CONTRAST_KEY);
+  } catch (err) {}
+  const enabled = saved === null
+    ? Boolean(window.matchMedia && matchMedia('(prefers-contrast: more)').matches)
+    : saved === '1';
+  highContrastToggle.checked = enabled;
+  setHighContrast(enabled);
+  })();
+
+  // The app shell is cached for offline use (see sw.js); service workers need HTTPS or localhost
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch(function (err) {
+      console.warn('Offline support unavailable:', err);
+    });
+  }
 
   showSection(cameraSection);
   startCamera();
+  syncQueue();
 })();
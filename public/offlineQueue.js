@@ -0,0 +1,80 @@
+/**
+ * Offline capture queue in IndexedDB (runs in the browser):
+ * - A capture that could not reach the server is stored with the exact request it would have sent
+ * - Entries are { id, createdAt, status, request, result, error }: status is pending (waiting
+ *   to be sent), done (result holds the analysis) or failed (error says why)
+ * - Once an entry is done or failed its request, and so the photo, is dropped; only the
+ *   result or the error message stays until dismissed
+ * The page sends pending entries when the connection returns (see syncQueue in app.js).
+ */
+(function (global) {
+  const DB_NAME = 'eye-color';
+  const DB_VERSION = 1;
+  const STORE = 'captures';
+
+  let dbPromise = null;
+
+  function promisify(request) {
+    return new Promise(function (resolve, reject) {
+      request.onsuccess = function () { resolve(request.result); };
+      request.onerror = function () { reject(request.error); };
+    });
+  }
+
+  function openDb() {
+    if (!dbPromise) {
+      if (!global.indexedDB) return Promise.reject(new Error('This browser cannot store captures for later.'));
+      const request = global.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = function () {
+        request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      dbPromise = promisify(request).catch(function (err) {
+        dbPromise = null;
+        throw err;
+      });
+    }
+    return dbPromise;
+  }
+
+  // Run fn(store) in a transaction; resolves with fn's request result once the transaction commits
+  function withStore(mode, fn) {
+    return openDb().then(function (db) {
+      return new Promise(function (resolve, reject) {
+        const tx = db.transaction(STORE, mode);
+        const request = fn(tx.objectStore(STORE));
+        tx.oncomplete = function () { resolve(request && request.result); };
+        tx.onerror = function () { reject(tx.error); };
+        tx.onabort = function () { reject(tx.error || new Error('Storage transaction aborted')); };
+      });
+    });
+  }
+
+  /** Store a request ({ url, body }) for later; resolves with the new entry */
+  function add(request) {
+    const entry = { createdAt: new Date().toISOString(), status: 'pending', request: request, result: null, error: null };
+    return withStore('readwrite', function (store) { return store.add(entry); })
+      .then(function (id) { return Object.assign({ id: id }, entry); });
+  }
+
+  /** All entries, oldest first */
+  function list() {
+    return withStore('readonly', function (store) { return store.getAll(); });
+  }
+
+  /** Merge changes into an entry; resolves with the updated entry, or null when it is gone */
+  function update(id, changes) {
+    return withStore('readwrite', function (store) {
+      const request = store.get(id);
+      request.onsuccess = function () {
+        if (request.result) store.put(Object.assign(request.result, changes));
+      };
+      return request;
+    }).then(function (entry) { return entry || null; });
+  }
+
+  function remove(id) {
+    return withStore('readwrite', function (store) { return store.delete(id); });
+  }
+
+  global.OfflineQueue = { add, list, update, remove };
+})(window);
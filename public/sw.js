@@ -0,0 +1,83 @@
+/**
+ * Service worker: caches the app shell so the app opens, captures and analyzes on the device
+ * without a connection.
+ * - Install precaches SHELL (the page, scripts, styles, manifest, icons and the on-device
+ *   analysis core); activate drops caches of older versions
+ * - Page loads go to the network first and fall back to the cached page when offline
+ * - Other shell files come from the cache and are refreshed in the background. The page asks for
+ *   its scripts and stylesheet by versioned URL (?v=N), so a new page never runs with the
+ *   cached scripts of an older one
+ * - The API is never cached: results and history belong to the user. Captures made offline
+ *   are queued by the page instead (see offlineQueue.js)
+ * Bump a file's version in index.html and here when it changes, and CACHE_VERSION with it.
+ */
+const CACHE_VERSION = 3;
+const CACHE_NAME = 'eye-color-shell-v' + CACHE_VERSION;
+const SHELL = [
+  './',
+  'styles.css?v=20',
+  'alignment.js?v=1',
+  'offlineQueue.js?v=1',
+  'app.js?v=1',
+  'eye-color-core.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png'
+];
+
+self.addEventListener('install', function (event) {
+  event.waitUntil(caches.open(CACHE_NAME)
+    .then(function (cache) { return cache.addAll(SHELL); })
+    .then(function () { return self.skipWaiting(); }));
+});
+
+self.addEventListener('activate', function (event) {
+  event.waitUntil(caches.keys()
+    .then(function (names) {
+      return Promise.all(names
+        .filter(function (name) { return name.startsWith('eye-color-shell-') && name !== CACHE_NAME; })
+        .map(function (name) { return caches.delete(name); }));
+    })
+    .then(function () { return self.clients.claim(); }));
+});
+
+function isApiRequest(url) {
+  return url.pathname.startsWith('/api/') || url.pathname === '/metrics';
+}
+
+// Network first; the cached page (any query string, e.g. ?dev) when offline
+function loadPage(request) {
+  return fetch(request)
+    .then(function (response) {
+      if (response.ok && new URL(request.url).pathname === '/') {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(function (cache) { return cache.put('./', copy); });
+      }
+      return response;
+    })
+    .catch(function () {
+      return caches.match('./').then(function (cached) { return cached || Response.error(); });
+    });
+}
+
+// Cached copy at once, refreshed from the network for next time
+function loadAsset(event) {
+  return caches.open(CACHE_NAME).then(function (cache) {
+    return cache.match(event.request).then(function (cached) {
+      const network = fetch(event.request).then(function (response) {
+        if (response.ok) cache.put(event.request, response.clone());
+        return response;
+      });
+      if (!cached) return network;
+      event.waitUntil(network.catch(function () {}));
+      return cached;
+    });
+  });
+}
+
+self.addEventListener('fetch', function (event) {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin || isApiRequest(url)) return;
+  event.respondWith(event.request.mode === 'navigate' ? loadPage(event.request) : loadAsset(event));
+});
@@ -0,0 +1,159 @@
+/**
+ * Worker thread pool for the pixel pipeline, so analyses never block the Express event loop:
+ * - size workers (ANALYSIS_WORKERS, default the CPU count up to 4) each run analysisWorker.js
+ * - run() analyzes a frame; runTask() runs the other pixel work of a request (the two-eye search,
+ *   the debug overlay's pixel pass) through the same workers and queue
+ * - Frames wait in a FIFO queue while every worker is busy; once maxQueue frames are waiting
+ *   (ANALYSIS_QUEUE_SIZE) run() rejects with AnalysisQueueFullError, answered 503 SERVER_BUSY
+ * - Decoding stays on the main thread (libvips has its own threads); only the decoded frame is
+ *   copied to the worker, which zeroes it once analyzed
+ * - A worker that crashes fails its analysis and is replaced
+ * Errors are rebuilt on the main thread, so callers see ImageQualityError and InvalidOptionError as usual.
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { ImageQualityError } = require('./imageQuality');
+const { InvalidOptionError } = require('./optionError');
+const { getPalette, DEFAULT_PALETTE_ID } = require('./paletteRegistry');
+
+const WORKER_FILE = path.join(__dirname, 'analysisWorker.js');
+const DEFAULT_WORKERS = Math.min(4, os.cpus().length || 1);
+const DEFAULT_QUEUE_SIZE = 64;
+// Seconds a client told SERVER_BUSY should wait before retrying
+const RETRY_AFTER_SECONDS = 1;
+
+class AnalysisQueueFullError extends Error {
+  constructor(queued) {
+    super(`The server is busy: ${queued} analyses are already waiting. Try again shortly.`);
+    this.name = 'AnalysisQueueFullError';
+    this.code = 'SERVER_BUSY';
+    this.queued = queued;
+    this.retryAfter = RETRY_AFTER_SECONDS;
+  }
+}
+
+function rebuildError({ name, message, reasons, quality }) {
+  if (name === 'ImageQualityError') return new ImageQualityError(reasons, quality);
+  if (name === 'InvalidOptionError') return new InvalidOptionError(message);
+  const err = new Error(message);
+  err.name = name;
+  return err;
+}
+
+// Uploaded palettes live in the main thread's registry only, so their definition travels along
+function uploadedPalette(id = DEFAULT_PALETTE_ID) {
+  const palette = getPalette(id);
+  if (palette.source !== 'uploaded') return null;
+  const definition = { id: palette.id, name: palette.name, colors: palette.colors.map(({ name, hex }) => ({ name, hex })) };
+  if (palette.description) definition.description = palette.description;
+  return definition;
+}
+
+/**
+ * Start a pool: { run(pixels, width, height, options), runTask(task, pixels, width, height, options), stats(), close() }.
+ * run takes analyzePixels arguments and resolves to its result; runTask runs one of the worker's
+ * tasks (see analysisWorker.js) on a frame. The pixels are copied, so the caller still owns
+ * (and zeroes) them. Stage timings land in options.timer.
+ */
+function createAnalysisPool({ size = DEFAULT_WORKERS, maxQueue = DEFAULT_QUEUE_SIZE, workerFile = WORKER_FILE } = {}) {
+  if (!Number.isInteger(size) || size < 1) throw new RangeError('size must be a positive integer');
+  if (!Number.isInteger(maxQueue) || maxQueue < 0) throw new RangeError('maxQueue must be a non-negative integer');
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+  let nextId = 1;
+  let closed = false;
+
+  function settle(job, { result, error, timings }) {
+    if (job.timer && timings) {
+      for (const [stage, ms] of Object.entries(timings)) job.timer.add(stage, ms);
+    }
+    if (error) job.reject(rebuildError(error));
+    else job.resolve(result);
+  }
+
+  function spawn() {
+    const worker = new Worker(workerFile);
+    worker.job = null;
+    worker.on('message', message => {
+      const { job } = worker;
+      worker.job = null;
+      idle.push(worker);
+      if (job && job.id === message.id) settle(job, message);
+      dispatch();
+    });
+    worker.on('error', err => {
+      worker.failure = err;
+    });
+    worker.on('exit', code => {
+      workers.delete(worker);
+      const index = idle.indexOf(worker);
+      if (index !== -1) idle.splice(index, 1);
+      if (worker.job) {
+        worker.job.reject(closed ? new Error('The analysis pool was closed') : worker.failure || new Error(`Analysis worker exited with code ${code}`));
+      }
+      if (!closed) {
+        spawn();
+        dispatch();
+      }
+    });
+    workers.add(worker);
+    idle.push(worker);
+  }
+
+  function dispatch() {
+    while (idle.length && queue.length) {
+      const worker = idle.shift();
+      const job = queue.shift();
+      worker.job = job;
+      const { message } = job;
+      job.message = null;
+      worker.postMessage(message, [message.pixels.buffer]);
+    }
+  }
+
+  for (let i = 0; i < size; i++) spawn();
+
+  function runTask(task, pixels, width, height, options = {}) {
+    if (closed) return Promise.reject(new Error('The analysis pool was closed'));
+    if (!idle.length && queue.length >= maxQueue) return Promise.reject(new AnalysisQueueFullError(queue.length));
+    // The timer, the pool itself and debug stay here; the rest is plain data
+    const { timer, pool, debug, ...analysisOptions } = options;
+    let palette;
+    try {
+      palette = uploadedPalette(options.palette);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    const message = { id: nextId++, task, pixels: new Uint8Array(pixels), width, height, options: analysisOptions, palette };
+    return new Promise((resolve, reject) => {
+      queue.push({ id: message.id, message, timer, resolve, reject });
+      dispatch();
+    });
+  }
+
+  return {
+    run(pixels, width, height, options = {}) {
+      return runTask('analyze', pixels, width, height, options);
+    },
+    runTask,
+    /** { workers, busy, queued, maxQueue } */
+    stats() {
+      return { workers: workers.size, busy: workers.size - idle.length, queued: queue.length, maxQueue };
+    },
+    /** Fail queued analyses and stop the workers; running analyses are rejected too */
+    async close() {
+      if (closed) return;
+      closed = true;
+      for (const job of queue.splice(0)) {
+        job.message.pixels.fill(0);
+        job.reject(new Error('The analysis pool was closed'));
+      }
+      await Promise.all([...workers].map(worker => worker.terminate()));
+    }
+  };
+}
+
+module.exports = { createAnalysisPool, AnalysisQueueFullError, DEFAULT_WORKERS, DEFAULT_QUEUE_SIZE };
@@ -0,0 +1,53 @@
+/**
+ * Worker thread of the analysis pool (see analysisPool.js): runs pixel work on decoded frames
+ * sent by the main thread.
+ * - Tasks: analyze (analyzePixels), locateEyes (findEyePair on a frame with options.channels
+ *   channels) and debugOverlay (overlayPixels)
+ * - Messages in: { id, task, pixels, width, height, options, palette }; palette is the definition
+ *   of an uploaded palette, which only the main thread's registry knows about
+ * - Messages out: { id, result, timings } or { id, error } with the error's name, message and
+ *   the fields needed to rebuild it (reasons and quality of an ImageQualityError)
+ * - The frame, and any pixel buffers of a result once sent, are zeroed
+ */
+
+const { parentPort } = require('worker_threads');
+const { analyzePixels } = require('./pixelAnalyzer');
+const { findEyePair } = require('./eyeLocator');
+const { overlayPixels } = require('./debugOverlay');
+const { registerPalette, loadBundledPalettes } = require('./paletteRegistry');
+const { createStageTimer } = require('./stageTimer');
+
+// The main thread reads the same files and has already reported any it skipped
+loadBundledPalettes({ onSkip: () => {} });
+
+const TASKS = {
+  analyze: (pixels, width, height, options, timer) => analyzePixels(pixels, width, height, { ...options, timer }),
+  locateEyes: (pixels, width, height, options) => findEyePair(pixels, width, height, options.channels),
+  debugOverlay: (pixels, width, height, options) => overlayPixels(pixels, width, height, options)
+};
+
+function serializeError(err) {
+  const serialized = { name: err.name, message: err.message };
+  if (err.reasons) serialized.reasons = err.reasons;
+  if (err.quality) serialized.quality = err.quality;
+  return serialized;
+}
+
+parentPort.on('message', ({ id, task = 'analyze', pixels, width, height, options, palette }) => {
+  const timer = createStageTimer();
+  let result = null;
+  try {
+    if (!TASKS[task]) throw new Error(`Unknown analysis task "${task}"`);
+    if (palette) registerPalette(palette);
+    result = TASKS[task](pixels, width, height, options, timer);
+    parentPort.postMessage({ id, result, timings: timer.toJSON() });
+  } catch (err) {
+    parentPort.postMessage({ id, error: serializeError(err), timings: timer.toJSON() });
+  } finally {
+    pixels.fill(0);
+    // postMessage has copied the result; the worker keeps no pixels of it
+    for (const value of Object.values(result || {})) {
+      if (ArrayBuffer.isView(value)) value.fill(0);
+    }
+  }
+});
@@ -0,0 +1,95 @@
+/**
+ * Structured API errors: every failure is answered as { error: { code, message, ...details } }
+ * - code is stable and meant for programs; message is for people and may change
+ * - Known error classes (quality gate, bad options, uploads, palettes, archives, request bodies,
+ *   a full analysis queue) map to a status and code in describeError. Bad options are
+ *   InvalidOptionError only: any other RangeError is a bug and answered as a 500
+ * - Errors with a retryAfter detail (429, 503) also set the Retry-After header
+ * - Anything else is a 500 INTERNAL_ERROR whose message never includes internal details; it is
+ *   logged with the request ID, which the response carries so a report can be matched to the log
+ */
+
+const { ImageQualityError } = require('./imageQuality');
+const { ImageValidationError } = require('./imageValidation');
+const { PaletteValidationError, PaletteRegistryError } = require('./paletteRegistry');
+const { ZipArchiveError } = require('./zipArchive');
+const { AnalysisQueueFullError } = require('./analysisPool');
+const { InvalidOptionError } = require('./optionError');
+const { logger } = require('./logger');
+
+const IMAGE_ERROR_STATUS = {
+  INVALID_IMAGE_DATA: 400,
+  INVALID_IMAGE: 400,
+  UNSUPPORTED_IMAGE_TYPE: 415,
+  IMAGE_TOO_LARGE: 413,
+  IMAGE_DIMENSIONS_TOO_LARGE: 413
+};
+
+// The upload cap never resets while the server runs, so it is not a 429 to retry later
+const PALETTE_ERROR_STATUS = {
+  PALETTE_EXISTS: 409,
+  PALETTE_LIMIT: 507
+};
+
+const MULTER_ERROR_CODES = {
+  LIMIT_FILE_SIZE: [413, 'IMAGE_TOO_LARGE'],
+  LIMIT_FILE_COUNT: [400, 'TOO_MANY_FILES'],
+  LIMIT_UNEXPECTED_FILE: [400, 'UNEXPECTED_FILE']
+};
+
+/**
+ * An error with an HTTP status and a stable code; details are merged into the error body
+ */
+class ApiError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * HTTP status and JSON body for an error: { status, body: { error: { code, message, ... } } }.
+ * fallbackMessage replaces the message of unexpected (500) errors.
+ */
+function describeError(err, fallbackMessage = 'Internal server error') {
+  const reply = (status, code, message, details = {}) => ({ status, body: { error: { code, message, ...details } } });
+  if (err instanceof ApiError) return reply(err.status, err.code, err.message, err.details);
+  if (err instanceof ImageQualityError) {
+    return reply(422, 'IMAGE_QUALITY', err.message, { reasons: err.reasons, quality: err.quality });
+  }
+  if (err instanceof ImageValidationError) return reply(IMAGE_ERROR_STATUS[err.code] || 400, err.code, err.message);
+  if (err instanceof PaletteValidationError) return reply(400, 'INVALID_PALETTE', err.message, { details: err.errors });
+  if (err instanceof PaletteRegistryError) return reply(PALETTE_ERROR_STATUS[err.code] || 409, err.code, err.message);
+  if (err instanceof ZipArchiveError) return reply(400, 'INVALID_ARCHIVE', err.message);
+  if (err instanceof AnalysisQueueFullError) return reply(503, err.code, err.message, { retryAfter: err.retryAfter });
+  if (err instanceof InvalidOptionError) return reply(400, err.code, err.message);
+  if (err && err.name === 'MulterError') {
+    const [status, code] = MULTER_ERROR_CODES[err.code] || [400, 'INVALID_UPLOAD'];
+    return reply(status, code, err.message);
+  }
+  // body-parser errors carry a type and an expose flag
+  if (err && err.type === 'entity.too.large') return reply(413, 'PAYLOAD_TOO_LARGE', `Request body is larger than ${err.limit} bytes`);
+  if (err && err.type === 'entity.parse.failed') return reply(400, 'INVALID_JSON', 'Request body is not valid JSON');
+  if (err && err.expose && err.status >= 400 && err.status < 500) return reply(err.status, 'BAD_REQUEST', err.message);
+  return reply(500, 'INTERNAL_ERROR', fallbackMessage);
+}
+
+/**
+ * Answer a request with the structured form of err, logging unexpected errors
+ */
+function sendError(res, err, fallbackMessage) {
+  const { status, body } = describeError(err, fallbackMessage);
+  const req = res.req || {};
+  res.locals.errorCode = body.error.code;
+  if (body.error.retryAfter && !res.get('Retry-After')) res.set('Retry-After', String(body.error.retryAfter));
+  if (status === 500) {
+    (req.log || logger).error('Unhandled error', { err });
+    if (req.id) body.error.requestId = req.id;
+  }
+  return res.status(status).json(body);
+}
+
+module.exports = { ApiError, describeError, sendError };
@@ -0,0 +1,40 @@
+/**
+ * API versions:
+ * - /api/v1 is the documented, stable surface (see openapi.js). Its results drop the duplicate
+ *   colorCode fields: generalColor is { name, hex, description } and hex is the color code
+ * - /api keeps the original unversioned routes and result shape for existing integrations
+ * Both are served by the same router; apiVersion() tags the request so results can be shaped per version.
+ */
+
+const API_VERSIONS = ['v1'];
+const CURRENT_API_VERSION = 'v1';
+
+/**
+ * Middleware recording the API version of the routes it is mounted in front of (req.apiVersion)
+ */
+function apiVersion(version) {
+  if (!API_VERSIONS.includes(version)) throw new RangeError(`Unknown API version "${version}"`);
+  return (req, res, next) => {
+    req.apiVersion = version;
+    next();
+  };
+}
+
+function formatEye(result) {
+  const { colorCode, ...rest } = result;
+  const { name, hex, description } = result.generalColor;
+  // Scans stored before descriptions were added have none
+  return { ...rest, generalColor: description ? { name, hex, description } : { name, hex } };
+}
+
+/**
+ * An analysis result (single eye, burst or both eyes) in the shape of an API version;
+ * unversioned (version null) results are returned as they are
+ */
+function formatResult(result, version = null) {
+  if (!version || !result) return result;
+  if (result.mode === 'both') return { ...result, left: formatEye(result.left), right: formatEye(result.right) };
+  return formatEye(result);
+}
+
+module.exports = { apiVersion, formatResult, API_VERSIONS, CURRENT_API_VERSION };
@@ -0,0 +1,78 @@
+/**
+ * Batch analysis shared by POST /api/analyze/batch and the eye-color CLI:
+ * - Runs analyzeEyeColor (or analyzeBothEyes) over many images with bounded concurrency,
+ *   so a large batch never starts every sharp pipeline at once
+ * - Collects a result or an error per item instead of failing the whole batch
+ * - Unexpected (500) item errors are logged when a logger is given; their real message is kept only
+ *   when the caller asks (the CLI, run on the user's own files), the API answers a generic one
+ */
+
+const os = require('os');
+const { analyzeEyeColor, analyzeBothEyes } = require('./colorAnalyzer');
+const { describeError } = require('./apiErrors');
+const { InvalidOptionError } = require('./optionError');
+
+const DEFAULT_CONCURRENCY = Math.max(1, Math.min(4, os.cpus().length));
+const MAX_CONCURRENCY = 16;
+const ANALYSIS_MODES = ['single', 'both'];
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp)$/i;
+
+/**
+ * Map items through an async fn with at most `limit` calls in flight; results keep input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Analyze [{ name, buffer }]. Returns [{ name, status: 'ok', result, timingMs }
+ * or { name, status: 'error', error: { status, code, message, reasons?, quality? }, timingMs }] in input order.
+ * batchOptions: { concurrency = DEFAULT_CONCURRENCY, mode = 'single', validate, log, detailedErrors }:
+ * validate is an optional async check of each buffer before analysis (its errors become that item's
+ * error); log (e.g. the request logger) records unexpected item errors; detailedErrors keeps their
+ * message instead of 'Analysis failed.'.
+ */
+async function analyzeBatch(items, options = {}, { concurrency = DEFAULT_CONCURRENCY, mode = 'single', validate = null, log = null, detailedErrors = false } = {}) {
+  if (!ANALYSIS_MODES.includes(mode)) {
+    throw new InvalidOptionError(`mode must be one of: ${ANALYSIS_MODES.join(', ')}`);
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    throw new InvalidOptionError(`concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`);
+  }
+  const analyze = mode === 'both' ? analyzeBothEyes : analyzeEyeColor;
+  return mapWithConcurrency(items, concurrency, async (item) => {
+    const { name } = item;
+    const started = process.hrtime.bigint();
+    const elapsed = () => Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+    try {
+      // item.buffer may be a lazy getter (the CLI reads files only when their turn comes)
+      const buffer = item.buffer;
+      if (validate) await validate(buffer);
+      const result = await analyze(buffer, options);
+      return { name, status: 'ok', result, timingMs: elapsed() };
+    } catch (err) {
+      const { status, body } = describeError(err, (detailedErrors && err && err.message) || 'Analysis failed.');
+      if (status === 500 && log) log.error('Batch item failed', { err, item: name });
+      return { name, status: 'error', error: { status, ...body.error }, timingMs: elapsed() };
+    }
+  });
+}
+
+module.exports = {
+  analyzeBatch,
+  mapWithConcurrency,
+  DEFAULT_CONCURRENCY,
+  MAX_CONCURRENCY,
+  ANALYSIS_MODES,
+  IMAGE_EXTENSIONS
+};
@@ -0,0 +1,94 @@
+/**
+ * Browser build of the sharp-free analysis core (browserCore.js and what it requires):
+ * - Follows relative require() calls from the entry and wraps each module in a function
+ * - JSON files are inlined; other requires (Node built-ins) throw if they are ever reached,
+ *   so modules in the bundle only use them lazily on Node-only paths
+ * - Exposes the entry's exports as window.EyeColorCore
+ * Served at /eye-color-core.js; `npm run build:browser` writes dist/eye-color-core.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ENTRY = path.join(__dirname, 'browserCore.js');
+const REQUIRE_PATTERN = /require\('(\.{1,2}\/[^']+)'\)/g;
+
+function resolveModule(from, request) {
+  const file = path.resolve(path.dirname(from), request);
+  for (const candidate of [file, file + '.js']) {
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+  }
+  throw new Error(`Cannot resolve "${request}" from ${path.relative(__dirname, from)}`);
+}
+
+/**
+ * Modules reachable from entry, entry first: [{ file, source, deps: { request: index } }]
+ */
+function collectModules(entry) {
+  const modules = [];
+  const indexByFile = new Map();
+  const visit = file => {
+    if (indexByFile.has(file)) return indexByFile.get(file);
+    const module = { file, source: fs.readFileSync(file, 'utf8'), deps: {} };
+    indexByFile.set(file, modules.length);
+    modules.push(module);
+    if (file.endsWith('.js')) {
+      for (const [, request] of module.source.matchAll(REQUIRE_PATTERN)) {
+        module.deps[request] = visit(resolveModule(file, request));
+      }
+    }
+    return indexByFile.get(file);
+  };
+  visit(entry);
+  return modules;
+}
+
+/**
+ * Source of the bundle (a classic script, no module loader needed)
+ */
+function buildBrowserBundle(entry = ENTRY) {
+  const definitions = collectModules(entry).map(({ file, source, deps }) => {
+    const body = file.endsWith('.json') ? `module.exports = ${source.trim()};` : source.trim();
+    return `  // ${path.relative(__dirname, file)}\n  [function (module, exports, require) {\n${body}\n  }, ${JSON.stringify(deps)}]`;
+  });
+  return `/* Eye color analysis core for the browser. Generated by server/browserBundle.js; do not edit. */
+(function (global) {
+  var definitions = [
+${definitions.join(',\n')}
+  ];
+  var cache = [];
+  function load(index) {
+    if (cache[index]) return cache[index].exports;
+    var module = cache[index] = { exports: {} };
+    var deps = definitions[index][1];
+    definitions[index][0](module, module.exports, function (request) {
+      if (!Object.prototype.hasOwnProperty.call(deps, request)) {
+        throw new Error('"' + request + '" is not available in the browser build');
+      }
+      return load(deps[request]);
+    });
+    return module.exports;
+  }
+  global.EyeColorCore = load(0);
+})(typeof self !== 'undefined' ? self : this);
+`;
+}
+
+let cachedBundle = null;
+
+/**
+ * The bundle, built once per process
+ */
+function getBrowserBundle() {
+  if (!cachedBundle) cachedBundle = buildBrowserBundle();
+  return cachedBundle;
+}
+
+if (require.main === module) {
+  const out = path.resolve(process.argv[2] || path.join(__dirname, '..', 'dist', 'eye-color-core.js'));
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, buildBrowserBundle());
+  console.log(`Wrote ${path.relative(process.cwd(), out)}`);
+}
+
+module.exports = { buildBrowserBundle, getBrowserBundle, collectModules };
@@ -0,0 +1,36 @@
+/**
+ * Entry point of the browser build of the analysis core (bundled by browserBundle.js):
+ * - Registers the bundled palettes from inlined JSON, since there is no filesystem to read
+ * - analyzeImageData runs the single-eye pipeline on canvas pixels, so the image never
+ *   leaves the device; two-eye mode needs the server (eye location decodes with sharp)
+ */
+
+const { analyzePixels, analysisSize, WHITE_BALANCE_MODES } = require('./pixelAnalyzer');
+const { registerBundledPalette, listPalettes } = require('./paletteRegistry');
+const { ImageQualityError } = require('./imageQuality');
+const { CLUSTERING_ALGORITHMS } = require('./colorClustering');
+const { COLOR_METRICS } = require('./colorDifference');
+
+// Keep in step with data/palettes (test/privacy.test.js checks it, in the browser bundle test).
+// An invalid one is reported with console.warn, registerBundledPalette's default onSkip.
+registerBundledPalette(require('./data/palettes/martin-schultz.json'), 'martin-schultz.json');
+registerBundledPalette(require('./data/palettes/pantone.json'), 'pantone.json');
+
+/**
+ * Analyze canvas pixels ({ data, width, height }, e.g. from getImageData) of a frame drawn at
+ * analysisSize(sourceWidth, sourceHeight). Pass that size's scale in options; the other options
+ * and the result are those of analyzeEyeColor. Throws ImageQualityError or InvalidOptionError likewise.
+ */
+function analyzeImageData(imageData, options = {}) {
+  return analyzePixels(imageData.data, imageData.width, imageData.height, options);
+}
+
+module.exports = {
+  analyzeImageData,
+  analysisSize,
+  listPalettes,
+  ImageQualityError,
+  WHITE_BALANCE_MODES,
+  CLUSTERING_ALGORITHMS,
+  COLOR_METRICS
+};
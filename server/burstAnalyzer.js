@@ -0,0 +1,146 @@
+/**
+ * Burst analysis: several frames of the same eye from the live camera, reduced to one result.
+ * - Every frame goes through analyzeEyeColor; frames failing the quality gate are dropped
+ * - Frames much blurrier than the rest of the burst are dropped (a blink or motion mid-burst)
+ * - Frames whose iris color is far from the burst median are dropped (glare, a lash, a misfit)
+ * - The consensus category comes from the kept frames' breakdowns pooled together; the full
+ *   result (iris map, segmentation, ...) is the kept frame closest to the median color
+ */
+
+const { analyzeEyeColor, meanBreakdownLab, pickGeneralColor, ImageQualityError } = require('./colorAnalyzer');
+const { mapWithConcurrency } = require('./batchAnalyzer');
+const { medianLab } = require('./irisZones');
+const { describeColor } = require('./colorDescription');
+const { getColorDifference, DEFAULT_METRIC } = require('./colorDifference');
+const { createStageTimer } = require('./stageTimer');
+const { InvalidOptionError } = require('./optionError');
+
+const MAX_BURST_FRAMES = 10;
+const MIN_SHARPNESS_RATIO = 0.5;  // of the median sharpness of frames that passed the gate
+const MIN_OUTLIER_DELTA_E = 4;    // frames this close to the median color are never outliers
+const OUTLIER_MAD_FACTOR = 3;     // outlier = delta E above this many median absolute deviations
+
+const round2 = x => Math.round(x * 100) / 100;
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function standardDeviation(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length);
+}
+
+/**
+ * The error for a burst with no usable frame: every distinct reason code, and the scores of
+ * the frame that came closest (fewest failed checks)
+ */
+function burstQualityError(failures) {
+  const reasons = [];
+  for (const { error } of failures) {
+    for (const r of error.reasons) {
+      if (!reasons.some(existing => existing.code === r.code)) reasons.push(r);
+    }
+  }
+  const closest = failures.reduce((best, f) => (f.error.reasons.length < best.error.reasons.length ? f : best));
+  return new ImageQualityError(reasons, closest.error.quality);
+}
+
+/**
+ * Analyze a burst of image buffers of one eye. options are analyzeEyeColor options.
+ * Returns the consensus result: the representative frame's result with generalColor and
+ * confidence from all kept frames, plus
+ * burst: { frameCount, usedCount, representativeFrame, outlierDeltaE, variance, frames }
+ * (and debug: { timings } summed over frames, with options.debug).
+ * Throws ImageQualityError when no frame passes the quality gate, InvalidOptionError for bad input.
+ */
+async function analyzeBurst(frames, options = {}, { concurrency = 1 } = {}) {
+  if (!Array.isArray(frames) || frames.length === 0 || frames.length > MAX_BURST_FRAMES) {
+    throw new InvalidOptionError(`A burst needs between 1 and ${MAX_BURST_FRAMES} frames`);
+  }
+  const distance = getColorDifference(options.metric || DEFAULT_METRIC);
+  const { timer = createStageTimer(), debug = false } = options;
+
+  // Quality gate failures are expected per frame; anything else (bad options) fails the burst
+  const outcomes = await mapWithConcurrency(frames, concurrency, async (buffer, index) => {
+    try {
+      return { index, result: await analyzeEyeColor(buffer, { ...options, timer, debug: false }) };
+    } catch (err) {
+      if (err instanceof ImageQualityError) return { index, error: err };
+      throw err;
+    }
+  });
+
+  const failures = outcomes.filter(o => o.error);
+  const passed = outcomes.filter(o => o.result);
+  if (passed.length === 0) throw burstQualityError(failures);
+
+  const status = new Map(failures.map(f => [f.index, 'quality']));
+  const minSharpness = MIN_SHARPNESS_RATIO * median(passed.map(o => o.result.quality.sharpness));
+  let kept = passed.filter(o => {
+    if (o.result.quality.sharpness >= minSharpness) return true;
+    status.set(o.index, 'sharpness');
+    return false;
+  });
+
+  for (const o of kept) o.lab = meanBreakdownLab(o.result.breakdown);
+  let center = medianLab(kept.map(o => o.lab));
+  for (const o of kept) o.deltaE = distance(center, o.lab);
+  // With fewer than three frames there is no majority to call either one an outlier
+  const outlierDeltaE = Math.max(MIN_OUTLIER_DELTA_E, OUTLIER_MAD_FACTOR * median(kept.map(o => o.deltaE)));
+  if (kept.length >= 3) {
+    kept = kept.filter(o => {
+      if (o.deltaE <= outlierDeltaE) return true;
+      status.set(o.index, 'color');
+      return false;
+    });
+    center = medianLab(kept.map(o => o.lab));
+    for (const o of kept) o.deltaE = distance(center, o.lab);
+  }
+
+  const representative = kept.reduce((best, o) => (o.deltaE < best.deltaE ? o : best));
+  const pooled = kept.flatMap(o => o.result.breakdown.map(c => ({ ...c, percentage: c.percentage / kept.length })));
+  const { hex, category, confidence } = pickGeneralColor(pooled);
+  const deltaEs = kept.map(o => o.deltaE);
+
+  const result = {
+    ...representative.result,
+    generalColor: { name: category.name, hex, colorCode: hex, description: describeColor(hex) },
+    confidence,
+    colorCode: hex,
+    burst: {
+      frameCount: frames.length,
+      usedCount: kept.length,
+      representativeFrame: representative.index,
+      outlierDeltaE: round2(outlierDeltaE),
+      variance: {
+        meanDeltaE: round2(deltaEs.reduce((a, b) => a + b, 0) / deltaEs.length),
+        maxDeltaE: round2(Math.max(...deltaEs)),
+        lab: {
+          L: round2(standardDeviation(kept.map(o => o.lab.L))),
+          a: round2(standardDeviation(kept.map(o => o.lab.a))),
+          b: round2(standardDeviation(kept.map(o => o.lab.b)))
+        }
+      },
+      frames: outcomes.map(o => ({
+        index: o.index,
+        used: !status.has(o.index),
+        discarded: status.get(o.index) || null,
+        reasons: o.error ? o.error.reasons.map(r => r.code) : [],
+        sharpness: o.result ? o.result.quality.sharpness : (o.error.quality && o.error.quality.sharpness) || null,
+        generalColor: o.result ? o.result.generalColor.name : null,
+        deltaE: o.lab ? round2(distance(center, o.lab)) : null
+      }))
+    }
+  };
+  return debug ? { ...result, debug: { timings: timer.toJSON() } } : result;
+}
+
+module.exports = {
+  analyzeBurst,
+  MAX_BURST_FRAMES,
+  MIN_SHARPNESS_RATIO,
+  MIN_OUTLIER_DELTA_E
+};
@@ -0,0 +1,140 @@
+/**
+ * General eye color categories with soft (probabilistic) membership:
+ * - Each color gets a distribution over categories from overlapping hue bands, so a hue near a
+ *   band edge splits between neighbours instead of flipping on a hard cutoff
+ * - Low saturation moves weight to gray; teal splits between green and blue by saturation
+ * - An eye's distribution is the percentage-weighted mix of its breakdown, with any shared
+ *   brown + green mass counted as hazel
+ */
+
+const { hexToRgb, getHSL } = require('./colorSpace');
+
+const EYE_COLOR_CATEGORIES = {
+  blue: { name: 'Blue', hex: '#4682B4' },
+  green: { name: 'Green', hex: '#228B22' },
+  hazel: { name: 'Hazel', hex: '#8E7618' },
+  brown: { name: 'Brown', hex: '#634E34' },
+  gray: { name: 'Gray', hex: '#708090' },
+  amber: { name: 'Amber', hex: '#FFBF00' },
+  violet: { name: 'Violet', hex: '#5A5C9E' }
+};
+
+// Hue bands in degrees (HSL hue); 'teal' is split between green and blue by saturation
+const HUE_BANDS = [
+  { category: 'brown', from: -20, to: 35 },
+  { category: 'amber', from: 35, to: 50 },
+  { category: 'hazel', from: 50, to: 80 },
+  { category: 'green', from: 80, to: 170 },
+  { category: 'teal', from: 170, to: 200 },
+  { category: 'blue', from: 200, to: 260 },
+  { category: 'violet', from: 260, to: 300 },
+  { category: 'gray', from: 300, to: 340 }
+];
+// Half-width of the linear blend at each band edge; at most half the narrowest band
+const HUE_SOFTNESS = 6;
+// Saturation below GRAY_SATURATION.full is all gray, above GRAY_SATURATION.none not gray at all
+const GRAY_SATURATION = { full: 0.06, none: 0.14 };
+const TEAL_GREEN_SATURATION = { from: 0.1, to: 0.2 };
+// Top two categories closer than this are reported as ambiguous
+const AMBIGUITY_MARGIN = 0.15;
+
+const clamp01 = x => Math.max(0, Math.min(1, x));
+
+/**
+ * Trapezoid membership of a hue in a band; adjacent bands sum to 1 across their shared edge
+ */
+function bandMembership(hue, band) {
+  // Also test the hue one turn down, so the red-brown band (340-360 and 0-35) is contiguous
+  return Math.max(...[hue, hue - 360].map(h => {
+    const rise = (h - band.from + HUE_SOFTNESS) / (2 * HUE_SOFTNESS);
+    const fall = (band.to - h + HUE_SOFTNESS) / (2 * HUE_SOFTNESS);
+    return clamp01(Math.min(rise, fall));
+  }));
+}
+
+function emptyDistribution() {
+  const distribution = {};
+  for (const key of Object.keys(EYE_COLOR_CATEGORIES)) distribution[key] = 0;
+  return distribution;
+}
+
+/**
+ * Category distribution for one color: { blue, green, hazel, brown, gray, amber, violet } summing to 1
+ */
+function colorCategoryDistribution(hex) {
+  const distribution = emptyDistribution();
+  const rgb = hexToRgb(hex);
+  if (!rgb) {
+    distribution.gray = 1;
+    return distribution;
+  }
+  const { h: hue, s: saturation } = getHSL(rgb.r, rgb.g, rgb.b);
+  const gray = clamp01((GRAY_SATURATION.none - saturation) / (GRAY_SATURATION.none - GRAY_SATURATION.full));
+  distribution.gray += gray;
+
+  const greenShare = clamp01((saturation - TEAL_GREEN_SATURATION.from) / (TEAL_GREEN_SATURATION.to - TEAL_GREEN_SATURATION.from));
+  for (const band of HUE_BANDS) {
+    const weight = (1 - gray) * bandMembership(hue, band);
+    if (band.category === 'teal') {
+      distribution.green += weight * greenShare;
+      distribution.blue += weight * (1 - greenShare);
+    } else {
+      distribution[band.category] += weight;
+    }
+  }
+  return distribution;
+}
+
+/**
+ * Most likely category for one color (the hard classification)
+ */
+function classifyEyeColor(hex) {
+  const distribution = colorCategoryDistribution(hex);
+  const key = Object.keys(distribution).reduce((best, k) => (distribution[k] > distribution[best] ? k : best));
+  return EYE_COLOR_CATEGORIES[key];
+}
+
+/**
+ * Distribution over categories for a whole breakdown ([{ hex, percentage }]), plus how confident it is.
+ * Returns { distribution (sorted, rounded to 3 places), category, runnerUp, margin, ambiguous }.
+ */
+function categorizeBreakdown(breakdown) {
+  const distribution = emptyDistribution();
+  let weight = 0;
+  for (const c of breakdown) {
+    const w = c.percentage || 0;
+    const d = colorCategoryDistribution(c.hex);
+    for (const key of Object.keys(d)) distribution[key] += w * d[key];
+    weight += w;
+  }
+  if (weight === 0) {
+    distribution.gray = 1;
+  } else {
+    for (const key of Object.keys(distribution)) distribution[key] /= weight;
+  }
+  // Brown and green together read as hazel: move the shared part of both
+  const shared = Math.min(distribution.brown, distribution.green);
+  distribution.brown -= shared;
+  distribution.green -= shared;
+  distribution.hazel += 2 * shared;
+
+  const ranked = Object.keys(distribution).sort((a, b) => distribution[b] - distribution[a]);
+  const margin = distribution[ranked[0]] - distribution[ranked[1]];
+  const rounded = {};
+  for (const key of ranked) rounded[key] = Math.round(distribution[key] * 1000) / 1000;
+  return {
+    distribution: rounded,
+    category: ranked[0],
+    runnerUp: ranked[1],
+    margin: Math.round(margin * 1000) / 1000,
+    ambiguous: margin < AMBIGUITY_MARGIN
+  };
+}
+
+module.exports = {
+  EYE_COLOR_CATEGORIES,
+  AMBIGUITY_MARGIN,
+  classifyEyeColor,
+  colorCategoryDistribution,
+  categorizeBreakdown
+};
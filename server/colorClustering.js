@@ -0,0 +1,247 @@
+/**
+ * Perceptual color clustering in CIELAB for iris samples:
+ * - k-means++ (seeded, deterministic) or median cut
+ * - Clusters closer than a delta E threshold are merged afterwards
+ * - Each cluster reports its mean LAB/RGB, pixel count and variance (mean squared delta E to the centroid)
+ *
+ * Points are packed as { count, lab: [L, a, b, ...], rgb: [r, g, b, ...] } in typed arrays (see
+ * sampleIris), or given as an array of { lab: { L, a, b }, rgb: { r, g, b } }.
+ */
+
+const { InvalidOptionError } = require('./optionError');
+
+const CLUSTERING_ALGORITHMS = ['kmeans', 'median-cut'];
+const DEFAULT_SEED = 42;
+const DEFAULT_MERGE_DELTA_E = 3;
+const MAX_KMEANS_ITERATIONS = 25;
+
+/**
+ * Small seeded PRNG (mulberry32) so identical input always yields identical clusters
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function distanceSq(p, q) {
+  const dL = p.L - q.L, da = p.a - q.a, db = p.b - q.b;
+  return dL * dL + da * da + db * db;
+}
+
+/**
+ * Points as a packed sample set (see the header); arrays of point objects are copied into one
+ */
+function packPoints(points) {
+  if (!Array.isArray(points)) return points;
+  const lab = new Float64Array(points.length * 3);
+  const rgb = new Float64Array(points.length * 3);
+  points.forEach((p, i) => {
+    lab[i * 3] = p.lab.L; lab[i * 3 + 1] = p.lab.a; lab[i * 3 + 2] = p.lab.b;
+    rgb[i * 3] = p.rgb.r; rgb[i * 3 + 1] = p.rgb.g; rgb[i * 3 + 2] = p.rgb.b;
+  });
+  return { count: points.length, lab, rgb };
+}
+
+/**
+ * Summarize the points at the given indices as a cluster
+ */
+function summarize(samples, indices) {
+  const { lab: labs, rgb: rgbs } = samples;
+  let L = 0, A = 0, B = 0, r = 0, g = 0, b = 0;
+  for (const i of indices) {
+    const k = i * 3;
+    L += labs[k]; A += labs[k + 1]; B += labs[k + 2];
+    r += rgbs[k]; g += rgbs[k + 1]; b += rgbs[k + 2];
+  }
+  const n = indices.length;
+  const lab = { L: L / n, a: A / n, b: B / n };
+  let sq = 0;
+  for (const i of indices) {
+    const k = i * 3;
+    const dL = labs[k] - lab.L, da = labs[k + 1] - lab.a, db = labs[k + 2] - lab.b;
+    sq += dL * dL + da * da + db * db;
+  }
+  return { lab, rgb: { r: r / n, g: g / n, b: b / n }, count: n, variance: sq / n };
+}
+
+/**
+ * k-means++ seeding, then Lloyd iterations until assignments stop changing
+ */
+function kmeans(samples, k, random) {
+  const { count, lab } = samples;
+  // Centers live in a flat array: [L, a, b] per cluster
+  const centers = [];
+  const addCenter = i => centers.push(lab[i * 3], lab[i * 3 + 1], lab[i * 3 + 2]);
+  addCenter(Math.floor(random() * count));
+  const nearest = new Float64Array(count).fill(Infinity);
+  while (centers.length < k * 3) {
+    const c = centers.length - 3;
+    const cL = centers[c], cA = centers[c + 1], cB = centers[c + 2];
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      const dL = lab[i * 3] - cL, da = lab[i * 3 + 1] - cA, db = lab[i * 3 + 2] - cB;
+      nearest[i] = Math.min(nearest[i], dL * dL + da * da + db * db);
+      total += nearest[i];
+    }
+    if (total === 0) break;  // fewer distinct colors than k
+    let target = random() * total;
+    let chosen = count - 1;
+    for (let i = 0; i < count; i++) {
+      target -= nearest[i];
+      if (target <= 0) {
+        chosen = i;
+        break;
+      }
+    }
+    addCenter(chosen);
+  }
+
+  const clusters = centers.length / 3;
+  const assignment = new Int32Array(count).fill(-1);
+  const means = Float64Array.from(centers);
+  const sums = new Float64Array(clusters * 3);
+  const sizes = new Int32Array(clusters);
+  for (let iter = 0; iter < MAX_KMEANS_ITERATIONS; iter++) {
+    let changed = 0;
+    for (let i = 0; i < count; i++) {
+      const pL = lab[i * 3], pA = lab[i * 3 + 1], pB = lab[i * 3 + 2];
+      let best = 0;
+      let bestDist = Infinity;
+      for (let c = 0; c < clusters; c++) {
+        const dL = pL - means[c * 3], da = pA - means[c * 3 + 1], db = pB - means[c * 3 + 2];
+        const d = dL * dL + da * da + db * db;
+        if (d < bestDist) {
+          bestDist = d;
+          best = c;
+        }
+      }
+      if (assignment[i] !== best) {
+        assignment[i] = best;
+        changed += 1;
+      }
+    }
+    if (changed === 0) break;
+    sums.fill(0);
+    sizes.fill(0);
+    for (let i = 0; i < count; i++) {
+      const c = assignment[i];
+      sums[c * 3] += lab[i * 3]; sums[c * 3 + 1] += lab[i * 3 + 1]; sums[c * 3 + 2] += lab[i * 3 + 2];
+      sizes[c] += 1;
+    }
+    // An emptied cluster keeps its previous center
+    for (let c = 0; c < clusters; c++) {
+      if (!sizes[c]) continue;
+      means[c * 3] = sums[c * 3] / sizes[c];
+      means[c * 3 + 1] = sums[c * 3 + 1] / sizes[c];
+      means[c * 3 + 2] = sums[c * 3 + 2] / sizes[c];
+    }
+  }
+
+  const groups = Array.from({ length: clusters }, () => []);
+  for (let i = 0; i < count; i++) groups[assignment[i]].push(i);
+  return groups.filter(g => g.length).map(g => summarize(samples, g));
+}
+
+/**
+ * Median cut: repeatedly split the box with the largest spread (count x widest LAB range)
+ * at the median of its widest axis. Boxes hold point indices.
+ */
+function medianCut(samples, k) {
+  const { count, lab } = samples;
+  const widest = box => {
+    let axis = 0;
+    let range = -1;
+    for (let ax = 0; ax < 3; ax++) {
+      let min = Infinity, max = -Infinity;
+      for (const i of box) {
+        const v = lab[i * 3 + ax];
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+      if (max - min > range) {
+        range = max - min;
+        axis = ax;
+      }
+    }
+    return { axis, range };
+  };
+
+  const boxes = [Array.from({ length: count }, (_, i) => i)];
+  while (boxes.length < k) {
+    let pick = -1;
+    let pickScore = 0;
+    let pickAxis = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      const { axis, range } = widest(box);
+      const score = range * box.length;
+      if (score > pickScore) {
+        pickScore = score;
+        pick = i;
+        pickAxis = axis;
+      }
+    });
+    if (pick === -1) break;
+    const sorted = boxes[pick].slice().sort((p, q) => lab[p * 3 + pickAxis] - lab[q * 3 + pickAxis]);
+    const mid = Math.floor(sorted.length / 2);
+    boxes.splice(pick, 1, sorted.slice(0, mid), sorted.slice(mid));
+  }
+  return boxes.filter(b => b.length).map(b => summarize(samples, b));
+}
+
+/**
+ * Merge the closest pair of clusters while it is within mergeDeltaE (CIE76 between centroids).
+ * Variances are pooled so the merged cluster still reports its true spread.
+ */
+function mergeClose(clusters, mergeDeltaE) {
+  const result = clusters.slice();
+  const limit = mergeDeltaE * mergeDeltaE;
+  for (;;) {
+    let bi = -1, bj = -1, best = Infinity;
+    for (let i = 0; i < result.length; i++) {
+      for (let j = i + 1; j < result.length; j++) {
+        const d = distanceSq(result[i].lab, result[j].lab);
+        if (d < best) {
+          best = d;
+          bi = i;
+          bj = j;
+        }
+      }
+    }
+    if (bi === -1 || best > limit) return result;
+    const p = result[bi], q = result[bj];
+    const n = p.count + q.count;
+    const mix = (x, y) => (x * p.count + y * q.count) / n;
+    const lab = { L: mix(p.lab.L, q.lab.L), a: mix(p.lab.a, q.lab.a), b: mix(p.lab.b, q.lab.b) };
+    const rgb = { r: mix(p.rgb.r, q.rgb.r), g: mix(p.rgb.g, q.rgb.g), b: mix(p.rgb.b, q.rgb.b) };
+    const variance = (p.count * (p.variance + distanceSq(p.lab, lab)) + q.count * (q.variance + distanceSq(q.lab, lab))) / n;
+    result.splice(bj, 1);
+    result[bi] = { lab, rgb, count: n, variance };
+  }
+}
+
+/**
+ * Cluster LAB points. Returns clusters sorted by count (largest first):
+ * [{ lab, rgb, count, variance }]
+ */
+function clusterColors(points, { algorithm = 'kmeans', k = 10, mergeDeltaE = DEFAULT_MERGE_DELTA_E, seed = DEFAULT_SEED } = {}) {
+  if (!CLUSTERING_ALGORITHMS.includes(algorithm)) {
+    throw new InvalidOptionError(`Unknown clustering algorithm "${algorithm}". Use one of: ${CLUSTERING_ALGORITHMS.join(', ')}`);
+  }
+  const samples = packPoints(points);
+  if (!samples.count) return [];
+  const count = Math.max(1, Math.min(k, samples.count));
+  const clusters = algorithm === 'median-cut'
+    ? medianCut(samples, count)
+    : kmeans(samples, count, createRandom(seed));
+  const merged = mergeDeltaE > 0 ? mergeClose(clusters, mergeDeltaE) : clusters;
+  return merged.sort((p, q) => q.count - p.count);
+}
+
+module.exports = { clusterColors, createRandom, CLUSTERING_ALGORITHMS, DEFAULT_SEED, DEFAULT_MERGE_DELTA_E };
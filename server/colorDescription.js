@@ -0,0 +1,65 @@
+/**
+ * Plain-language color descriptions for screen readers and colorblind users, from LCh:
+ * - Lightness (L): very dark … very light
+ * - Temperature from the hue angle: warm (reds through yellows), cool (greens through blues),
+ *   neutral in between and for grays
+ * - Chroma (C): grayish, muted, strong or vivid
+ * - A hue word, with earth tones named as such (brown, olive, amber, gold) rather than as dark orange
+ * e.g. #4A75A9 is "medium-dark, cool, muted blue"
+ */
+
+const { hexToLab, labToLch } = require('./colorSpace');
+
+// Upper L bound of each lightness word
+const LIGHTNESS_WORDS = [[25, 'very dark'], [40, 'dark'], [50, 'medium-dark'], [60, 'medium'], [72, 'medium-light'], [85, 'light'], [Infinity, 'very light']];
+// Upper C bound of each chroma word; below GRAY_CHROMA a color is simply gray
+const CHROMA_WORDS = [[12, 'grayish'], [40, 'muted'], [60, 'strong'], [Infinity, 'vivid']];
+const GRAY_CHROMA = 6;
+// Upper hue angle (LCh degrees) of each hue family
+const HUE_FAMILIES = [[45, 'red'], [70, 'orange'], [100, 'yellow'], [170, 'green'], [220, 'teal'], [290, 'blue'], [330, 'violet'], [350, 'magenta'], [360, 'red']];
+const EARTH_FAMILIES = ['red', 'orange', 'yellow'];
+const BROWN_CHROMA = 50;
+const WARM_HUES = { below: 110, from: 340 };
+const COOL_HUES = { from: 130, below: 300 };
+
+const pick = (words, value) => words.find(([bound]) => value < bound)[1];
+
+function hueWord(L, C, h) {
+  const family = pick(HUE_FAMILIES, h);
+  // Dark, muted reds, oranges and yellows read as brown (yellows only when darker still)
+  const brownBelow = family === 'yellow' ? 45 : 55;
+  if (EARTH_FAMILIES.includes(family) && C < BROWN_CHROMA && L < brownBelow) return 'brown';
+  if (family === 'orange' && L >= 55) return 'amber';
+  if (family === 'yellow') return L < 60 ? 'olive' : 'gold';
+  return family;
+}
+
+function temperatureWord(C, h) {
+  if (C < GRAY_CHROMA) return 'neutral';
+  if (h < WARM_HUES.below || h >= WARM_HUES.from) return 'warm';
+  if (h >= COOL_HUES.from && h < COOL_HUES.below) return 'cool';
+  return 'neutral';
+}
+
+/**
+ * Words for an LCh color: { lightness, temperature, chroma, hue, text }; chroma is null for grays
+ */
+function describeLch({ L, C, h }) {
+  const lightness = pick(LIGHTNESS_WORDS, L);
+  const temperature = temperatureWord(C, h);
+  if (C < GRAY_CHROMA) {
+    return { lightness, temperature, chroma: null, hue: 'gray', text: `${lightness}, ${temperature} gray` };
+  }
+  const chroma = pick(CHROMA_WORDS, C);
+  const hue = hueWord(L, C, h);
+  return { lightness, temperature, chroma, hue, text: `${lightness}, ${temperature}, ${chroma} ${hue}` };
+}
+
+/**
+ * Description of a hex color, e.g. "dark, warm, muted brown"
+ */
+function describeColor(hex) {
+  return describeLch(labToLch(hexToLab(hex))).text;
+}
+
+module.exports = { describeColor, describeLch };
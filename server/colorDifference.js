@@ -0,0 +1,158 @@
+/**
+ * Color-difference metrics on CIELAB values ({ L, a, b }):
+ * - CIE76: plain Euclidean distance (fast, but poor for blues and dark browns)
+ * - CIE94 (graphic arts weights), CIEDE2000, and CMC l:c (2:1, acceptability)
+ * CIE94 and CMC are not symmetric: the first argument is the reference (e.g. the palette color).
+ */
+
+const { InvalidOptionError } = require('./optionError');
+
+const COLOR_METRICS = ['cie76', 'cie94', 'ciede2000', 'cmc'];
+// CIE76 was the only metric before; clients that need its shade names and distances pass metric: 'cie76'
+const DEFAULT_METRIC = 'ciede2000';
+
+const toRad = deg => (deg * Math.PI) / 180;
+const toDeg = rad => (rad * 180) / Math.PI;
+
+/**
+ * Hue angle in degrees (0-360)
+ */
+function hueAngle(a, b) {
+  if (a === 0 && b === 0) return 0;
+  const h = toDeg(Math.atan2(b, a));
+  return h < 0 ? h + 360 : h;
+}
+
+/**
+ * Delta E (CIE76) - Euclidean distance in LAB
+ */
+function deltaE76(lab1, lab2) {
+  return Math.sqrt(
+    Math.pow(lab1.L - lab2.L, 2) +
+    Math.pow(lab1.a - lab2.a, 2) +
+    Math.pow(lab1.b - lab2.b, 2)
+  );
+}
+
+/**
+ * Delta E (CIE94), graphic arts constants (kL = 1, K1 = 0.045, K2 = 0.015)
+ */
+function deltaE94(reference, sample) {
+  const C1 = Math.hypot(reference.a, reference.b);
+  const C2 = Math.hypot(sample.a, sample.b);
+  const dL = reference.L - sample.L;
+  const dC = C1 - C2;
+  const da = reference.a - sample.a;
+  const db = reference.b - sample.b;
+  const dH2 = Math.max(0, da * da + db * db - dC * dC);
+  const SC = 1 + 0.045 * C1;
+  const SH = 1 + 0.015 * C1;
+  return Math.sqrt(dL * dL + Math.pow(dC / SC, 2) + dH2 / (SH * SH));
+}
+
+/**
+ * Delta E (CIEDE2000), kL = kC = kH = 1 (Sharma, Wu & Dalal formulation)
+ */
+function deltaE2000(lab1, lab2) {
+  const C1 = Math.hypot(lab1.a, lab1.b);
+  const C2 = Math.hypot(lab2.a, lab2.b);
+  const Cbar = (C1 + C2) / 2;
+  const Cbar7 = Math.pow(Cbar, 7);
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+  const a1p = (1 + G) * lab1.a;
+  const a2p = (1 + G) * lab2.a;
+  const C1p = Math.hypot(a1p, lab1.b);
+  const C2p = Math.hypot(a2p, lab2.b);
+  const h1p = hueAngle(a1p, lab1.b);
+  const h2p = hueAngle(a2p, lab2.b);
+
+  const dLp = lab2.L - lab1.L;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRad(dhp / 2));
+
+  const Lbarp = (lab1.L + lab2.L) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbarp = (h1p + h2p) / 2;
+    else if (h1p + h2p < 360) hbarp = (h1p + h2p + 360) / 2;
+    else hbarp = (h1p + h2p - 360) / 2;
+  }
+
+  const T = 1 -
+    0.17 * Math.cos(toRad(hbarp - 30)) +
+    0.24 * Math.cos(toRad(2 * hbarp)) +
+    0.32 * Math.cos(toRad(3 * hbarp + 6)) -
+    0.20 * Math.cos(toRad(4 * hbarp - 63));
+  const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+  const Cbarp7 = Math.pow(Cbarp, 7);
+  const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+  const SL = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+  const SC = 1 + 0.045 * Cbarp;
+  const SH = 1 + 0.015 * Cbarp * T;
+  const RT = -Math.sin(toRad(2 * dTheta)) * RC;
+
+  return Math.sqrt(
+    Math.pow(dLp / SL, 2) +
+    Math.pow(dCp / SC, 2) +
+    Math.pow(dHp / SH, 2) +
+    RT * (dCp / SC) * (dHp / SH)
+  );
+}
+
+/**
+ * Delta E (CMC l:c), default 2:1 (acceptability)
+ */
+function deltaECMC(reference, sample, l = 2, c = 1) {
+  const C1 = Math.hypot(reference.a, reference.b);
+  const C2 = Math.hypot(sample.a, sample.b);
+  const dL = reference.L - sample.L;
+  const dC = C1 - C2;
+  const da = reference.a - sample.a;
+  const db = reference.b - sample.b;
+  const dH2 = Math.max(0, da * da + db * db - dC * dC);
+  const H1 = hueAngle(reference.a, reference.b);
+  const T = H1 >= 164 && H1 <= 345
+    ? 0.56 + Math.abs(0.2 * Math.cos(toRad(H1 + 168)))
+    : 0.36 + Math.abs(0.4 * Math.cos(toRad(H1 + 35)));
+  const C1_4 = Math.pow(C1, 4);
+  const F = Math.sqrt(C1_4 / (C1_4 + 1900));
+  const SL = reference.L < 16 ? 0.511 : (0.040975 * reference.L) / (1 + 0.01765 * reference.L);
+  const SC = (0.0638 * C1) / (1 + 0.0131 * C1) + 0.638;
+  const SH = SC * (F * T + 1 - F);
+  return Math.sqrt(Math.pow(dL / (l * SL), 2) + Math.pow(dC / (c * SC), 2) + dH2 / (SH * SH));
+}
+
+const METRIC_FUNCTIONS = {
+  cie76: deltaE76,
+  cie94: deltaE94,
+  ciede2000: deltaE2000,
+  cmc: deltaECMC
+};
+
+/**
+ * Look up a metric by name: returns (referenceLab, sampleLab) => distance
+ */
+function getColorDifference(metric = DEFAULT_METRIC) {
+  // Own keys only: names like "constructor" or "__proto__" are not metrics
+  if (!Object.prototype.hasOwnProperty.call(METRIC_FUNCTIONS, metric)) {
+    throw new InvalidOptionError(`Unknown color metric "${metric}". Use one of: ${COLOR_METRICS.join(', ')}`);
+  }
+  return METRIC_FUNCTIONS[metric];
+}
+
+module.exports = {
+  deltaE76,
+  deltaE94,
+  deltaE2000,
+  deltaECMC,
+  getColorDifference,
+  COLOR_METRICS,
+  DEFAULT_METRIC
+};
@@ -0,0 +1,173 @@
+/**
+ * Color space conversions shared by the analyzer modules:
+ * hex <-> sRGB, sRGB <-> CIELAB (D65), CIELAB <-> LCh, and HSL for the hue/saturation/luminance filters
+ */
+
+/**
+ * Convert RGB to hex
+ */
+function rgbToHex(r, g, b) {
+  return '#' + [r, g, b].map(x => {
+    const hex = Math.round(Math.max(0, Math.min(255, x))).toString(16);
+    return hex.length === 1 ? '0' + hex : hex;
+  }).join('');
+}
+
+/**
+ * Convert hex to RGB
+ */
+function hexToRgb(hex) {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  return result ? {
+    r: parseInt(result[1], 16),
+    g: parseInt(result[2], 16),
+    b: parseInt(result[3], 16)
+  } : null;
+}
+
+// sRGB channel value (0-255) to linear light (0-1)
+const SRGB_TO_LINEAR = new Float64Array(256);
+for (let i = 0; i < 256; i++) {
+  const c = i / 255;
+  SRGB_TO_LINEAR[i] = c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+}
+
+// Table lookup for 8-bit values; channel means and unclamped values are converted directly
+function toLinear(c) {
+  if (Number.isInteger(c) && c >= 0 && c <= 255) return SRGB_TO_LINEAR[c];
+  const n = c / 255;
+  return n > 0.04045 ? Math.pow((n + 0.055) / 1.055, 2.4) : n / 12.92;
+}
+
+/**
+ * RGB to LAB (perceptual color space for accurate matching)
+ */
+function rgbToLab(r, g, b) {
+  const rn = toLinear(r), gn = toLinear(g), bn = toLinear(b);
+  let x = (rn * 0.4124 + gn * 0.3576 + bn * 0.1805) / 0.95047;
+  let y = (rn * 0.2126 + gn * 0.7152 + bn * 0.0722) / 1.0;
+  let z = (rn * 0.0193 + gn * 0.1192 + bn * 0.9505) / 1.08883;
+  x = x > 0.008856 ? Math.pow(x, 1 / 3) : 7.787 * x + 16 / 116;
+  y = y > 0.008856 ? Math.pow(y, 1 / 3) : 7.787 * y + 16 / 116;
+  z = z > 0.008856 ? Math.pow(z, 1 / 3) : 7.787 * z + 16 / 116;
+  return {
+    L: 116 * y - 16,
+    a: 500 * (x - y),
+    b: 200 * (y - z)
+  };
+}
+
+// Distinct colors remembered by cachedRgbToLab before the cache starts over
+const LAB_CACHE_LIMIT = 1 << 16;
+const labCache = new Map();
+
+/**
+ * rgbToLab for 8-bit pixels, memoized: an iris has a few thousand distinct colors, each seen
+ * many times. The returned object is shared, so callers must not modify it.
+ */
+function cachedRgbToLab(r, g, b) {
+  const key = (r << 16) | (g << 8) | b;
+  let lab = labCache.get(key);
+  if (lab === undefined) {
+    if (labCache.size >= LAB_CACHE_LIMIT) labCache.clear();
+    lab = rgbToLab(r, g, b);
+    labCache.set(key, lab);
+  }
+  return lab;
+}
+
+/**
+ * Hex to LAB (null for invalid hex)
+ */
+function hexToLab(hex) {
+  const rgb = hexToRgb(hex);
+  return rgb ? rgbToLab(rgb.r, rgb.g, rgb.b) : null;
+}
+
+/**
+ * LAB to RGB (channels unclamped, so callers can tell when a color is outside sRGB)
+ */
+function labToRgb(L, a, b) {
+  const fy = (L + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const inverse = t => (t * t * t > 0.008856 ? t * t * t : (t - 16 / 116) / 7.787);
+  const x = inverse(fx) * 0.95047;
+  const y = inverse(fy);
+  const z = inverse(fz) * 1.08883;
+  const gamma = c => (c > 0.0031308 ? 1.055 * Math.pow(c, 1 / 2.4) - 0.055 : 12.92 * c);
+  return {
+    r: 255 * gamma(x * 3.2406 + y * -1.5372 + z * -0.4986),
+    g: 255 * gamma(x * -0.9689 + y * 1.8758 + z * 0.0415),
+    b: 255 * gamma(x * 0.0557 + y * -0.204 + z * 1.057)
+  };
+}
+
+/**
+ * LAB to cylindrical LCh: lightness, chroma and hue angle (0-360)
+ */
+function labToLch({ L, a, b }) {
+  const h = (Math.atan2(b, a) * 180) / Math.PI;
+  return { L, C: Math.hypot(a, b), h: h < 0 ? h + 360 : h };
+}
+
+function lchToLab({ L, C, h }) {
+  const rad = (h * Math.PI) / 180;
+  return { L, a: C * Math.cos(rad), b: C * Math.sin(rad) };
+}
+
+/**
+ * LCh to hex. Colors outside sRGB keep their lightness and hue and lose chroma until they fit.
+ */
+function lchToHex(lch) {
+  const inGamut = ({ r, g, b }) => [r, g, b].every(v => v >= -0.5 && v <= 255.5);
+  const toRgb = C => {
+    const lab = lchToLab({ ...lch, C });
+    return labToRgb(lab.L, lab.a, lab.b);
+  };
+  let rgb = toRgb(lch.C);
+  if (!inGamut(rgb)) {
+    let low = 0;
+    let high = lch.C;
+    for (let i = 0; i < 20; i++) {
+      const mid = (low + high) / 2;
+      if (inGamut(toRgb(mid))) low = mid;
+      else high = mid;
+    }
+    rgb = toRgb(low);
+  }
+  return rgbToHex(rgb.r, rgb.g, rgb.b);
+}
+
+/**
+ * Get hue (0-360), saturation (0-1), luminance (0-1) from RGB
+ */
+function getHSL(r, g, b) {
+  const rn = r / 255, gn = g / 255, bn = b / 255;
+  const max = Math.max(rn, gn, bn), min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  let s = 0, h = 0;
+  if (max !== min) {
+    const d = max - min;
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    if (max === rn) h = ((gn - bn) / d + (gn < bn ? 6 : 0)) / 6;
+    else if (max === gn) h = ((bn - rn) / d + 2) / 6;
+    else h = ((rn - gn) / d + 4) / 6;
+    h *= 360;
+  }
+  return { h: h, s: s, l: l };
+}
+
+module.exports = {
+  rgbToHex,
+  hexToRgb,
+  rgbToLab,
+  cachedRgbToLab,
+  hexToLab,
+  labToRgb,
+  labToLch,
+  lchToLab,
+  lchToHex,
+  getHSL,
+  SRGB_TO_LINEAR
+};
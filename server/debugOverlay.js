@@ -0,0 +1,230 @@
+/**
+ * Debug overlay: a PNG of what the single-eye analyzer saw, for tuning segmentation and filters.
+ * - The white-balanced frame at analysis size, dimmed and scaled up (nearest neighbor, so
+ *   each analysis pixel stays a visible block)
+ * - The pupil seed from findPupilCenter (crosshair) and the inner and outer sampling radii
+ *   (pupil and limbus circles)
+ * - Every iris pixel tinted by its fate: rejected as too bright, too dark or unsaturated,
+ *   masked out (eyelids, lashes, highlights), or accepted and painted in its cluster's color
+ * - A legend with the pixel counts and cluster colors
+ * The pixel pass (overlayPixels) runs on the analysis pool when one is given, like the analysis.
+ * Nothing is stored; all decoded pixels are zeroed before returning.
+ */
+
+const sharp = require('sharp');
+const { hexToLab, hexToRgb, rgbToLab } = require('./colorSpace');
+const { decodeForAnalysis } = require('./colorAnalyzer');
+const {
+  validateAnalysisOptions,
+  estimateWhiteBalance,
+  applyWhiteBalance,
+  getDominantColors,
+  samplingStatus
+} = require('./pixelAnalyzer');
+const { segmentIris } = require('./irisSegmentation');
+const { ImageQualityError } = require('./imageQuality');
+
+const OVERLAY_SCALE = 2;
+const LEGEND_HEIGHT = 84;
+const BACKDROP_BRIGHTNESS = 0.4;
+// RGBA tint of each rejection; accepted pixels take their cluster's color
+const STATUS_COLORS = {
+  'too-bright': [255, 212, 0, 200],
+  'too-dark': [255, 45, 149, 200],
+  'low-saturation': [0, 212, 255, 200],
+  masked: [90, 100, 115, 170]
+};
+const STATUS_LABELS = { 'too-bright': 'too bright', 'too-dark': 'too dark', 'low-saturation': 'unsaturated', masked: 'masked' };
+const LINE_COLORS = { seed: '#FFFFFF', pupil: '#FF6B6B', iris: '#7CFF6B' };
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+// Closest cluster (Euclidean LAB, as in clustering) to one pixel
+function nearestCluster(lab, clusters) {
+  let best = clusters[0];
+  let bestDistance = Infinity;
+  for (const cluster of clusters) {
+    const distance = (lab.L - cluster.lab.L) ** 2 + (lab.a - cluster.lab.a) ** 2 + (lab.b - cluster.lab.b) ** 2;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = cluster;
+    }
+  }
+  return best;
+}
+
+/**
+ * RGBA layer the size of the frame with the status tint of each pixel of the iris annulus;
+ * returns { layer, counts }
+ */
+function classifyPixels(pixels, width, height, segmentation, clusters) {
+  const { pupil, iris, mask } = segmentation;
+  const layer = Buffer.alloc(width * height * 4);
+  const counts = { accepted: 0, 'too-bright': 0, 'too-dark': 0, 'low-saturation': 0, masked: 0 };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inIris = (x - iris.cx) ** 2 + (y - iris.cy) ** 2 <= iris.r ** 2;
+      const inPupil = (x - pupil.cx) ** 2 + (y - pupil.cy) ** 2 <= pupil.r ** 2;
+      if (!inIris || inPupil) continue;
+      const i = (y * width + x) * 4;
+      let status = mask[y * width + x] ? samplingStatus(pixels[i], pixels[i + 1], pixels[i + 2], pixels[i + 3]) : 'masked';
+      if (status === 'transparent') status = 'masked';
+      counts[status] += 1;
+      let color = STATUS_COLORS[status];
+      if (status === 'accepted') {
+        if (!clusters.length) continue;
+        const { rgb } = nearestCluster(rgbToLab(pixels[i], pixels[i + 1], pixels[i + 2]), clusters);
+        color = [rgb.r, rgb.g, rgb.b, 255];
+      }
+      layer[i] = color[0];
+      layer[i + 1] = color[1];
+      layer[i + 2] = color[2];
+      layer[i + 3] = color[3];
+    }
+  }
+  return { layer, counts };
+}
+
+// Circles, the seed crosshair and the legend, in overlay (scaled) pixels
+function overlaySvg(width, height, segmentation, counts, clusters) {
+  const s = OVERLAY_SCALE;
+  const at = value => (value + 0.5) * s;
+  const { pupil, iris, seed } = segmentation;
+  const parts = [
+    `<circle cx="${at(pupil.cx)}" cy="${at(pupil.cy)}" r="${pupil.r * s}" fill="none" stroke="${LINE_COLORS.pupil}" stroke-width="2"/>`,
+    `<circle cx="${at(iris.cx)}" cy="${at(iris.cy)}" r="${iris.r * s}" fill="none" stroke="${LINE_COLORS.iris}" stroke-width="2"/>`,
+    `<path d="M${at(seed.cx) - 9} ${at(seed.cy)}h18M${at(seed.cx)} ${at(seed.cy) - 9}v18" stroke="${LINE_COLORS.seed}" stroke-width="2"/>`
+  ];
+
+  const top = height * s;
+  const text = (x, y, content, fill = '#E0E8F0') =>
+    `<text x="${x}" y="${y}" font-family="sans-serif" font-size="12" fill="${fill}">${escapeXml(content)}</text>`;
+  parts.push(`<rect x="0" y="${top}" width="${width * s}" height="${LEGEND_HEIGHT}" fill="#060A12"/>`);
+  parts.push(text(8, top + 18, `+ seed (${seed.cx}, ${seed.cy})`, LINE_COLORS.seed));
+  parts.push(text(150, top + 18, `inner r ${pupil.r}`, LINE_COLORS.pupil));
+  parts.push(text(230, top + 18, `outer r ${iris.r}`, LINE_COLORS.iris));
+
+  let x = 8;
+  for (const status of Object.keys(STATUS_COLORS)) {
+    const [r, g, b] = STATUS_COLORS[status];
+    parts.push(`<rect x="${x}" y="${top + 30}" width="10" height="10" fill="rgb(${r},${g},${b})"/>`);
+    const label = `${STATUS_LABELS[status]} ${counts[status]}`;
+    parts.push(text(x + 14, top + 40, label));
+    x += 22 + label.length * 6.5;
+  }
+
+  parts.push(text(8, top + 66, `accepted ${counts.accepted}`));
+  clusters.forEach((cluster, i) => {
+    parts.push(`<rect x="${110 + i * 16}" y="${top + 56}" width="12" height="12" fill="${cluster.hex}"/>`);
+  });
+  if (!clusters.length) parts.push(text(110, top + 66, 'too few iris pixels to cluster', '#8BA3B8'));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width * s}" height="${height * s + LEGEND_HEIGHT}">${parts.join('')}</svg>`;
+}
+
+/**
+ * The pixel pass of the overlay on a decoded frame: segmentation, white balance, clustering and
+ * the status layer. Returns { segmentation, corrected, layer, counts, dominantColors }; the
+ * caller zeroes corrected and layer.
+ */
+function overlayPixels(data, width, height, options = {}) {
+  const {
+    whiteBalance = 'auto',
+    referenceCardHex = null,
+    clustering = 'kmeans',
+    numColors = 10,
+    mergeDeltaE,
+    seed
+  } = options;
+  const segmentation = segmentIris(data, width, height);
+  const gains = estimateWhiteBalance(data, width, height, segmentation, whiteBalance, referenceCardHex).gains;
+  const corrected = applyWhiteBalance(data, gains);
+  try {
+    let dominantColors = [];
+    try {
+      dominantColors = getDominantColors(corrected, width, height, numColors, segmentation, { algorithm: clustering, mergeDeltaE, seed });
+    } catch (err) {
+      if (!(err instanceof ImageQualityError)) throw err;
+    }
+    const clusters = dominantColors.map(c => ({ hex: c.hex, lab: hexToLab(c.hex), rgb: hexToRgb(c.hex) }));
+    const { layer, counts } = classifyPixels(corrected, width, height, segmentation, clusters);
+    return { segmentation, corrected, layer, counts, dominantColors };
+  } catch (err) {
+    corrected.fill(0);
+    throw err;
+  }
+}
+
+// Buffer view of a typed array without copying (results from a worker arrive as Uint8Array)
+function asBuffer(array) {
+  return Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+}
+
+/**
+ * Render the overlay for a single-eye photo. Takes the analysis options that shape sampling
+ * (whiteBalance, referenceCardHex, clustering, numColors, mergeDeltaE, seed) and skips the quality
+ * gate, so rejected photos can be inspected too; with pool the pixel pass runs on a worker.
+ * Throws InvalidOptionError for bad options.
+ * Returns { png, stats: { seed, pupil, iris, pixels, clusters } } where pixels counts the iris
+ * annulus by status and clusters are the breakdown colors.
+ */
+async function renderDebugOverlay(imageBuffer, options = {}) {
+  validateAnalysisOptions(options);
+  const { pool = null, ...overlayOptions } = options;
+  const { data, size } = await decodeForAnalysis(imageBuffer);
+  const { width, height } = size;
+  let corrected = null;
+  let layer = null;
+  let backdrop = null;
+  try {
+    const pass = pool
+      ? await pool.runTask('debugOverlay', data, width, height, overlayOptions)
+      : overlayPixels(data, width, height, overlayOptions);
+    const { segmentation, counts, dominantColors } = pass;
+    corrected = asBuffer(pass.corrected);
+    layer = asBuffer(pass.layer);
+
+    const raw = { width, height, channels: 4 };
+    // Two passes: sharp composites after every other operation, which would dim the layer too
+    backdrop = await sharp(corrected, { raw })
+      .linear([BACKDROP_BRIGHTNESS, BACKDROP_BRIGHTNESS, BACKDROP_BRIGHTNESS, 1], [0, 0, 0, 0])
+      .raw()
+      .toBuffer();
+    const composited = await sharp(backdrop, { raw }).composite([{ input: layer, raw }]).raw().toBuffer();
+    backdrop.fill(0);
+    backdrop = composited;
+    const png = await sharp(backdrop, { raw })
+      .resize(width * OVERLAY_SCALE, height * OVERLAY_SCALE, { kernel: 'nearest' })
+      .extend({ bottom: LEGEND_HEIGHT, background: '#060A12' })
+      .composite([{ input: Buffer.from(overlaySvg(width, height, segmentation, counts, dominantColors)) }])
+      .png()
+      .toBuffer();
+
+    const { accepted, masked } = counts;
+    return {
+      png,
+      stats: {
+        seed: segmentation.seed,
+        pupil: segmentation.pupil,
+        iris: segmentation.iris,
+        pixels: {
+          accepted,
+          tooBright: counts['too-bright'],
+          tooDark: counts['too-dark'],
+          lowSaturation: counts['low-saturation'],
+          masked
+        },
+        clusters: dominantColors.map(c => ({ hex: c.hex, percentage: c.percentage }))
+      }
+    };
+  } finally {
+    data.fill(0);
+    for (const buffer of [corrected, layer, backdrop]) {
+      if (buffer) buffer.fill(0);
+    }
+  }
+}
+
+module.exports = { renderDebugOverlay, overlayPixels, OVERLAY_SCALE, LEGEND_HEIGHT };
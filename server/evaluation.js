@@ -0,0 +1,198 @@
+/**
+ * Evaluation of the analyzer against labeled images:
+ * - Manifest: { images: [{ file, category, referenceHex? }] }, paths relative to the manifest
+ * - Runs analyzeEyeColor on every image (bounded concurrency, see batchAnalyzer)
+ * - Reports accuracy, a confusion matrix, per-category precision / recall / F1, and mean delta E
+ *   between the measured iris color and each reference hex
+ * Images rejected by the quality gate count as misses under the "rejected" column.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { analyzeBatch } = require('./batchAnalyzer');
+const { meanBreakdownLab } = require('./colorAnalyzer');
+const { EYE_COLOR_CATEGORIES } = require('./colorCategories');
+const { hexToLab } = require('./colorSpace');
+const { getColorDifference, DEFAULT_METRIC } = require('./colorDifference');
+
+const CATEGORIES = Object.keys(EYE_COLOR_CATEGORIES);
+const REJECTED = 'rejected';
+const HEX_PATTERN = /^#?[0-9a-f]{6}$/i;
+
+/**
+ * Thrown when a manifest cannot be used; errors is a list of human-readable problems
+ */
+class ManifestError extends Error {
+  constructor(errors) {
+    super('Invalid evaluation manifest: ' + errors.join('; '));
+    this.name = 'ManifestError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Category key for a label ("Blue", "blue" -> "blue"), or null when unknown
+ */
+function normalizeCategory(label) {
+  if (typeof label !== 'string') return null;
+  const key = label.trim().toLowerCase();
+  return CATEGORIES.includes(key) ? key : null;
+}
+
+/**
+ * Read and validate a manifest file. Returns [{ name, file, category, referenceHex }] with
+ * absolute file paths; each item's buffer is read lazily when it is analyzed.
+ */
+function loadManifest(manifestPath) {
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const entries = Array.isArray(manifest) ? manifest : manifest && manifest.images;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new ManifestError(['manifest must be a non-empty array or { images: [...] }']);
+  }
+  const baseDir = path.dirname(path.resolve(manifestPath));
+  const errors = [];
+  const items = entries.map((entry, i) => {
+    const file = entry && typeof entry.file === 'string' ? path.resolve(baseDir, entry.file) : null;
+    const category = normalizeCategory(entry && entry.category);
+    if (!file) errors.push(`images[${i}].file must be a path`);
+    else if (!fs.existsSync(file)) errors.push(`images[${i}].file not found: ${entry.file}`);
+    if (!category) errors.push(`images[${i}].category must be one of: ${CATEGORIES.join(', ')}`);
+    if (entry && entry.referenceHex !== undefined && !HEX_PATTERN.test(entry.referenceHex)) {
+      errors.push(`images[${i}].referenceHex must be a 6-digit hex color`);
+    }
+    return {
+      name: entry && entry.file,
+      file,
+      category,
+      referenceHex: entry && entry.referenceHex ? '#' + entry.referenceHex.replace('#', '').toUpperCase() : null,
+      get buffer() { return fs.readFileSync(file); }
+    };
+  });
+  if (errors.length) throw new ManifestError(errors);
+  return items;
+}
+
+const ratio = (num, den) => (den === 0 ? null : Math.round((num / den) * 1000) / 1000);
+
+/**
+ * Build the report from labeled items ([{ name, category, referenceHex }]) and the matching
+ * analyzeBatch results (same order).
+ */
+function buildReport(items, results, metric = DEFAULT_METRIC) {
+  const distance = getColorDifference(metric);
+  const labels = [...CATEGORIES, REJECTED];
+  const matrix = {};
+  for (const expected of CATEGORIES) {
+    matrix[expected] = {};
+    for (const predicted of labels) matrix[expected][predicted] = 0;
+  }
+
+  const rows = items.map((item, i) => {
+    const outcome = results[i];
+    const row = { name: item.name, expected: item.category, predicted: REJECTED, correct: false, deltaE: null };
+    if (outcome.status === 'ok') {
+      row.predicted = normalizeCategory(outcome.result.generalColor.name);
+      row.correct = row.predicted === item.category;
+      row.confidence = outcome.result.confidence || null;
+      const measured = meanBreakdownLab(outcome.result.breakdown);
+      if (item.referenceHex && measured) {
+        row.deltaE = Math.round(distance(hexToLab(item.referenceHex), measured) * 100) / 100;
+      }
+    } else {
+      row.error = outcome.error;
+    }
+    matrix[item.category][row.predicted] += 1;
+    return row;
+  });
+
+  const perCategory = {};
+  for (const category of CATEGORIES) {
+    const truePositives = matrix[category][category];
+    const support = labels.reduce((sum, predicted) => sum + matrix[category][predicted], 0);
+    const predictedCount = CATEGORIES.reduce((sum, expected) => sum + matrix[expected][category], 0);
+    const precision = ratio(truePositives, predictedCount);
+    const recall = ratio(truePositives, support);
+    perCategory[category] = {
+      support,
+      predicted: predictedCount,
+      truePositives,
+      precision,
+      recall,
+      f1: precision && recall ? Math.round((2 * precision * recall / (precision + recall)) * 1000) / 1000 : null
+    };
+  }
+
+  const deltaEs = rows.map(r => r.deltaE).filter(d => d !== null);
+  const correct = rows.filter(r => r.correct).length;
+  return {
+    count: rows.length,
+    analyzed: rows.filter(r => r.predicted !== REJECTED).length,
+    rejected: rows.filter(r => r.predicted === REJECTED).length,
+    accuracy: ratio(correct, rows.length),
+    confusionMatrix: { labels, matrix },
+    perCategory,
+    deltaE: {
+      metric,
+      count: deltaEs.length,
+      mean: deltaEs.length ? Math.round((deltaEs.reduce((a, b) => a + b, 0) / deltaEs.length) * 100) / 100 : null,
+      max: deltaEs.length ? Math.max(...deltaEs) : null
+    },
+    items: rows
+  };
+}
+
+/**
+ * Analyze labeled items ([{ name, buffer, category, referenceHex? }]) and build the report.
+ * options are analyzeEyeColor options; batchOptions: { concurrency }.
+ */
+async function evaluate(items, options = {}, batchOptions = {}) {
+  const results = await analyzeBatch(items, options, batchOptions);
+  return buildReport(items, results, options.metric || DEFAULT_METRIC);
+}
+
+/**
+ * Plain-text rendering of a report for terminals and CI logs
+ */
+function formatReport(report) {
+  const pct = x => (x === null ? '   -' : String(Math.round(x * 100)).padStart(3) + '%');
+  const { labels, matrix } = report.confusionMatrix;
+  const used = CATEGORIES.filter(c => report.perCategory[c].support > 0 || report.perCategory[c].predicted > 0);
+  const columns = [...used, REJECTED];
+  const width = Math.max(11, ...labels.map(l => l.length + 2));
+  const lines = [
+    `Images: ${report.count} (analyzed ${report.analyzed}, rejected ${report.rejected})`,
+    `Accuracy: ${pct(report.accuracy).trim()}`,
+    `Mean delta E (${report.deltaE.metric}): ${report.deltaE.mean === null ? 'n/a' : report.deltaE.mean} over ${report.deltaE.count} reference(s)`,
+    '',
+    'Confusion matrix (rows: expected, columns: predicted)',
+    ''.padEnd(width) + columns.map(c => c.padStart(width)).join('')
+  ];
+  for (const expected of used) {
+    if (report.perCategory[expected].support === 0) continue;
+    lines.push(expected.padEnd(width) + columns.map(c => String(matrix[expected][c]).padStart(width)).join(''));
+  }
+  lines.push('', 'Category'.padEnd(width) + ['support', 'precision', 'recall', 'f1'].map(h => h.padStart(width)).join(''));
+  for (const category of used) {
+    const s = report.perCategory[category];
+    lines.push(category.padEnd(width) + [String(s.support), pct(s.precision), pct(s.recall), pct(s.f1)].map(v => v.padStart(width)).join(''));
+  }
+  const misses = report.items.filter(r => !r.correct);
+  if (misses.length) {
+    lines.push('', 'Misses:');
+    for (const r of misses) {
+      const detail = r.error ? (r.error.reasons || []).map(x => x.code).join(', ') || r.error.message : `predicted ${r.predicted}`;
+      lines.push(`  ${r.name}: expected ${r.expected}, ${detail}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  loadManifest,
+  buildReport,
+  evaluate,
+  formatReport,
+  normalizeCategory,
+  ManifestError,
+  REJECTED
+};
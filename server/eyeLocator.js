@@ -0,0 +1,139 @@
+/**
+ * Locate both eyes in a face or two-eye photo:
+ * - Multi-scale dark-blob response (center darker than its surround) on a downscaled grayscale frame
+ * - Picks the pair of blobs that sits side by side with an iris size plausible for their spacing
+ *   (iris diameter is roughly a fifth of the interpupillary distance)
+ */
+
+const sharp = require('sharp');
+const { ImageValidationError } = require('./imageValidation');
+
+const WORK_WIDTH = 360;
+const SCALES = [2, 3, 4, 6, 8, 11, 15];
+const MAX_CANDIDATES = 24;
+const IRIS_TO_SPACING = 0.095;
+
+/**
+ * Summed-area table for O(1) box means
+ */
+function integralImage(gray, width, height) {
+  const table = new Float64Array((width + 1) * (height + 1));
+  for (let y = 1; y <= height; y++) {
+    let row = 0;
+    for (let x = 1; x <= width; x++) {
+      row += gray[(y - 1) * width + (x - 1)];
+      table[y * (width + 1) + x] = table[(y - 1) * (width + 1) + x] + row;
+    }
+  }
+  return table;
+}
+
+function boxSum(table, width, x0, y0, x1, y1) {
+  const w = width + 1;
+  return table[y1 * w + x1] - table[y0 * w + x1] - table[y1 * w + x0] + table[y0 * w + x0];
+}
+
+/**
+ * Dark blob candidates: { x, y, r, score } where score = surround mean - center mean (0-255)
+ */
+function findDarkBlobs(gray, width, height) {
+  const table = integralImage(gray, width, height);
+  const candidates = [];
+  for (const r of SCALES) {
+    const outer = r * 2;
+    const step = Math.max(1, Math.floor(r / 2));
+    for (let y = outer; y < height - outer; y += step) {
+      for (let x = outer; x < width - outer; x += step) {
+        const inner = boxSum(table, width, x - r, y - r, x + r + 1, y + r + 1);
+        const all = boxSum(table, width, x - outer, y - outer, x + outer + 1, y + outer + 1);
+        const innerArea = (2 * r + 1) * (2 * r + 1);
+        const ringArea = (2 * outer + 1) * (2 * outer + 1) - innerArea;
+        const score = (all - inner) / ringArea - inner / innerArea;
+        if (score > 15) candidates.push({ x, y, r, score });
+      }
+    }
+  }
+  // Non-maximum suppression: keep the strongest blob in each neighbourhood
+  candidates.sort((a, b) => b.score - a.score);
+  const kept = [];
+  for (const c of candidates) {
+    if (kept.some(k => Math.hypot(k.x - c.x, k.y - c.y) < Math.max(k.r, c.r) * 2)) continue;
+    kept.push(c);
+    if (kept.length >= MAX_CANDIDATES) break;
+  }
+  return kept;
+}
+
+/**
+ * Best left/right pair: level, plausibly spaced, similar size and darkness,
+ * with blob size consistent with an iris at that spacing
+ */
+function pickEyePair(blobs, width) {
+  let best = null;
+  for (let i = 0; i < blobs.length; i++) {
+    for (let j = i + 1; j < blobs.length; j++) {
+      const [a, b] = blobs[i].x < blobs[j].x ? [blobs[i], blobs[j]] : [blobs[j], blobs[i]];
+      const dx = b.x - a.x;
+      const dy = Math.abs(b.y - a.y);
+      if (dx < width * 0.12 || dx > width * 0.8 || dy > dx * 0.25) continue;
+      const sizeRatio = Math.max(a.r, b.r) / Math.min(a.r, b.r);
+      if (sizeRatio > 2) continue;
+      const expected = dx * IRIS_TO_SPACING;
+      const sizeFit = Math.min(1, Math.min(a.r, b.r) / expected) * Math.min(1, expected / Math.max(a.r, b.r));
+      const balance = Math.min(a.score, b.score) / Math.max(a.score, b.score);
+      const score = (a.score + b.score) * sizeFit * (0.5 + 0.5 * balance) * (1 - dy / dx);
+      if (!best || score > best.score) best = { left: a, right: b, score };
+    }
+  }
+  return best;
+}
+
+/**
+ * The eye pair in a decoded frame whose first channel (of channels per pixel) is gray:
+ * { imageLeft, imageRight } as { x, y, r } in frame pixels, or null. Plain computation on the
+ * pixels, so the analysis pool can run it on a worker thread.
+ */
+function findEyePair(pixels, width, height, channels = 1) {
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) gray[i] = pixels[i * channels];
+  const pair = pickEyePair(findDarkBlobs(gray, width, height), width);
+  gray.fill(0);
+  return pair ? { imageLeft: pair.left, imageRight: pair.right } : null;
+}
+
+/**
+ * Locate both eyes. Returns { imageLeft, imageRight } as { x, y, r } in source pixels
+ * (image-left/right, not the subject's), or null when no plausible pair is found.
+ * Decoding stays on this thread; with pool (see analysisPool) the blob search runs on a worker.
+ * Throws ImageValidationError when the image cannot be decoded.
+ */
+async function locateEyes(imageBuffer, { pool = null } = {}) {
+  let width;
+  let frame;
+  try {
+    const metadata = await sharp(imageBuffer).metadata();
+    width = metadata.width || WORK_WIDTH;
+    frame = await sharp(imageBuffer)
+      .resize({ width: Math.min(WORK_WIDTH, width) })
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  } catch (err) {
+    throw new ImageValidationError('INVALID_IMAGE', 'The image could not be decoded');
+  }
+  const { data, info } = frame;
+  let pair;
+  try {
+    pair = pool
+      ? await pool.runTask('locateEyes', data, info.width, info.height, { channels: info.channels })
+      : findEyePair(data, info.width, info.height, info.channels);
+  } finally {
+    data.fill(0);
+  }
+  if (!pair) return null;
+  const scale = width / info.width;
+  const toSource = ({ x, y, r }) => ({ x: Math.round(x * scale), y: Math.round(y * scale), r: Math.round(r * scale) });
+  return { imageLeft: toSource(pair.imageLeft), imageRight: toSource(pair.imageRight) };
+}
+
+module.exports = { locateEyes, findEyePair, findDarkBlobs, pickEyePair };
@@ -0,0 +1,44 @@
+/**
+ * Readiness checks behind /api/health: the server can only analyze when
+ * - the default palette is loaded (shade names and matches need it)
+ * - sharp works: a tiny image survives an encode / decode round trip through libvips
+ * - the analysis pool, when there is one, has live workers
+ */
+
+const sharp = require('sharp');
+const { getPalette, listPalettes, DEFAULT_PALETTE_ID } = require('./paletteRegistry');
+
+function checkPalettes() {
+  try {
+    const palette = getPalette(DEFAULT_PALETTE_ID);
+    return { ok: palette.colors.length > 0, defaultPalette: palette.id, palettes: listPalettes().length };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+async function checkSharp() {
+  try {
+    const png = await sharp({ create: { width: 2, height: 2, channels: 3, background: '#808080' } }).png().toBuffer();
+    const { data } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+    return { ok: data.length === 12 && data[0] === 0x80, version: sharp.versions.sharp, libvips: sharp.versions.vips };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+function checkPool(pool) {
+  const stats = pool.stats();
+  return { ok: stats.workers > 0, ...stats };
+}
+
+/**
+ * { ready, checks: { palette, sharp, workers? } } where each check has ok and either details or error
+ */
+async function checkReadiness({ pool = null } = {}) {
+  const checks = { palette: checkPalettes(), sharp: await checkSharp() };
+  if (pool) checks.workers = checkPool(pool);
+  return { ready: Object.values(checks).every(check => check.ok), checks };
+}
+
+module.exports = { checkReadiness };
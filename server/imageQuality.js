@@ -0,0 +1,153 @@
+/**
+ * Image quality gate run before color analysis:
+ * - Scores blur (Laplacian variance), exposure, glare, iris size and segmentation confidence
+ * - Fails with machine-readable reason codes so the client can ask for a retake
+ *   instead of showing a color computed from skin, lashes or a blurred frame
+ */
+
+const { toLuminance } = require('./irisSegmentation');
+
+// Minimum usable iris samples after masking and luminance/saturation filters
+const MIN_IRIS_SAMPLES = 20;
+
+const DEFAULT_THRESHOLDS = {
+  minSharpness: 15,          // Laplacian variance over the eye region (0-255 luminance)
+  maxMeanLuminance: 0.85,
+  maxClippedHighlights: 0.2, // fraction of frame at or above 250/255
+  minMeanLuminance: 0.1,
+  maxClippedShadows: 0.6,    // fraction of frame at or below 5/255
+  maxGlare: 0.15,            // fraction of the iris annulus covered by specular highlights
+  minIrisRadius: 20,         // in analyzed (resized) pixels
+  minIrisDiameterPx: 60,     // in source image pixels
+  minSegmentationConfidence: 0.45
+};
+
+const REASON_MESSAGES = {
+  TOO_BLURRY: 'The image is too blurry to read iris detail.',
+  OVEREXPOSED: 'The image is overexposed.',
+  UNDEREXPOSED: 'The image is too dark.',
+  GLARE: 'Reflections cover too much of the iris.',
+  IRIS_TOO_SMALL: 'The iris is too small in the frame.',
+  LOW_SEGMENTATION_CONFIDENCE: 'The pupil and iris could not be located reliably.',
+  INSUFFICIENT_IRIS_PIXELS: 'Too few usable iris pixels after masking eyelids, lashes and reflections.',
+  EYES_NOT_FOUND: 'Two eyes could not be located in the photo.'
+};
+
+/**
+ * Thrown by analyzeEyeColor when an image fails the quality gate.
+ * reasons: [{ code, message }], quality: the scores that were measured.
+ */
+class ImageQualityError extends Error {
+  constructor(reasons, quality) {
+    super('Image quality too low for analysis: ' + reasons.map(r => r.code).join(', '));
+    this.name = 'ImageQualityError';
+    this.reasons = reasons;
+    this.quality = quality;
+  }
+}
+
+function reason(code) {
+  return { code, message: REASON_MESSAGES[code] };
+}
+
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+/**
+ * Variance of the 4-neighbour Laplacian over a region (higher = sharper)
+ */
+function laplacianVariance(lum, width, height, xMin, xMax, yMin, yMax) {
+  let sum = 0, sumSq = 0, count = 0;
+  for (let y = Math.max(1, yMin); y <= Math.min(height - 2, yMax); y++) {
+    for (let x = Math.max(1, xMin); x <= Math.min(width - 2, xMax); x++) {
+      const i = y * width + x;
+      const lap = 255 * (4 * lum[i] - lum[i - 1] - lum[i + 1] - lum[i - width] - lum[i + width]);
+      sum += lap;
+      sumSq += lap * lap;
+      count += 1;
+    }
+  }
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSq / count - mean * mean;
+}
+
+/**
+ * Segmentation confidence (0-1): boundary contrast at pupil and limbus, how much of the
+ * annulus survived masking, and whether the two circles are anatomically plausible.
+ */
+function segmentationConfidence(segmentation) {
+  const { pupil, iris, maskCoverage, edges } = segmentation;
+  const pupilEdge = Math.min(1, Math.max(0, (edges && edges.pupil) || 0) / 0.1);
+  const irisEdge = Math.min(1, Math.max(0, (edges && edges.iris) || 0) / 0.06);
+  const coverage = Math.min(1, maskCoverage / 0.6);
+  const ratio = iris.r ? pupil.r / iris.r : 1;
+  const offset = iris.r ? Math.hypot(pupil.cx - iris.cx, pupil.cy - iris.cy) / iris.r : 1;
+  const plausible = ratio >= 0.1 && ratio <= 0.75 && offset <= 0.3;
+  const score = 0.35 * pupilEdge + 0.35 * irisEdge + 0.3 * coverage;
+  return plausible ? score : score * 0.5;
+}
+
+/**
+ * Score an analyzed (resized RGBA) frame. scale = analyzed pixels per source pixel.
+ * Returns { passed, reasons: [{ code, message }], scores }.
+ */
+function assessImageQuality(pixels, width, height, segmentation, { scale = 1, thresholds = {} } = {}) {
+  const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const lum = toLuminance(pixels, width, height);
+  const { iris } = segmentation;
+
+  let lumSum = 0, high = 0, low = 0;
+  for (let i = 0; i < lum.length; i++) {
+    lumSum += lum[i];
+    if (lum[i] >= 250 / 255) high += 1;
+    if (lum[i] <= 5 / 255) low += 1;
+  }
+  const meanLuminance = lum.length ? lumSum / lum.length : 0;
+  const clippedHighlights = lum.length ? high / lum.length : 0;
+  const clippedShadows = lum.length ? low / lum.length : 0;
+
+  const sharpness = laplacianVariance(
+    lum, width, height,
+    Math.floor(iris.cx - iris.r), Math.ceil(iris.cx + iris.r),
+    Math.floor(iris.cy - iris.r), Math.ceil(iris.cy + iris.r)
+  );
+
+  let irisPixels = 0;
+  for (let i = 0; i < segmentation.mask.length; i++) irisPixels += segmentation.mask[i];
+
+  const scores = {
+    sharpness: Math.round(sharpness * 10) / 10,
+    meanLuminance: round3(meanLuminance),
+    clippedHighlights: round3(clippedHighlights),
+    clippedShadows: round3(clippedShadows),
+    glare: segmentation.specularCoverage || 0,
+    irisRadius: iris.r,
+    irisDiameterPx: Math.round((2 * iris.r) / scale),
+    irisPixels,
+    segmentationConfidence: round3(segmentationConfidence(segmentation))
+  };
+
+  const reasons = [];
+  if (scores.sharpness < t.minSharpness) reasons.push(reason('TOO_BLURRY'));
+  if (meanLuminance > t.maxMeanLuminance || clippedHighlights > t.maxClippedHighlights) {
+    reasons.push(reason('OVEREXPOSED'));
+  } else if (meanLuminance < t.minMeanLuminance || clippedShadows > t.maxClippedShadows) {
+    reasons.push(reason('UNDEREXPOSED'));
+  }
+  if (scores.glare > t.maxGlare) reasons.push(reason('GLARE'));
+  if (iris.r < t.minIrisRadius || scores.irisDiameterPx < t.minIrisDiameterPx) reasons.push(reason('IRIS_TOO_SMALL'));
+  if (scores.segmentationConfidence < t.minSegmentationConfidence) reasons.push(reason('LOW_SEGMENTATION_CONFIDENCE'));
+  if (irisPixels < MIN_IRIS_SAMPLES) reasons.push(reason('INSUFFICIENT_IRIS_PIXELS'));
+
+  return { passed: reasons.length === 0, reasons, scores };
+}
+
+module.exports = {
+  assessImageQuality,
+  ImageQualityError,
+  DEFAULT_THRESHOLDS,
+  MIN_IRIS_SAMPLES,
+  REASON_MESSAGES
+};
@@ -0,0 +1,98 @@
+/**
+ * Checks on uploaded image bytes before anything decodes them:
+ * - The format comes from the magic bytes (JPEG, PNG, WebP), never from the declared MIME
+ *   type or a data URL prefix
+ * - Byte size, and pixel dimensions read from the header without decoding, so a small file
+ *   that would expand to a huge bitmap (a decompression bomb) is refused up front
+ * - Data URLs and bare base64 strings are parsed strictly
+ */
+
+const sharp = require('sharp');
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+// 40 megapixels: larger than any phone camera, far below what would exhaust memory when decoded
+const MAX_IMAGE_PIXELS = Number(process.env.MAX_IMAGE_PIXELS) || 40 * 1000 * 1000;
+const DATA_URL_PATTERN = /^data:([a-z]+\/[a-z0-9.+-]+)?((?:;[a-z0-9-]+=[a-z0-9.+-]+)*);base64,/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+const IMAGE_SIGNATURES = {
+  jpeg: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  png: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  webp: buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP'
+};
+
+/**
+ * Thrown when uploaded bytes are not an acceptable image. code is one of INVALID_IMAGE_DATA,
+ * UNSUPPORTED_IMAGE_TYPE, INVALID_IMAGE, IMAGE_TOO_LARGE or IMAGE_DIMENSIONS_TOO_LARGE.
+ */
+class ImageValidationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ImageValidationError';
+    this.code = code;
+  }
+}
+
+/**
+ * 'jpeg', 'png' or 'webp' from the leading bytes, or null
+ */
+function detectImageFormat(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  return Object.keys(IMAGE_SIGNATURES).find(format => IMAGE_SIGNATURES[format](buffer)) || null;
+}
+
+/**
+ * Bytes of a "data:image/...;base64,..." URL or a bare base64 string.
+ * Throws ImageValidationError (INVALID_IMAGE_DATA) for anything else.
+ */
+function decodeImageData(value) {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new ImageValidationError('INVALID_IMAGE_DATA', 'image must be a base64 string or data URL');
+  }
+  const prefix = value.match(DATA_URL_PATTERN);
+  if (value.startsWith('data:') && !prefix) {
+    throw new ImageValidationError('INVALID_IMAGE_DATA', 'image data URL must look like data:image/jpeg;base64,...');
+  }
+  const payload = (prefix ? value.slice(prefix[0].length) : value).replace(/\s+/g, '');
+  if (payload.length === 0 || payload.length % 4 === 1 || !BASE64_PATTERN.test(payload)) {
+    throw new ImageValidationError('INVALID_IMAGE_DATA', 'image is not valid base64');
+  }
+  return Buffer.from(payload, 'base64');
+}
+
+/**
+ * Check an uploaded image: format from magic bytes, at most maxBytes, at most maxPixels once
+ * decoded. Returns { format, width, height }; throws ImageValidationError.
+ */
+async function validateImage(buffer, { maxBytes = MAX_IMAGE_BYTES, maxPixels = MAX_IMAGE_PIXELS } = {}) {
+  if (buffer.length > maxBytes) {
+    throw new ImageValidationError('IMAGE_TOO_LARGE', `Image is larger than ${maxBytes} bytes`);
+  }
+  const format = detectImageFormat(buffer);
+  if (!format) {
+    throw new ImageValidationError('UNSUPPORTED_IMAGE_TYPE', 'Only JPEG, PNG and WebP images are supported');
+  }
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw new ImageValidationError('INVALID_IMAGE', `The ${format.toUpperCase()} image could not be read`);
+  }
+  const { width, height } = metadata;
+  if (!width || !height) {
+    throw new ImageValidationError('INVALID_IMAGE', `The ${format.toUpperCase()} image has no dimensions`);
+  }
+  if (width * height > maxPixels) {
+    throw new ImageValidationError('IMAGE_DIMENSIONS_TOO_LARGE', `Image is ${width}×${height}; at most ${maxPixels} pixels are allowed`);
+  }
+  return { format, width, height };
+}
+
+module.exports = {
+  validateImage,
+  decodeImageData,
+  detectImageFormat,
+  ImageValidationError,
+  MAX_IMAGE_BYTES,
+  MAX_IMAGE_PIXELS
+};
@@ -2,53 +2,602 @@ const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
-const { analyzeEyeColor } = require('./colorAnalyzer');
+const crypto = require('crypto');
+const { analyzeEyeColor, analyzeBothEyes, createIrisThumbnail, ImageQualityError } = require('./colorAnalyzer');
+const { analyzeBatch, IMAGE_EXTENSIONS, DEFAULT_CONCURRENCY } = require('./batchAnalyzer');
+const { analyzeBurst, MAX_BURST_FRAMES } = require('./burstAnalyzer');
+const { extractZip, isZip } = require('./zipArchive');
+const { ApiError, sendError } = require('./apiErrors');
+const { limitedMemoryStorage, rejectLargeBodies } = require('./uploadStorage');
+const { validateImage, decodeImageData, MAX_IMAGE_BYTES, MAX_IMAGE_PIXELS } = require('./imageValidation');
+const { createRateLimiter } = require('./rateLimiter');
+const { renderResultCard, exportScan } = require('./resultExport');
+const { renderDebugOverlay } = require('./debugOverlay');
+const { recommendColors } = require('./recommendations');
+const {
+  getScanStore,
+  createScanRecord,
+  validateScanOwner,
+  createOwnerToken,
+  hashOwnerToken,
+  ownsScan,
+  publicScan
+} = require('./scanStore');
+const { getBrowserBundle } = require('./browserBundle');
+const { apiVersion, formatResult } = require('./apiVersions');
+const { openApiDocument } = require('./openapi');
+const { InvalidOptionError } = require('./optionError');
+const { logger: defaultLogger, requestLogging } = require('./logger');
+const { metrics: defaultMetrics, renderPoolMetrics } = require('./metrics');
+const { checkReadiness } = require('./health');
+const { createAnalysisPool, DEFAULT_WORKERS, DEFAULT_QUEUE_SIZE } = require('./analysisPool');
+const { createStageTimer } = require('./stageTimer');
+const {
+  getServerRetention,
+  resolveRetention,
+  retentionPolicy,
+  zeroBuffers,
+  RETENTION_POLICY_HEADER
+} = require('./privacy');
+const { getPalette, listPalettes, registerPalette, loadBundledPalettes } = require('./paletteRegistry');
 
-const app = express();
 const PORT = process.env.PORT || 3000;
+const MAX_ARCHIVE_BYTES = 100 * 1024 * 1024;
+const MAX_BATCH_ITEMS = 200;
+// All files of one batch request together (images and archive)
+const MAX_BATCH_BYTES = MAX_ARCHIVE_BYTES;
+// One maximum-size image as base64 plus the other fields (send bursts as multipart when larger)
+const MAX_JSON_BYTES = Math.ceil(MAX_IMAGE_BYTES * 4 / 3) + 1024 * 1024;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || DEFAULT_CONCURRENCY;
+const SERVER_RETENTION = getServerRetention();
+const HEX_PATTERN = /^#?[0-9a-f]{6}$/i;
+// Carries the owner token issued with a saved scan; the key to that owner's scan history
+const OWNER_TOKEN_HEADER = 'X-Owner-Token';
 
-app.use(cors());
-app.use(express.json({ limit: '20mb' }));
-app.use(express.static(path.join(__dirname, '..', 'public')));
+// Read now rather than on first use, so skipped palette files are reported in the structured log
+loadBundledPalettes({ onSkip: (file, errors) => defaultLogger.warn('Skipping palette', { file, errors }) });
 
+// Mounted at /api/v1 and, for existing clients, at /api (see apiVersions.js)
+const router = express.Router();
 const storage = multer.memoryStorage();
+// The declared type is only a first filter; the bytes are checked by validateImage
+const imageFileFilter = (req, file, cb) => {
+  const allowed = /image\/(jpeg|jpg|png|webp)/;
+  if (allowed.test(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new ApiError(415, 'UNSUPPORTED_IMAGE_TYPE', 'Only JPEG, PNG and WebP images are allowed'));
+  }
+};
 const upload = multer({
   storage,
-  limits: { fileSize: 10 * 1024 * 1024 },
+  limits: { fileSize: MAX_IMAGE_BYTES },
+  fileFilter: imageFileFilter
+});
+
+// Batch uploads: image files and/or one zip archive. Images are capped at MAX_IMAGE_BYTES and the
+// request at MAX_BATCH_BYTES while they stream in (see uploadStorage.js)
+const batchUpload = multer({
+  storage: limitedMemoryStorage({ fieldLimits: { images: MAX_IMAGE_BYTES }, maxTotalBytes: MAX_BATCH_BYTES }),
+  limits: { fileSize: MAX_ARCHIVE_BYTES, files: MAX_BATCH_ITEMS + 1 },
   fileFilter: (req, file, cb) => {
-    const allowed = /image\/(jpeg|jpg|png|webp)/;
-    if (allowed.test(file.mimetype)) {
+    const isImage = /image\/(jpeg|jpg|png|webp)/.test(file.mimetype);
+    const isArchive = /application\/(zip|x-zip-compressed|octet-stream)/.test(file.mimetype) && /\.zip$/i.test(file.originalname);
+    if (file.fieldname === 'archive' ? isArchive : isImage) {
       cb(null, true);
     } else {
-      cb(new Error('Only JPEG, PNG, and WebP images are allowed.'));
+      cb(new ApiError(415, 'UNSUPPORTED_MEDIA_TYPE', `Unsupported file "${file.originalname}": send images as "images" (JPEG, PNG, WebP) and zip files as "archive".`));
+    }
+  }
+}).fields([{ name: 'images', maxCount: MAX_BATCH_ITEMS }, { name: 'archive', maxCount: 1 }]);
+
+// Burst uploads: up to MAX_BURST_FRAMES frames of one eye
+const burstUpload = multer({
+  storage,
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_BURST_FRAMES },
+  fileFilter: imageFileFilter
+}).array('frames', MAX_BURST_FRAMES);
+
+/**
+ * Image limits of the app handling a request (see createApp)
+ */
+function checkImage(req, buffer) {
+  return validateImage(buffer, req.app.locals.imageLimits);
+}
+
+/**
+ * Analysis options from a JSON or multipart body (multipart fields arrive as strings).
+ * debug may also come from the query string (?debug=true).
+ * Throws InvalidOptionError for a malformed referenceCardHex; the analyzer checks the rest.
+ */
+function parseAnalyzeOptions(body = {}, query = {}) {
+  const { whiteBalance, referenceCardHex, clustering, numColors, metric, palette, mirrored } = body;
+  const debug = body.debug === undefined ? query.debug : body.debug;
+  if (referenceCardHex !== undefined && referenceCardHex !== null && !HEX_PATTERN.test(referenceCardHex)) {
+    throw new InvalidOptionError('referenceCardHex must be a 6-digit hex color, e.g. #808080');
+  }
+  return {
+    whiteBalance,
+    referenceCardHex,
+    clustering,
+    numColors: numColors === undefined ? undefined : Number(numColors),
+    metric,
+    palette,
+    mirrored: mirrored === true || mirrored === 'true',
+    debug: debug === true || debug === 'true'
+  };
+}
+
+/**
+ * parseAnalyzeOptions for a request, plus the app's analysis pool when it has one
+ */
+function analysisOptions(req) {
+  return { ...parseAnalyzeOptions(req.body, req.query), pool: req.app.locals.analysisPool };
+}
+
+/**
+ * Record an analysis in the app's metrics: stage timings, the general color of each eye, or
+ * the reason codes of a quality rejection. Adds the request ID to the result's debug block.
+ */
+function recordAnalysis(req, { result = null, error = null, timer = null }) {
+  const { metrics } = req.app.locals;
+  if (timer) metrics.observeTimings(timer.toJSON());
+  if (error instanceof ImageQualityError) metrics.observeRejection(error);
+  if (!result) return result;
+  metrics.observeResult(result);
+  return result.debug ? { ...result, debug: { requestId: req.id, ...result.debug } } : result;
+}
+
+/**
+ * Hash of the owner token in the request's X-Owner-Token header, or null without one.
+ * Throws InvalidOptionError for a malformed token.
+ */
+function requestOwnerHash(req) {
+  const token = req.get(OWNER_TOKEN_HEADER);
+  return token ? hashOwnerToken(token) : null;
+}
+
+/**
+ * Send an analysis result in the request's API version, first saving it to the scan history when the
+ * request asks for one (an owner token, save: true, or a userId / sessionId label) and retention is
+ * not 'none'. Adds scanId to the response when the scan was stored, and ownerToken when a new owner
+ * token was issued for it; the Retention-Policy header says either way.
+ */
+async function sendWithScan(req, res, buffer, result, { retention, save, ownerHash = null, userId = null, sessionId = null }) {
+  res.set('Cache-Control', 'no-store');
+  const wantsHistory = Boolean(ownerHash || userId || sessionId) || save === true || save === 'true';
+  if (retention === 'none' || !wantsHistory) {
+    res.set(RETENTION_POLICY_HEADER, retentionPolicy({ stored: false }));
+    return res.json(formatResult(result, req.apiVersion));
+  }
+  // A history failure should not cost the user their result
+  try {
+    const store = getScanStore();
+    // Only tokens this server issued are kept: one it has no scans for (made up, or all its scans
+    // deleted) is replaced by a new token, as is a missing one
+    let ownerToken = null;
+    if (!ownerHash || (await store.list({ ownerHash, limit: 1 })).total === 0) {
+      ownerToken = createOwnerToken();
+      ownerHash = hashOwnerToken(ownerToken);
+    }
+    const thumbnail = await createIrisThumbnail(buffer, result);
+    const scan = await store.save(createScanRecord({
+      result,
+      thumbnail: 'data:image/jpeg;base64,' + thumbnail.toString('base64'),
+      userId,
+      sessionId,
+      ownerHash
+    }));
+    res.set(RETENTION_POLICY_HEADER, retentionPolicy({ stored: true, scanId: scan.id }));
+    return res.json({ ...formatResult(result, req.apiVersion), scanId: scan.id, ...(ownerToken && { ownerToken }) });
+  } catch (storeError) {
+    req.log.error('Could not save scan', { err: storeError });
+    res.set(RETENTION_POLICY_HEADER, retentionPolicy({ stored: false }));
+    return res.json(formatResult(result, req.apiVersion));
+  }
+}
+
+/**
+ * Drop and zero the image bytes of a request once it is answered. Base64 strings in a JSON
+ * body are immutable, so the best that can be done for them is to drop the reference.
+ */
+function discardUploads(req, buffers) {
+  zeroBuffers(buffers);
+  if (req.file) zeroBuffers([req.file.buffer]);
+  const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+  zeroBuffers(files.map(file => file.buffer));
+  if (req.body) {
+    delete req.body.image;
+    delete req.body.frames;
+  }
+}
+
+/**
+ * The single image of a request: multipart file "image" or a base64 / data URL "image" field.
+ * Throws ApiError MISSING_IMAGE when there is none.
+ */
+function requestImage(req) {
+  let buffer = null;
+  if (req.file && req.file.buffer) {
+    buffer = req.file.buffer;
+  } else if (req.body && req.body.image) {
+    buffer = decodeImageData(req.body.image);
+  }
+  if (!buffer || buffer.length === 0) {
+    throw new ApiError(400, 'MISSING_IMAGE', 'No image provided. Send as multipart file "image" or JSON body { "image": "data:image/...;base64,..." }');
+  }
+  return buffer;
+}
+
+router.post('/analyze', upload.single('image'), async (req, res) => {
+  const timer = createStageTimer();
+  let buffer = null;
+  try {
+    buffer = requestImage(req);
+    const { mode = 'single', save, retention, userId = null, sessionId = null } = req.body || {};
+    if (mode !== 'single' && mode !== 'both') {
+      throw new InvalidOptionError('mode must be "single" or "both"');
     }
+    validateScanOwner({ userId, sessionId });
+    const ownerHash = requestOwnerHash(req);
+    await checkImage(req, buffer);
+    const resolvedRetention = resolveRetention({ retention, save }, SERVER_RETENTION);
+    const options = { ...analysisOptions(req), timer };
+    const analyzed = mode === 'both'
+      ? await analyzeBothEyes(buffer, options)
+      : await analyzeEyeColor(buffer, options);
+    const result = recordAnalysis(req, { result: analyzed, timer });
+    return await sendWithScan(req, res, buffer, result, { retention: resolvedRetention, save, ownerHash, userId, sessionId });
+  } catch (err) {
+    recordAnalysis(req, { error: err });
+    return sendError(res, err, 'Analysis failed.');
+  } finally {
+    discardUploads(req, [buffer]);
   }
 });
 
-app.post('/api/analyze', upload.single('image'), async (req, res) => {
+// Annotated PNG of one eye's segmentation, pixel filters and clusters (see debugOverlay.js).
+// Never stored; the quality gate is skipped so rejected photos can be inspected.
+router.post('/analyze/debug', upload.single('image'), async (req, res) => {
+  let buffer = null;
   try {
-    let buffer = null;
-    if (req.file && req.file.buffer) {
-      buffer = req.file.buffer;
-    } else if (req.body && req.body.image) {
-      const base64 = req.body.image.replace(/^data:image\/\w+;base64,/, '');
-      buffer = Buffer.from(base64, 'base64');
+    buffer = requestImage(req);
+    await checkImage(req, buffer);
+    const { png } = await renderDebugOverlay(buffer, analysisOptions(req));
+    res.set('Cache-Control', 'no-store');
+    res.set(RETENTION_POLICY_HEADER, retentionPolicy({ stored: false }));
+    return res.type('png').send(png);
+  } catch (err) {
+    return sendError(res, err, 'Could not render the debug overlay.');
+  } finally {
+    discardUploads(req, [buffer]);
+  }
+});
+
+router.post('/analyze/burst', (req, res) => {
+  burstUpload(req, res, async (uploadError) => {
+    if (uploadError) {
+      if (uploadError.code === 'LIMIT_UNEXPECTED_FILE' || uploadError.code === 'LIMIT_FILE_COUNT') {
+        return sendError(res, new ApiError(400, 'TOO_MANY_FILES', `At most ${MAX_BURST_FRAMES} frames per burst`));
+      }
+      return sendError(res, uploadError);
+    }
+    let frames = [];
+    try {
+      if (req.body && req.body.frames !== undefined && !Array.isArray(req.body.frames)) {
+        throw new ApiError(400, 'INVALID_REQUEST', 'frames must be an array of data URLs');
+      }
+      if (req.body && Array.isArray(req.body.frames) && req.body.frames.length > MAX_BURST_FRAMES) {
+        throw new ApiError(400, 'TOO_MANY_FILES', `At most ${MAX_BURST_FRAMES} frames per burst`);
+      }
+      frames = (req.files || []).map(file => file.buffer);
+      if (frames.length === 0 && req.body && Array.isArray(req.body.frames)) {
+        frames = req.body.frames.map(decodeImageData);
+      }
+      if (frames.length === 0 || frames.some(buffer => buffer.length === 0)) {
+        throw new ApiError(400, 'MISSING_IMAGE', 'No frames provided. Send multipart files "frames" or JSON body { "frames": ["data:image/...;base64,...", ...] }');
+      }
+      const { save, retention, userId = null, sessionId = null } = req.body || {};
+      validateScanOwner({ userId, sessionId });
+      const ownerHash = requestOwnerHash(req);
+      for (const frame of frames) await checkImage(req, frame);
+      const resolvedRetention = resolveRetention({ retention, save }, SERVER_RETENTION);
+      const timer = createStageTimer();
+      const analyzed = await analyzeBurst(frames, { ...analysisOptions(req), timer }, { concurrency: BATCH_CONCURRENCY });
+      const result = recordAnalysis(req, { result: analyzed, timer });
+      return await sendWithScan(req, res, frames[result.burst.representativeFrame], result, {
+        retention: resolvedRetention,
+        save,
+        ownerHash,
+        userId,
+        sessionId
+      });
+    } catch (err) {
+      recordAnalysis(req, { error: err });
+      return sendError(res, err, 'Analysis failed.');
+    } finally {
+      discardUploads(req, frames);
+    }
+  });
+});
+
+// The declared length may add 1 MB of multipart headers and fields to MAX_BATCH_BYTES
+router.post('/analyze/batch', rejectLargeBodies(MAX_BATCH_BYTES + 1024 * 1024), (req, res) => {
+  batchUpload(req, res, async (uploadError) => {
+    if (uploadError) {
+      return sendError(res, uploadError);
     }
-    if (!buffer || buffer.length === 0) {
-      return res.status(400).json({ error: 'No image provided. Send as multipart file "image" or JSON body { "image": "data:image/...;base64,..." }' });
+    const items = [];
+    try {
+      const files = (req.files && req.files.images) || [];
+      const archive = req.files && req.files.archive && req.files.archive[0];
+      for (const file of files) {
+        items.push({ name: file.originalname, buffer: file.buffer });
+      }
+      if (archive) {
+        if (!isZip(archive.buffer)) {
+          throw new ApiError(400, 'INVALID_ARCHIVE', `"${archive.originalname}" is not a zip archive`);
+        }
+        const entries = extractZip(archive.buffer, {
+          maxEntries: MAX_BATCH_ITEMS,
+          maxEntryBytes: MAX_IMAGE_BYTES,
+          filter: name => IMAGE_EXTENSIONS.test(name)
+        });
+        items.push(...entries);
+      }
+      if (items.length === 0) {
+        throw new ApiError(400, 'MISSING_IMAGE', 'No images provided. Send multipart files "images" and/or a zip file "archive".');
+      }
+      if (items.length > MAX_BATCH_ITEMS) {
+        throw new ApiError(400, 'TOO_MANY_FILES', `At most ${MAX_BATCH_ITEMS} images per batch`);
+      }
+      const { mode = 'single' } = req.body || {};
+      const started = Date.now();
+      const results = await analyzeBatch(items, analysisOptions(req), {
+        mode,
+        concurrency: BATCH_CONCURRENCY,
+        validate: buffer => checkImage(req, buffer),
+        log: req.log
+      });
+      for (const item of results) {
+        if (item.result) req.app.locals.metrics.observeResult(item.result);
+        if (item.error && item.error.code === 'IMAGE_QUALITY') req.app.locals.metrics.observeRejection(item.error);
+      }
+      const failed = results.filter(r => r.status === 'error').length;
+      // Batch results are never stored
+      res.set('Cache-Control', 'no-store');
+      res.set(RETENTION_POLICY_HEADER, retentionPolicy({ stored: false }));
+      return res.json({
+        count: results.length,
+        succeeded: results.length - failed,
+        failed,
+        timingMs: Date.now() - started,
+        results: results.map(item => (item.result ? { ...item, result: formatResult(item.result, req.apiVersion) } : item))
+      });
+    } catch (err) {
+      return sendError(res, err, 'Batch analysis failed.');
+    } finally {
+      discardUploads(req, items.map(item => item.buffer));
     }
-    const result = await analyzeEyeColor(buffer);
-    return res.json(result);
+  });
+});
+
+/**
+ * Hash of the request's owner token; scans are only listed, returned or deleted for the token they
+ * were saved with. Throws a 400 ApiError without one.
+ */
+function scanOwner(req) {
+  const ownerHash = requestOwnerHash(req);
+  if (!ownerHash) {
+    throw new ApiError(400, 'OWNER_REQUIRED', `Send the owner token returned with your saved scans in the ${OWNER_TOKEN_HEADER} header`);
+  }
+  return ownerHash;
+}
+
+router.get('/scans', async (req, res) => {
+  try {
+    const { limit, offset, color, userId, sessionId } = req.query;
+    return res.json(await getScanStore().list({ limit, offset, color, userId, sessionId, ownerHash: scanOwner(req) }));
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ error: err.message || 'Analysis failed.' });
+    return sendError(res, err, 'Could not list scans.');
   }
 });
 
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok' });
+/**
+ * The stored scan for req.params.id (without its owner hash) if it belongs to the request's owner;
+ * throws a 404 ApiError otherwise, so another owner's scans cannot even be confirmed to exist
+ */
+async function findScan(req) {
+  const ownerHash = scanOwner(req);
+  const scan = await getScanStore().get(req.params.id);
+  if (!scan || !ownsScan(scan, ownerHash)) throw new ApiError(404, 'SCAN_NOT_FOUND', `Scan "${req.params.id}" not found`);
+  return publicScan(scan);
+}
+
+router.get('/scans/:id', async (req, res) => {
+  try {
+    const scan = await findScan(req);
+    return res.json({ ...scan, result: formatResult(scan.result, req.apiVersion) });
+  } catch (err) {
+    return sendError(res, err, 'Could not load scan.');
+  }
 });
 
-app.listen(PORT, () => {
-  console.log(`Eye Color Identifier server running at http://localhost:${PORT}`);
+/**
+ * Download name for a scan export, e.g. eye-color-2024-05-01-3f2a9c1b.pdf
+ */
+function exportFileName(scan, extension) {
+  return `eye-color-${scan.createdAt.slice(0, 10)}-${scan.id.slice(0, 8)}.${extension}`;
+}
+
+router.get('/scans/:id/card.png', async (req, res) => {
+  try {
+    const scan = await findScan(req);
+    const card = await renderResultCard(scan);
+    res.set('Content-Disposition', `inline; filename="${exportFileName(scan, 'png')}"`);
+    return res.type('png').send(card);
+  } catch (err) {
+    return sendError(res, err, 'Could not render result card.');
+  }
+});
+
+router.get('/scans/:id/export.:format', async (req, res) => {
+  try {
+    const scan = await findScan(req);
+    const { body, contentType, extension } = await exportScan(scan, req.params.format);
+    res.set('Content-Disposition', `attachment; filename="${exportFileName(scan, extension)}"`);
+    return res.type(contentType).send(body);
+  } catch (err) {
+    return sendError(res, err, 'Could not export scan.');
+  }
+});
+
+router.delete('/scans/:id', async (req, res) => {
+  try {
+    const scan = await findScan(req);
+    const removed = await getScanStore().delete(scan.id);
+    if (!removed) throw new ApiError(404, 'SCAN_NOT_FOUND', `Scan "${req.params.id}" not found`);
+    return res.status(204).end();
+  } catch (err) {
+    return sendError(res, err, 'Could not delete scan.');
+  }
 });
+
+router.get('/recommendations', (req, res) => {
+  try {
+    const { hex, category } = req.query;
+    return res.json(recommendColors(hex, { category }));
+  } catch (err) {
+    return sendError(res, err, 'Could not build recommendations.');
+  }
+});
+
+router.get('/palettes', (req, res) => {
+  res.json({ palettes: listPalettes() });
+});
+
+router.get('/palettes/:id', (req, res) => {
+  try {
+    const { id, name, description, source, colors } = getPalette(req.params.id);
+    return res.json({ id, name, description, source, colors: colors.map(({ name, hex }) => ({ name, hex })) });
+  } catch (err) {
+    return sendError(res, new ApiError(404, 'PALETTE_NOT_FOUND', err.message));
+  }
+});
+
+router.post('/palettes', (req, res) => {
+  try {
+    const { id, name, description, source, colors } = registerPalette(req.body);
+    return res.status(201).json({ id, name, description, source, colorCount: colors.length });
+  } catch (err) {
+    return sendError(res, err, 'Could not register palette.');
+  }
+});
+
+// Readiness: 503 until the palettes are loaded and sharp can decode (see health.js)
+router.get('/health', async (req, res) => {
+  const { ready, checks } = await checkReadiness({ pool: req.app.locals.analysisPool });
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'unavailable', retention: SERVER_RETENTION, checks });
+});
+
+/**
+ * Whether an Authorization header carries the expected bearer token (constant-time comparison)
+ */
+function isBearerToken(header, token) {
+  const given = Buffer.from(String(header || ''));
+  const expected = Buffer.from(`Bearer ${token}`);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * CORS_ORIGINS: comma-separated allowed origins, or * for any. Unset means same-origin only.
+ */
+function parseCorsOrigins(value = process.env.CORS_ORIGINS) {
+  if (!value || !value.trim()) return [];
+  if (value.trim() === '*') return '*';
+  return value.split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+}
+
+/**
+ * Build the Express app. config (defaults from the environment):
+ * - corsOrigins: list of allowed origins, '*' for any, [] for same-origin only (CORS_ORIGINS)
+ * - rateLimit: { windowMs, max, analyzeMax } per client IP for /api and the analysis routes
+ *   (RATE_LIMIT_WINDOW_MS, RATE_LIMIT_MAX, ANALYZE_RATE_LIMIT_MAX), or false to turn it off
+ * - imageLimits: { maxBytes, maxPixels } for uploaded images (MAX_IMAGE_PIXELS)
+ * - trustProxy: Express "trust proxy" setting, so req.ip is the client behind a proxy (TRUST_PROXY)
+ * - logger: structured logger for request and error lines (see logger.js)
+ * - metrics: registry served at /metrics (see metrics.js), behind a bearer token when
+ *   metricsToken is set (METRICS_TOKEN)
+ * - analysisPool: worker pool for the pixel pipeline (see analysisPool.js); null analyzes on
+ *   the request thread. The caller owns the pool and closes it.
+ */
+function createApp({
+  corsOrigins = parseCorsOrigins(),
+  rateLimit = {},
+  imageLimits = {},
+  trustProxy = process.env.TRUST_PROXY,
+  logger = defaultLogger,
+  metrics = defaultMetrics,
+  metricsToken = process.env.METRICS_TOKEN,
+  analysisPool = null
+} = {}) {
+  const app = express();
+  app.disable('x-powered-by');
+  app.locals.metrics = metrics;
+  app.locals.analysisPool = analysisPool;
+  app.use(requestLogging(logger));
+  app.use(metrics.middleware());
+  if (trustProxy) {
+    // true, a hop count, or addresses / subnets as Express accepts them
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+  }
+  app.locals.imageLimits = { maxBytes: MAX_IMAGE_BYTES, maxPixels: MAX_IMAGE_PIXELS, ...imageLimits };
+
+  app.get('/metrics', (req, res) => {
+    if (metricsToken && !isBearerToken(req.get('Authorization'), metricsToken)) {
+      return sendError(res, new ApiError(401, 'UNAUTHORIZED', 'A valid bearer token is required for /metrics'));
+    }
+    return res.type('text/plain; version=0.0.4').send(metrics.render() + (analysisPool ? renderPoolMetrics(analysisPool.stats()) : ''));
+  });
+
+  // Origins outside the list get no CORS headers, so browsers refuse to share the response
+  app.use(cors({ origin: corsOrigins === '*' ? '*' : (origin, cb) => cb(null, corsOrigins.includes(origin)) }));
+  if (rateLimit !== false) {
+    const windowMs = rateLimit.windowMs || Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+    const max = rateLimit.max || Number(process.env.RATE_LIMIT_MAX) || 120;
+    const analyzeMax = rateLimit.analyzeMax || Number(process.env.ANALYZE_RATE_LIMIT_MAX) || 20;
+    app.use('/api', createRateLimiter({ windowMs, max }));
+    app.use(['/api/v1/analyze', '/api/analyze'], createRateLimiter({ windowMs, max: analyzeMax }));
+  }
+  app.use(express.json({ limit: MAX_JSON_BYTES }));
+  app.use(express.static(path.join(__dirname, '..', 'public')));
+
+  // Browser build of the analysis core, for on-device analysis (see browserBundle.js)
+  app.get('/eye-color-core.js', (req, res) => {
+    res.type('application/javascript').send(getBrowserBundle());
+  });
+  app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+  app.use('/api/v1', apiVersion('v1'), router);
+  app.use('/api', router);
+  app.use('/api', (req, res) => {
+    sendError(res, new ApiError(404, 'NOT_FOUND', `No route for ${req.method} ${req.originalUrl}`));
+  });
+  // Errors from middleware: body parsing, uploads
+  app.use((err, req, res, next) => sendError(res, err));
+  return app;
+}
+
+if (require.main === module) {
+  // ANALYSIS_WORKERS=0 analyzes on the request thread
+  const workers = process.env.ANALYSIS_WORKERS === undefined ? DEFAULT_WORKERS : Number(process.env.ANALYSIS_WORKERS);
+  const analysisPool = workers > 0
+    ? createAnalysisPool({ size: workers, maxQueue: Number(process.env.ANALYSIS_QUEUE_SIZE) || DEFAULT_QUEUE_SIZE })
+    : null;
+  createApp({ analysisPool }).listen(PORT, () => {
+    defaultLogger.info('Eye Color Identifier server running', { url: `http://localhost:${PORT}` });
+  });
+}
+
+module.exports = { createApp, parseCorsOrigins };
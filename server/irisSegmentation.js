@@ -0,0 +1,375 @@
+/**
+ * Iris segmentation for the eye color analyzer:
+ * - Pupil and limbus (iris/sclera) boundaries via radial gradient search (integro-differential)
+ * - Eyelid, eyelash and specular highlight masking inside the iris annulus
+ * - Returns { pupil, iris, maskCoverage } plus a per-pixel iris mask for sampling
+ */
+
+const BYTES_PER_PIXEL = 4;
+const PUPIL_ANGLES = 64;
+const LIMBUS_ANGLES = 32;
+const SPECULAR_LUM = 0.85;
+const SPECULAR_ABOVE_MEDIAN = 0.3;
+const EYELASH_BELOW_MEDIAN = 0.45;
+const EYELID_MIN_FRACTION = 0.5;
+const MIN_COLOR_TOLERANCE = 40;
+
+/**
+ * Per-pixel luminance (0-1) from RGBA pixel data
+ */
+function toLuminance(pixels, width, height) {
+  const lum = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < lum.length; i++, p += BYTES_PER_PIXEL) {
+    lum[i] = (0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2]) / 255;
+  }
+  return lum;
+}
+
+/**
+ * Separable box blur (edge-clamped) so single dark lashes or noisy pixels don't dominate searches
+ */
+function boxBlur(src, width, height, radius) {
+  if (radius < 1) return src;
+  const size = radius * 2 + 1;
+  const tmp = new Float32Array(src.length);
+  const out = new Float32Array(src.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += src[y * width + Math.min(width - 1, Math.max(0, x + k))];
+      }
+      tmp[y * width + x] = sum / size;
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += tmp[Math.min(height - 1, Math.max(0, y + k)) * width + x];
+      }
+      out[y * width + x] = sum / size;
+    }
+  }
+  return out;
+}
+
+/**
+ * Find approximate pupil center: darkest smoothed region in the center of the image,
+ * refined to the centroid of the connected dark blob around it.
+ */
+function findPupilCenter(pixels, width, height, lum = toLuminance(pixels, width, height)) {
+  const minDim = Math.min(width, height);
+  const smooth = boxBlur(lum, width, height, Math.max(1, Math.round(minDim * 0.015)));
+  const cx = width / 2;
+  const cy = height / 2;
+  const searchRadius = minDim * 0.35;
+  let bestX = Math.round(cx);
+  let bestY = Math.round(cy);
+  let bestLum = Infinity;
+  const step = 2;
+
+  for (let dy = -searchRadius; dy <= searchRadius; dy += step) {
+    for (let dx = -searchRadius; dx <= searchRadius; dx += step) {
+      const x = Math.round(cx + dx);
+      const y = Math.round(cy + dy);
+      if (x < 0 || x >= width || y < 0 || y >= height) continue;
+      const l = smooth[y * width + x];
+      if (l < bestLum) {
+        bestLum = l;
+        bestX = x;
+        bestY = y;
+      }
+    }
+  }
+
+  // Centroid of dark pixels near the seed (the darkest point may sit anywhere inside the pupil)
+  const window = Math.round(minDim * 0.2);
+  const threshold = bestLum + 0.08;
+  let sumX = 0, sumY = 0, count = 0;
+  for (let y = Math.max(0, bestY - window); y <= Math.min(height - 1, bestY + window); y++) {
+    for (let x = Math.max(0, bestX - window); x <= Math.min(width - 1, bestX + window); x++) {
+      if (smooth[y * width + x] <= threshold) {
+        sumX += x;
+        sumY += y;
+        count += 1;
+      }
+    }
+  }
+  if (count === 0) return { cx: bestX, cy: bestY };
+  return { cx: Math.round(sumX / count), cy: Math.round(sumY / count) };
+}
+
+/**
+ * Mean luminance along circles of radius rMin..rMax (only the given angles), indexed by radius
+ */
+function circularProfile(lum, width, height, cx, cy, rMin, rMax, angles) {
+  const profile = new Float32Array(rMax + 2).fill(NaN);
+  for (let r = Math.max(1, rMin - 1); r <= rMax + 1; r++) {
+    let sum = 0, count = 0;
+    for (const { cos, sin } of angles) {
+      const x = Math.round(cx + r * cos);
+      const y = Math.round(cy + r * sin);
+      if (x < 0 || x >= width || y < 0 || y >= height) continue;
+      sum += lum[y * width + x];
+      count += 1;
+    }
+    if (count >= angles.length / 2) profile[r] = sum / count;
+  }
+  return profile;
+}
+
+/**
+ * Precompute unit vectors for a set of arcs given as [startRad, endRad] pairs
+ */
+function buildAngles(arcs, steps) {
+  const total = arcs.reduce((sum, [start, end]) => sum + (end - start), 0);
+  const angles = [];
+  for (const [start, end] of arcs) {
+    const n = Math.max(1, Math.round(steps * (end - start) / total));
+    for (let i = 0; i < n; i++) {
+      const t = start + (end - start) * (i + 0.5) / n;
+      angles.push({ cos: Math.cos(t), sin: Math.sin(t) });
+    }
+  }
+  return angles;
+}
+
+/**
+ * Radial gradient search: the circle (center near seed, radius in range) with the strongest
+ * dark-to-bright transition in mean luminance. Returns { cx, cy, r, strength }.
+ */
+function searchCircle(lum, width, height, seed, { rMin, rMax, angles, centerRange, centerStep }) {
+  let best = { cx: seed.cx, cy: seed.cy, r: rMin, strength: -Infinity };
+  for (let oy = -centerRange; oy <= centerRange; oy += centerStep) {
+    for (let ox = -centerRange; ox <= centerRange; ox += centerStep) {
+      const cx = seed.cx + ox;
+      const cy = seed.cy + oy;
+      if (cx < 0 || cx >= width || cy < 0 || cy >= height) continue;
+      const profile = circularProfile(lum, width, height, cx, cy, rMin, rMax, angles);
+      for (let r = rMin; r <= rMax; r++) {
+        const strength = profile[r + 1] - profile[r - 1];
+        if (strength > best.strength) best = { cx, cy, r, strength };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Locate pupil and limbus circles. The limbus search only looks at the lateral arcs
+ * (left/right of the pupil), since the top and bottom of the iris are often under the eyelids.
+ */
+function detectBoundaries(pixels, width, height, lum) {
+  const minDim = Math.min(width, height);
+  const smooth = boxBlur(lum, width, height, 1);
+  const seed = findPupilCenter(pixels, width, height, lum);
+
+  const allAngles = buildAngles([[0, 2 * Math.PI]], PUPIL_ANGLES);
+  const pupilRMin = Math.max(2, Math.round(minDim * 0.02));
+  let pupil = searchCircle(smooth, width, height, seed, {
+    rMin: pupilRMin,
+    rMax: Math.max(3, Math.round(minDim * 0.2)),
+    angles: allAngles,
+    centerRange: Math.max(3, Math.round(minDim * 0.015)),
+    centerStep: 1
+  });
+
+  // When the iris is small in the frame, pupil + iris can read as one dark disk against the
+  // sclera. A clear boundary well inside the first circle means that circle was the limbus.
+  const innerMax = Math.round(pupil.r * 0.7);
+  if (innerMax > pupilRMin + 1) {
+    const inner = searchCircle(smooth, width, height, pupil, {
+      rMin: pupilRMin,
+      rMax: innerMax,
+      angles: allAngles,
+      centerRange: Math.max(2, Math.round(pupil.r * 0.15)),
+      centerStep: 1
+    });
+    if (inner.strength > 0.5 * pupil.strength) pupil = inner;
+  }
+
+  const lateral = [[-Math.PI / 4, Math.PI / 4], [3 * Math.PI / 4, 5 * Math.PI / 4]];
+  const iris = searchCircle(smooth, width, height, pupil, {
+    rMin: Math.max(Math.round(pupil.r * 1.5), Math.round(minDim * 0.1)),
+    rMax: Math.round(minDim * 0.5),
+    angles: buildAngles(lateral, LIMBUS_ANGLES),
+    centerRange: Math.max(2, Math.round(minDim * 0.03)),
+    centerStep: 2
+  });
+
+  return { pupil, iris, seed };
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = Float64Array.from(values).sort();
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function percentile(values, p) {
+  if (!values.length) return 0;
+  const sorted = Float64Array.from(values).sort();
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+/**
+ * Build the iris mask: annulus between pupil and limbus, minus specular highlights (dilated),
+ * eyelashes (much darker than the iris) and rows occluded by the upper/lower eyelid.
+ */
+function buildIrisMask(pixels, lum, width, height, pupil, iris) {
+  const inner = pupil.r * 1.1 + 1;
+  const outer = iris.r * 0.95;
+  const xMin = Math.max(0, Math.floor(iris.cx - outer));
+  const xMax = Math.min(width - 1, Math.ceil(iris.cx + outer));
+  const yMin = Math.max(0, Math.floor(iris.cy - outer));
+  const yMax = Math.min(height - 1, Math.ceil(iris.cy + outer));
+
+  const annulus = new Uint8Array(width * height);
+  const annulusLum = [];
+  // Squared distances: no square root per pixel
+  const outerSq = outer * outer;
+  const innerSq = inner * inner;
+  for (let y = yMin; y <= yMax; y++) {
+    for (let x = xMin; x <= xMax; x++) {
+      const ix = x - iris.cx, iy = y - iris.cy, px = x - pupil.cx, py = y - pupil.cy;
+      if (ix * ix + iy * iy > outerSq || px * px + py * py < innerSq) continue;
+      annulus[y * width + x] = 1;
+      annulusLum.push(lum[y * width + x]);
+    }
+  }
+  const annulusTotal = annulusLum.length;
+  const medLum = median(annulusLum);
+
+  // Specular highlights, dilated by one pixel to drop their halo
+  const specularLum = Math.min(SPECULAR_LUM, medLum + SPECULAR_ABOVE_MEDIAN);
+  const specular = new Uint8Array(width * height);
+  for (let y = yMin; y <= yMax; y++) {
+    for (let x = xMin; x <= xMax; x++) {
+      if (lum[y * width + x] < specularLum) continue;
+      for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+        for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+          specular[ny * width + nx] = 1;
+        }
+      }
+    }
+  }
+
+  const eyelashLum = medLum * EYELASH_BELOW_MEDIAN;
+  const mask = new Uint8Array(width * height);
+  for (let y = yMin; y <= yMax; y++) {
+    for (let x = xMin; x <= xMax; x++) {
+      const i = y * width + x;
+      if (!annulus[i] || specular[i] || lum[i] < eyelashLum) continue;
+      mask[i] = 1;
+    }
+  }
+
+  const eyelids = detectEyelids(pixels, width, height, iris, outer, annulus, mask);
+  for (let y = yMin; y <= yMax; y++) {
+    if (y > eyelids.upper && y < eyelids.lower) continue;
+    mask.fill(0, y * width + xMin, y * width + xMax + 1);
+  }
+
+  let kept = 0;
+  let glare = 0;
+  for (let y = yMin; y <= yMax; y++) {
+    for (let i = y * width + xMin; i <= y * width + xMax; i++) {
+      kept += mask[i];
+      glare += annulus[i] & specular[i];
+    }
+  }
+
+  return {
+    mask,
+    eyelids,
+    maskCoverage: annulusTotal ? Math.round((kept / annulusTotal) * 1000) / 1000 : 0,
+    specularCoverage: annulusTotal ? Math.round((glare / annulusTotal) * 1000) / 1000 : 0
+  };
+}
+
+/**
+ * Eyelids are roughly horizontal: walking away from the iris center, the first rows where
+ * most annulus pixels no longer look like the lateral (unoccluded) iris mark the lid margin.
+ * Returns the row of each lid margin; rows at or beyond them are occluded.
+ */
+function detectEyelids(pixels, width, height, iris, outer, annulus, mask) {
+  const band = Math.max(2, Math.round(outer * 0.3));
+  const xMin = Math.max(0, Math.floor(iris.cx - outer));
+  const xMax = Math.min(width - 1, Math.ceil(iris.cx + outer));
+  const reference = { r: [], g: [], b: [] };
+  for (let y = Math.max(0, iris.cy - band); y <= Math.min(height - 1, iris.cy + band); y++) {
+    for (let x = xMin; x <= xMax; x++) {
+      const i = y * width + x;
+      if (!mask[i]) continue;
+      reference.r.push(pixels[i * BYTES_PER_PIXEL]);
+      reference.g.push(pixels[i * BYTES_PER_PIXEL + 1]);
+      reference.b.push(pixels[i * BYTES_PER_PIXEL + 2]);
+    }
+  }
+  const none = { upper: -1, lower: height };
+  if (reference.r.length < 10) return none;
+
+  const ref = { r: median(reference.r), g: median(reference.g), b: median(reference.b) };
+  const distanceTo = i => Math.hypot(
+    pixels[i * BYTES_PER_PIXEL] - ref.r,
+    pixels[i * BYTES_PER_PIXEL + 1] - ref.g,
+    pixels[i * BYTES_PER_PIXEL + 2] - ref.b
+  );
+  const refDistances = [];
+  for (let y = Math.max(0, iris.cy - band); y <= Math.min(height - 1, iris.cy + band); y++) {
+    for (let x = xMin; x <= xMax; x++) {
+      if (mask[y * width + x]) refDistances.push(distanceTo(y * width + x));
+    }
+  }
+  const tolerance = Math.max(MIN_COLOR_TOLERANCE, percentile(refDistances, 0.9) * 1.5);
+
+  const findLid = (start, end, dir) => {
+    let misses = 0;
+    for (let y = start; dir < 0 ? y >= end : y <= end; y += dir) {
+      if (y < 0 || y >= height) break;
+      let total = 0, irisLike = 0;
+      for (let x = xMin; x <= xMax; x++) {
+        const i = y * width + x;
+        if (!annulus[i]) continue;
+        total += 1;
+        if (distanceTo(i) <= tolerance) irisLike += 1;
+      }
+      if (total < 4) continue;
+      misses = irisLike / total < EYELID_MIN_FRACTION ? misses + 1 : 0;
+      if (misses === 2) return y - dir;
+    }
+    return null;
+  };
+
+  const upper = findLid(Math.round(iris.cy - band), Math.floor(iris.cy - outer), -1);
+  const lower = findLid(Math.round(iris.cy + band), Math.ceil(iris.cy + outer), 1);
+  return {
+    upper: upper === null ? none.upper : upper,
+    lower: lower === null ? none.lower : lower
+  };
+}
+
+/**
+ * Full segmentation stage. Circle coordinates are in the pixel space of the given image.
+ * Returns { pupil: {cx, cy, r}, iris: {cx, cy, r}, maskCoverage, mask, eyelids, specularCoverage, edges, seed };
+ * edges holds the luminance step found at each boundary (used for segmentation confidence);
+ * seed is findPupilCenter's estimate the pupil search started from.
+ */
+function segmentIris(pixels, width, height) {
+  const lum = toLuminance(pixels, width, height);
+  const { pupil, iris, seed } = detectBoundaries(pixels, width, height, lum);
+  const { mask, eyelids, maskCoverage, specularCoverage } = buildIrisMask(pixels, lum, width, height, pupil, iris);
+  return {
+    pupil: { cx: pupil.cx, cy: pupil.cy, r: pupil.r },
+    iris: { cx: iris.cx, cy: iris.cy, r: iris.r },
+    maskCoverage,
+    mask,
+    eyelids,
+    specularCoverage,
+    edges: { pupil: pupil.strength, iris: iris.strength },
+    seed: { cx: seed.cx, cy: seed.cy }
+  };
+}
+
+module.exports = { segmentIris, findPupilCenter, toLuminance };
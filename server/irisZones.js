@@ -0,0 +1,326 @@
+/**
+ * Zone statistics over the segmented iris:
+ * - Mean color of concentric rings and angular sectors of the masked annulus
+ * - Iris map: anatomical rings (pupillary zone, collarette, ciliary zone, limbal ring),
+ *   sectors, and small high-contrast flecks with their positions
+ * - Central heterochromia (inner ring vs outer ring) and sectoral heterochromia
+ *   (a contiguous run of sectors that differs from the rest of the iris)
+ */
+
+const { rgbToHex, cachedRgbToLab } = require('./colorSpace');
+const { getColorDifference, DEFAULT_METRIC } = require('./colorDifference');
+
+const BYTES_PER_PIXEL = 4;
+const MIN_ZONE_PIXELS = 20;
+const CENTRAL_DELTA_E = 8;
+const SECTORAL_DELTA_E = 10;
+const DEFAULT_SECTORS = 12;
+const FLECK_DELTA_E = 15;
+const MIN_FLECK_PIXELS = 4;
+const MAX_FLECK_FRACTION = 0.03;  // larger blobs are zones, not flecks
+const MAX_FLECKS = 24;
+const FLECK_EDGE_MARGIN = 2;
+
+// Anatomical rings as radial fractions (0 = pupil edge, 1 = limbus)
+const IRIS_RINGS = [
+  { name: 'pupillary', label: 'Pupillary zone', from: 0, to: 0.3 },
+  { name: 'collarette', label: 'Collarette', from: 0.3, to: 0.42 },
+  { name: 'ciliary', label: 'Ciliary zone', from: 0.42, to: 0.88 },
+  { name: 'limbal', label: 'Limbal ring', from: 0.88, to: 1 }
+];
+
+// Masked pixel positions per segmentation, computed once and shared by every zone pass
+const geometryCache = new WeakMap();
+
+/**
+ * Polar coordinates of every masked iris pixel, in raster order:
+ * { count, index: Int32Array (pixel index), angle: Float64Array, radial: Float64Array }.
+ * Only the rows' chords inside the limbus circle are scanned.
+ */
+function irisGeometry(segmentation, width, height) {
+  const cached = geometryCache.get(segmentation);
+  if (cached && cached.width === width) return cached;
+  const { pupil, iris, mask } = segmentation;
+  const yMin = Math.max(0, Math.floor(iris.cy - iris.r));
+  const yMax = Math.min(height - 1, Math.ceil(iris.cy + iris.r));
+  const indices = [];
+  for (let y = yMin; y <= yMax; y++) {
+    const dy = y - iris.cy;
+    const half = Math.sqrt(Math.max(0, iris.r * iris.r - dy * dy));
+    const xMax = Math.min(width - 1, Math.ceil(iris.cx + half));
+    for (let x = Math.max(0, Math.floor(iris.cx - half)); x <= xMax; x++) {
+      if (mask[y * width + x]) indices.push(y * width + x);
+    }
+  }
+  const geometry = {
+    width,
+    count: indices.length,
+    index: Int32Array.from(indices),
+    angle: new Float64Array(indices.length),
+    radial: new Float64Array(indices.length)
+  };
+  for (let k = 0; k < indices.length; k++) {
+    const x = indices[k] % width;
+    const { angle, radial } = polarPosition(pupil, iris, x, (indices[k] - x) / width);
+    geometry.angle[k] = angle;
+    geometry.radial[k] = radial;
+  }
+  geometryCache.set(segmentation, geometry);
+  return geometry;
+}
+
+/**
+ * Accumulate masked iris pixels into zones. zoneOf(x, y, radialFraction, angleDeg) returns a
+ * zone index or -1; radialFraction is 0 at the pupil edge and 1 at the limbus.
+ * Returns [{ hex, lab, pixelCount }] (hex/lab null when the zone has too few pixels).
+ */
+function accumulateZones(pixels, width, height, segmentation, zoneCount, zoneOf) {
+  const geometry = irisGeometry(segmentation, width, height);
+  const sums = Array.from({ length: zoneCount }, () => ({ r: 0, g: 0, b: 0, L: 0, A: 0, B: 0, n: 0 }));
+
+  for (let k = 0; k < geometry.count; k++) {
+    const p = geometry.index[k];
+    const x = p % width;
+    const zone = zoneOf(x, (p - x) / width, geometry.radial[k], geometry.angle[k]);
+    if (zone < 0) continue;
+    const i = p * BYTES_PER_PIXEL;
+    const lab = cachedRgbToLab(pixels[i], pixels[i + 1], pixels[i + 2]);
+    const s = sums[zone];
+    s.r += pixels[i]; s.g += pixels[i + 1]; s.b += pixels[i + 2];
+    s.L += lab.L; s.A += lab.a; s.B += lab.b;
+    s.n += 1;
+  }
+
+  return sums.map(s => (s.n < MIN_ZONE_PIXELS
+    ? { hex: null, lab: null, pixelCount: s.n }
+    : {
+      hex: rgbToHex(s.r / s.n, s.g / s.n, s.b / s.n),
+      lab: { L: s.L / s.n, a: s.A / s.n, b: s.B / s.n },
+      pixelCount: s.n
+    }));
+}
+
+/**
+ * Distance from the pupil center to the limbus circle along a ray at angleDeg
+ */
+function limbusDistance(pupil, iris, angleDeg) {
+  const t = angleDeg * Math.PI / 180;
+  const ux = Math.cos(t), uy = Math.sin(t);
+  const ox = pupil.cx - iris.cx, oy = pupil.cy - iris.cy;
+  const b = ox * ux + oy * uy;
+  const c = ox * ox + oy * oy - iris.r * iris.r;
+  return -b + Math.sqrt(Math.max(0, b * b - c));
+}
+
+/**
+ * Position of a pixel in iris coordinates: angle in degrees (0° = image right, clockwise)
+ * and radial fraction clamped to 0-1 (0 at the pupil edge, 1 at the limbus)
+ */
+function polarPosition(pupil, iris, x, y) {
+  const dx = x - pupil.cx;
+  const dy = y - pupil.cy;
+  const angle = (Math.atan2(dy, dx) * 180 / Math.PI + 360) % 360;
+  // Limbus distance along this ray (the circles are not concentric)
+  const limbus = limbusDistance(pupil, iris, angle);
+  const radial = (Math.hypot(dx, dy) - pupil.r) / Math.max(1, limbus - pupil.r);
+  return { angle, radial: Math.max(0, Math.min(1, radial)) };
+}
+
+/**
+ * Mean color per ring; bounds are radial fractions, e.g. [0, 0.5, 1] for inner/outer halves
+ */
+function sampleRings(pixels, width, height, segmentation, bounds) {
+  const zones = accumulateZones(pixels, width, height, segmentation, bounds.length - 1, (x, y, radial) => {
+    for (let k = 0; k < bounds.length - 1; k++) {
+      if (radial >= bounds[k] && (radial < bounds[k + 1] || (k === bounds.length - 2 && radial <= 1))) return k;
+    }
+    return -1;
+  });
+  return zones.map((z, k) => ({ ...z, from: bounds[k], to: bounds[k + 1] }));
+}
+
+/**
+ * Mean color per angular sector (0° = image right, clockwise in image coordinates)
+ */
+function sampleSectors(pixels, width, height, segmentation, count = DEFAULT_SECTORS) {
+  const size = 360 / count;
+  const zones = accumulateZones(pixels, width, height, segmentation, count, (x, y, radial, angle) =>
+    Math.min(count - 1, Math.floor(angle / size)));
+  return zones.map((z, k) => ({ ...z, startAngle: k * size, endAngle: (k + 1) * size }));
+}
+
+function ringIndex(radial) {
+  for (let k = 0; k < IRIS_RINGS.length; k++) {
+    if (radial < IRIS_RINGS[k].to) return k;
+  }
+  return IRIS_RINGS.length - 1;
+}
+
+/**
+ * Small high-contrast spots (freckles, flecks, crypts): connected pixels that differ from their
+ * local ring/sector color by at least FLECK_DELTA_E. Returns [{ x, y, angle, radial, ring,
+ * pixelCount, relativeSize, hex, deltaE, contrast: 'darker' | 'lighter' }] strongest first.
+ */
+function detectFlecks(pixels, width, height, segmentation, metric = DEFAULT_METRIC, sectorCount = DEFAULT_SECTORS) {
+  const distance = getColorDifference(metric);
+  const { pupil, iris, mask } = segmentation;
+  const size = 360 / sectorCount;
+  const cellOf = (radial, angle) => ringIndex(radial) * sectorCount + Math.min(sectorCount - 1, Math.floor(angle / size));
+  const cells = accumulateZones(pixels, width, height, segmentation, IRIS_RINGS.length * sectorCount,
+    (x, y, radial, angle) => cellOf(radial, angle));
+  const rings = accumulateZones(pixels, width, height, segmentation, IRIS_RINGS.length,
+    (x, y, radial) => ringIndex(radial));
+
+  // Mark pixels that stand out from their local background
+  const candidate = new Uint8Array(width * height);
+  const labAt = new Map();
+  const geometry = irisGeometry(segmentation, width, height);
+  const irisPixels = geometry.count;
+  for (let k = 0; k < geometry.count; k++) {
+    const p = geometry.index[k];
+    const x = p % width;
+    // Pixels at the mask edge blend into eyelids, lashes and highlights
+    const d = FLECK_EDGE_MARGIN;
+    if (x < d || x >= width - d || !mask[p - d] || !mask[p + d] || !mask[p - d * width] || !mask[p + d * width]) continue;
+    const cell = cellOf(geometry.radial[k], geometry.angle[k]);
+    const background = cells[cell].lab || rings[Math.floor(cell / sectorCount)].lab;
+    if (!background) continue;
+    const i = p * BYTES_PER_PIXEL;
+    const lab = cachedRgbToLab(pixels[i], pixels[i + 1], pixels[i + 2]);
+    if (distance(background, lab) >= FLECK_DELTA_E) {
+      candidate[p] = 1;
+      labAt.set(p, { lab, background });
+    }
+  }
+
+  // Group candidates into 4-connected blobs
+  const maxPixels = Math.max(MIN_FLECK_PIXELS, Math.ceil(irisPixels * MAX_FLECK_FRACTION));
+  const flecks = [];
+  const stack = [];
+  for (let start = 0; start < candidate.length; start++) {
+    if (candidate[start] !== 1) continue;
+    candidate[start] = 2;
+    stack.push(start);
+    const blob = [];
+    while (stack.length) {
+      const p = stack.pop();
+      blob.push(p);
+      const x = p % width;
+      const neighbours = [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, p - width, p + width];
+      for (const q of neighbours) {
+        if (q >= 0 && q < candidate.length && candidate[q] === 1) {
+          candidate[q] = 2;
+          stack.push(q);
+        }
+      }
+    }
+    if (blob.length < MIN_FLECK_PIXELS || blob.length > maxPixels) continue;
+
+    let sx = 0, sy = 0, r = 0, g = 0, b = 0, L = 0, bgL = 0, dE = 0;
+    for (const p of blob) {
+      const x = p % width;
+      sx += x;
+      sy += (p - x) / width;
+      const i = p * BYTES_PER_PIXEL;
+      r += pixels[i]; g += pixels[i + 1]; b += pixels[i + 2];
+      const { lab, background } = labAt.get(p);
+      L += lab.L;
+      bgL += background.L;
+      dE += distance(background, lab);
+    }
+    const n = blob.length;
+    const cx = sx / n, cy = sy / n;
+    const { angle, radial } = polarPosition(pupil, iris, cx, cy);
+    flecks.push({
+      x: Math.round(cx * 10) / 10,
+      y: Math.round(cy * 10) / 10,
+      angle: Math.round(angle) % 360,
+      radial: Math.round(radial * 100) / 100,
+      ring: IRIS_RINGS[ringIndex(radial)].name,
+      pixelCount: n,
+      relativeSize: Math.round((n / irisPixels) * 10000) / 10000,
+      hex: rgbToHex(r / n, g / n, b / n),
+      deltaE: Math.round((dE / n) * 10) / 10,
+      contrast: L < bgL ? 'darker' : 'lighter'
+    });
+  }
+  return flecks.sort((p, q) => q.deltaE * q.pixelCount - p.deltaE * p.pixelCount).slice(0, MAX_FLECKS);
+}
+
+/**
+ * Spatial iris map: color per anatomical ring and per sector, plus flecks.
+ * Returns { rings: [{ name, label, from, to, hex, pixelCount }], sectors: [{ startAngle, endAngle, hex, pixelCount }], flecks }.
+ */
+function mapIris(pixels, width, height, segmentation, metric = DEFAULT_METRIC, sectorCount = DEFAULT_SECTORS) {
+  const bounds = [...IRIS_RINGS.map(r => r.from), 1];
+  const rings = sampleRings(pixels, width, height, segmentation, bounds);
+  const sectors = sampleSectors(pixels, width, height, segmentation, sectorCount);
+  return {
+    rings: IRIS_RINGS.map((ring, k) => ({ ...ring, hex: rings[k].hex, pixelCount: rings[k].pixelCount })),
+    sectors: sectors.map(({ startAngle, endAngle, hex, pixelCount }) => ({ startAngle, endAngle, hex, pixelCount })),
+    flecks: detectFlecks(pixels, width, height, segmentation, metric, sectorCount)
+  };
+}
+
+function medianLab(labs) {
+  const mid = values => values.slice().sort((p, q) => p - q)[Math.floor(values.length / 2)];
+  return { L: mid(labs.map(l => l.L)), a: mid(labs.map(l => l.a)), b: mid(labs.map(l => l.b)) };
+}
+
+/**
+ * Central and sectoral heterochromia for one eye.
+ * Returns { central: { detected, deltaE, inner, outer }, sectoral: { detected, sectors, deviating } }.
+ */
+function detectPartialHeterochromia(pixels, width, height, segmentation, metric = DEFAULT_METRIC) {
+  const distance = getColorDifference(metric);
+  const [inner, outer] = sampleRings(pixels, width, height, segmentation, [0, 0.45, 1]);
+  const centralDeltaE = inner.lab && outer.lab ? distance(outer.lab, inner.lab) : null;
+
+  const sectors = sampleSectors(pixels, width, height, segmentation);
+  const usable = sectors.filter(s => s.lab);
+  let deviating = [];
+  let sectorResults = sectors.map(s => ({ ...s, deltaE: null }));
+  if (usable.length >= 4) {
+    const reference = medianLab(usable.map(s => s.lab));
+    sectorResults = sectors.map(s => ({ ...s, deltaE: s.lab ? distance(reference, s.lab) : null }));
+    deviating = sectorResults
+      .map((s, k) => (s.deltaE !== null && s.deltaE >= SECTORAL_DELTA_E ? k : -1))
+      .filter(k => k >= 0);
+  }
+  // Sectoral: a minority of sectors forming a single run (wrapping around 360°)
+  const isDeviating = new Set(deviating);
+  const runs = deviating.filter(k => !isDeviating.has((k - 1 + sectors.length) % sectors.length)).length;
+  const sectoral = runs === 1 && deviating.length <= usable.length / 2;
+
+  const round1 = x => (x === null ? null : Math.round(x * 10) / 10);
+  return {
+    central: {
+      detected: centralDeltaE !== null && centralDeltaE >= CENTRAL_DELTA_E,
+      deltaE: round1(centralDeltaE),
+      inner: inner.hex,
+      outer: outer.hex
+    },
+    sectoral: {
+      detected: sectoral,
+      deviating,
+      sectors: sectorResults.map(({ startAngle, endAngle, hex, pixelCount, deltaE }) => ({
+        startAngle,
+        endAngle,
+        hex,
+        pixelCount,
+        deltaE: round1(deltaE)
+      }))
+    },
+    metric
+  };
+}
+
+module.exports = {
+  sampleRings,
+  sampleSectors,
+  detectPartialHeterochromia,
+  detectFlecks,
+  mapIris,
+  medianLab,
+  IRIS_RINGS
+};
@@ -0,0 +1,80 @@
+/**
+ * Structured logging: one JSON object per line on stdout, ready for a log collector:
+ * - { time, level, msg, ...fields }; an Error under err becomes { name, message, code, stack }
+ * - LOG_LEVEL: debug, info (default), warn, error or silent
+ * - requestLogging() tags each request with an ID (the caller's X-Request-Id when it is sane,
+ *   otherwise a new UUID), echoes it in the X-Request-Id header, gives the request a child
+ *   logger (req.log) and logs one line per finished request
+ */
+
+const crypto = require('crypto');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  const serialized = { name: err.name, message: err.message, stack: err.stack };
+  if (err.code !== undefined) serialized.code = err.code;
+  return serialized;
+}
+
+/**
+ * A logger with debug, info, warn and error(msg, fields) and child(fields), which returns a
+ * logger adding fields to every line. write receives each serialized line (default: stdout).
+ * Throws RangeError for an unknown level.
+ */
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  write = line => process.stdout.write(line + '\n'),
+  fields = {}
+} = {}) {
+  if (!(level in LOG_LEVELS)) {
+    throw new RangeError(`Unknown log level "${level}". Use one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+  const threshold = LOG_LEVELS[level];
+  const log = (entryLevel, msg, extra = {}) => {
+    if (LOG_LEVELS[entryLevel] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...fields };
+    for (const [key, value] of Object.entries(extra)) entry[key] = key === 'err' ? serializeError(value) : value;
+    write(JSON.stringify(entry));
+  };
+  return {
+    level,
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    child: extra => createLogger({ level, write, fields: { ...fields, ...extra } })
+  };
+}
+
+/**
+ * Middleware: request ID, req.log and a "request" line per response with method, path,
+ * status, durationMs and the error code of error responses (res.locals.errorCode, set by sendError)
+ */
+function requestLogging(logger) {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set(REQUEST_ID_HEADER, req.id);
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const fields = {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10
+      };
+      if (res.locals.errorCode) fields.errorCode = res.locals.errorCode;
+      req.log[res.statusCode >= 500 ? 'error' : 'info']('request', fields);
+    });
+    next();
+  };
+}
+
+const logger = createLogger();
+
+module.exports = { logger, createLogger, requestLogging, LOG_LEVELS, REQUEST_ID_HEADER };
@@ -0,0 +1,152 @@
+/**
+ * Prometheus metrics, served in the text exposition format at /metrics:
+ * - http_requests_total{method,route,status} and http_request_duration_seconds{method,route}
+ * - eye_color_analyses_total{category}: the general color of every analyzed eye
+ * - eye_color_quality_rejections_total{reason}: quality gate reason codes of rejected images
+ * - eye_color_analysis_stage_seconds{stage}: time per analysis stage (see stageTimer)
+ * - eye_color_analysis_workers{state} and eye_color_analysis_queue_depth: the analysis pool,
+ *   when the app has one (see analysisPool)
+ * Routes are labeled by pattern (/api/v1/scans/:id), never the raw URL, so label sets stay small.
+ */
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const STAGE_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function createCounter(name, help, labelNames = []) {
+  const series = new Map();
+  return {
+    inc(labels = {}, amount = 1) {
+      const values = labelNames.map(label => labels[label]);
+      const key = JSON.stringify(values);
+      const entry = series.get(key) || { values, count: 0 };
+      entry.count += amount;
+      series.set(key, entry);
+    },
+    get(labels = {}) {
+      const entry = series.get(JSON.stringify(labelNames.map(label => labels[label])));
+      return entry ? entry.count : 0;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { values, count } of series.values()) lines.push(`${name}${formatLabels(labelNames, values)} ${count}`);
+      return lines.join('\n');
+    }
+  };
+}
+
+function createHistogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+  const series = new Map();
+  return {
+    observe(labels, value) {
+      const values = labelNames.map(label => labels[label]);
+      const key = JSON.stringify(values);
+      const entry = series.get(key) || { values, counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { values, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+      }
+      return lines.join('\n');
+    }
+  };
+}
+
+/**
+ * A metrics registry: middleware() records every HTTP request; observeResult, observeRejection
+ * and observeTimings record analyses; render() returns the exposition text
+ */
+function createMetrics() {
+  const requests = createCounter('http_requests_total', 'HTTP requests by method, route and status', ['method', 'route', 'status']);
+  const latency = createHistogram('http_request_duration_seconds', 'HTTP request latency', ['method', 'route']);
+  const analyses = createCounter('eye_color_analyses_total', 'Analyzed eyes by general color category', ['category']);
+  const rejections = createCounter('eye_color_quality_rejections_total', 'Quality gate rejections by reason code', ['reason']);
+  const stages = createHistogram('eye_color_analysis_stage_seconds', 'Time per analysis stage', ['stage'], STAGE_BUCKETS);
+
+  return {
+    requests,
+    analyses,
+    rejections,
+    middleware() {
+      return (req, res, next) => {
+        const started = process.hrtime.bigint();
+        res.on('finish', () => {
+          // Unrouted requests (static files, 404s) share one label instead of one per URL
+          const route = req.route ? req.baseUrl + req.route.path : 'other';
+          const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+          requests.inc({ method: req.method, route, status: res.statusCode });
+          latency.observe({ method: req.method, route }, seconds);
+        });
+        next();
+      };
+    },
+    /** Count the general color of each eye in an analysis result */
+    observeResult(result) {
+      const eyes = result.mode === 'both' ? [result.left, result.right] : [result];
+      for (const eye of eyes) analyses.inc({ category: eye.generalColor.name.toLowerCase() });
+    },
+    /** Count the reason codes of an ImageQualityError */
+    observeRejection(err) {
+      for (const reason of err.reasons || []) rejections.inc({ reason: reason.code });
+    },
+    /** Record { stage: milliseconds } from a stageTimer */
+    observeTimings(timings) {
+      for (const [stage, ms] of Object.entries(timings)) stages.observe({ stage }, ms / 1000);
+    },
+    render() {
+      const memory = process.memoryUsage();
+      return [
+        requests.render(),
+        latency.render(),
+        analyses.render(),
+        rejections.render(),
+        stages.render(),
+        '# HELP process_resident_memory_bytes Resident memory size',
+        '# TYPE process_resident_memory_bytes gauge',
+        `process_resident_memory_bytes ${memory.rss}`,
+        '# HELP process_uptime_seconds Seconds since the process started',
+        '# TYPE process_uptime_seconds gauge',
+        `process_uptime_seconds ${Math.round(process.uptime())}`
+      ].join('\n') + '\n';
+    }
+  };
+}
+
+/**
+ * Gauges for an analysis pool's stats() (busy and idle workers, waiting frames), read at scrape time
+ */
+function renderPoolMetrics({ workers, busy, queued, maxQueue }) {
+  return [
+    '# HELP eye_color_analysis_workers Analysis worker threads by state',
+    '# TYPE eye_color_analysis_workers gauge',
+    `eye_color_analysis_workers{state="busy"} ${busy}`,
+    `eye_color_analysis_workers{state="idle"} ${workers - busy}`,
+    '# HELP eye_color_analysis_queue_depth Analyses waiting for a worker',
+    '# TYPE eye_color_analysis_queue_depth gauge',
+    `eye_color_analysis_queue_depth ${queued}`,
+    '# HELP eye_color_analysis_queue_capacity Analyses that may wait before requests get 503',
+    '# TYPE eye_color_analysis_queue_capacity gauge',
+    `eye_color_analysis_queue_capacity ${maxQueue}`
+  ].join('\n') + '\n';
+}
+
+const metrics = createMetrics();
+
+module.exports = { metrics, createMetrics, renderPoolMetrics, createCounter, createHistogram, LATENCY_BUCKETS, STAGE_BUCKETS };
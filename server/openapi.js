@@ -0,0 +1,536 @@
+/**
+ * OpenAPI 3 description of the versioned API (/api/v1), served at /api/openapi.json:
+ * - Built from the same constants the server validates against (white balance modes, metrics,
+ *   clustering algorithms, limits), so options in the document cannot drift from the code
+ * - Schemas under components.schemas describe every JSON response; the tests check real
+ *   responses against them with schemaValidator.js
+ */
+
+const { version } = require('../package.json');
+const { WHITE_BALANCE_MODES, MAX_NUM_COLORS } = require('./pixelAnalyzer');
+const { CLUSTERING_ALGORITHMS } = require('./colorClustering');
+const { COLOR_METRICS, DEFAULT_METRIC } = require('./colorDifference');
+const { REASON_MESSAGES } = require('./imageQuality');
+const { EXPORT_FORMATS } = require('./resultExport');
+const { RECOMMENDATION_SETS, HARMONIES } = require('./recommendations');
+const { EYE_COLOR_CATEGORIES } = require('./colorCategories');
+const { MAX_BURST_FRAMES } = require('./burstAnalyzer');
+const { MAX_PAGE_SIZE } = require('./scanStore');
+const { DEFAULT_PALETTE_ID } = require('./paletteRegistry');
+const { RETENTION_MODES, RETENTION_POLICY_HEADER } = require('./privacy');
+const { CURRENT_API_VERSION } = require('./apiVersions');
+
+const HEX = { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' };
+const NUMBER = { type: 'number' };
+const INTEGER = { type: 'integer' };
+const STRING = { type: 'string' };
+const BOOLEAN = { type: 'boolean' };
+const DESCRIPTION = { type: 'string', description: 'Plain-language description from LCh, e.g. "medium-dark, cool, muted blue"' };
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ ...schema, nullable: true });
+const arrayOf = items => ({ type: 'array', items });
+// Every listed property is required unless optional names it
+const object = (properties, optional = []) => ({
+  type: 'object',
+  required: Object.keys(properties).filter(key => !optional.includes(key)),
+  properties
+});
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Missing or malformed input (see error.code)',
+  404: 'Not found',
+  409: 'A palette with this id already exists',
+  413: 'Image or request body too large, or too many pixels',
+  415: 'Not a JPEG, PNG or WebP image',
+  422: 'The image failed the quality gate; error.reasons says why',
+  429: 'Rate limited; retry after error.retryAfter seconds',
+  500: 'Unexpected server error; error.requestId matches the server log',
+  503: 'Every analysis worker is busy and the queue is full; retry after error.retryAfter seconds',
+  507: 'The server holds as many uploaded palettes as it allows (until it restarts)'
+};
+
+function errorResponses(...statuses) {
+  return Object.fromEntries([...statuses, 429, 500].map(status => [status, {
+    description: ERROR_DESCRIPTIONS[status],
+    content: { 'application/json': { schema: ref('Error') } }
+  }]));
+}
+
+function jsonResponse(description, schema, headers) {
+  const response = { description, content: { 'application/json': { schema } } };
+  if (headers) response.headers = headers;
+  return response;
+}
+
+const RETENTION_HEADERS = {
+  [RETENTION_POLICY_HEADER]: {
+    description: 'What was kept, e.g. "image=discarded; result=discarded; thumbnail=none"',
+    schema: STRING
+  }
+};
+
+const ID_PARAMETER = { name: 'id', in: 'path', required: true, schema: STRING };
+// Scans are only listed, returned or deleted for the holder of the owner token they were saved with
+const OWNER_TOKEN_PARAMETER = {
+  name: 'X-Owner-Token',
+  in: 'header',
+  schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{43}$' },
+  description: 'Owner token returned as ownerToken with the first saved scan'
+};
+const OWNER_PARAMETERS = [{ ...OWNER_TOKEN_PARAMETER, required: true }];
+const ANALYZE_PARAMETERS = [{ ...OWNER_TOKEN_PARAMETER, description: 'Save the scan to this owner\'s history' }];
+
+const ANALYZE_OPTIONS = {
+  whiteBalance: { type: 'string', enum: WHITE_BALANCE_MODES, default: 'auto' },
+  referenceCardHex: { ...HEX, description: 'True color of a gray card in the photo, when known' },
+  clustering: { type: 'string', enum: CLUSTERING_ALGORITHMS, default: 'kmeans' },
+  numColors: { type: 'integer', minimum: 1, maximum: MAX_NUM_COLORS, default: 10 },
+  metric: { type: 'string', enum: COLOR_METRICS, default: DEFAULT_METRIC },
+  palette: { type: 'string', default: DEFAULT_PALETTE_ID, description: 'Palette id, see /palettes' },
+  mode: { type: 'string', enum: ['single', 'both'], default: 'single', description: 'both: a face or two-eye photo' },
+  mirrored: { type: 'boolean', default: false, description: 'The image is a mirrored selfie' },
+  retention: { type: 'string', enum: RETENTION_MODES, default: 'history', description: 'none: keep nothing' },
+  save: { type: 'boolean', description: 'true: save the scan, to a new owner when no X-Owner-Token is sent' },
+  userId: { ...STRING, description: 'Label stored with the scan (also saves it); not an access key' },
+  sessionId: { ...STRING, description: 'Label stored with the scan (also saves it); not an access key' },
+  debug: { type: 'boolean', default: false, description: 'Add per-stage timings (debug); also accepted as ?debug=true' }
+};
+
+// Options that shape sampling, for the debug overlay
+const OVERLAY_OPTIONS = Object.fromEntries(['whiteBalance', 'referenceCardHex', 'clustering', 'numColors']
+  .map(name => [name, ANALYZE_OPTIONS[name]]));
+
+const PNG_CONTENT = { 'image/png': { schema: { type: 'string', format: 'binary' } } };
+
+const schemas = {
+  Error: object({
+    error: {
+      type: 'object',
+      required: ['code', 'message'],
+      properties: {
+        code: { type: 'string', description: 'Stable, machine-readable code such as MISSING_IMAGE or IMAGE_QUALITY' },
+        message: { type: 'string', description: 'For people; may change' },
+        reasons: arrayOf(ref('QualityReason')),
+        quality: { type: 'object', description: 'Quality scores that were measured (422)' },
+        details: arrayOf(STRING),
+        retryAfter: { type: 'integer', description: 'Seconds until the rate limit resets (429) or to wait while the server is busy (503)' },
+        requestId: { type: 'string', description: 'ID of the request in the server log (500)' }
+      }
+    }
+  }),
+  QualityReason: object({
+    code: { type: 'string', enum: Object.keys(REASON_MESSAGES) },
+    message: STRING,
+    eye: { type: 'string', enum: ['left', 'right'] }
+  }, ['eye']),
+  GeneralColor: { ...object({ name: STRING, hex: HEX, description: DESCRIPTION }, ['description']), additionalProperties: false },
+  Confidence: object({
+    distribution: { type: 'object', additionalProperties: NUMBER },
+    category: { type: 'string', enum: Object.keys(EYE_COLOR_CATEGORIES) },
+    runnerUp: nullable(STRING),
+    margin: NUMBER,
+    ambiguous: BOOLEAN
+  }),
+  ColorMatch: object({ name: STRING, hex: HEX, distance: NUMBER }),
+  BreakdownColor: object({
+    hex: HEX,
+    percentage: NUMBER,
+    variance: NUMBER,
+    shadeName: STRING,
+    description: DESCRIPTION,
+    pantoneMatches: arrayOf(ref('ColorMatch'))
+  }, ['description']),
+  Shade: object({ name: STRING, percentage: NUMBER, hex: HEX, description: DESCRIPTION }, ['description']),
+  Circle: object({ cx: NUMBER, cy: NUMBER, r: NUMBER }),
+  WhiteBalance: object({
+    mode: { type: 'string', enum: WHITE_BALANCE_MODES.filter(mode => mode !== 'auto') },
+    requestedMode: { type: 'string', enum: WHITE_BALANCE_MODES },
+    illuminant: object({ hex: HEX, cct: nullable(NUMBER), samples: NUMBER }),
+    gains: object({ r: NUMBER, g: NUMBER, b: NUMBER }),
+    referenceCard: object({ x: NUMBER, y: NUMBER, width: NUMBER, height: NUMBER })
+  }, ['illuminant', 'referenceCard']),
+  IrisMap: object({
+    rings: arrayOf(object({ name: STRING, label: STRING, from: NUMBER, to: NUMBER, hex: nullable(HEX), pixelCount: INTEGER })),
+    sectors: arrayOf(object({ startAngle: NUMBER, endAngle: NUMBER, hex: nullable(HEX), pixelCount: INTEGER })),
+    flecks: arrayOf(object({
+      x: NUMBER,
+      y: NUMBER,
+      angle: NUMBER,
+      radial: NUMBER,
+      ring: STRING,
+      pixelCount: INTEGER,
+      relativeSize: NUMBER,
+      hex: HEX,
+      deltaE: NUMBER,
+      contrast: { type: 'string', enum: ['darker', 'lighter'] }
+    }))
+  }),
+  Heterochromia: object({
+    central: object({ detected: BOOLEAN, deltaE: nullable(NUMBER), inner: nullable(HEX), outer: nullable(HEX) }),
+    sectoral: object({
+      detected: BOOLEAN,
+      deviating: arrayOf(INTEGER),
+      sectors: arrayOf(object({
+        startAngle: NUMBER,
+        endAngle: NUMBER,
+        hex: nullable(HEX),
+        pixelCount: INTEGER,
+        deltaE: nullable(NUMBER)
+      }))
+    }),
+    metric: STRING
+  }),
+  Burst: object({
+    frameCount: INTEGER,
+    usedCount: INTEGER,
+    representativeFrame: INTEGER,
+    outlierDeltaE: NUMBER,
+    variance: object({ meanDeltaE: NUMBER, maxDeltaE: NUMBER, lab: object({ L: NUMBER, a: NUMBER, b: NUMBER }) }),
+    frames: arrayOf(object({
+      index: INTEGER,
+      used: BOOLEAN,
+      discarded: nullable({ type: 'string', enum: ['quality', 'sharpness', 'color'] }),
+      reasons: arrayOf(STRING),
+      sharpness: nullable(NUMBER),
+      generalColor: nullable(STRING),
+      deltaE: nullable(NUMBER)
+    }))
+  }),
+  EyeResult: object({
+    generalColor: ref('GeneralColor'),
+    confidence: ref('Confidence'),
+    breakdown: arrayOf(ref('BreakdownColor')),
+    shadeBreakdown: arrayOf(ref('Shade')),
+    pantoneMatches: arrayOf(ref('ColorMatch')),
+    palette: object({ id: STRING, name: STRING }),
+    segmentation: object({ pupil: ref('Circle'), iris: ref('Circle'), maskCoverage: NUMBER }),
+    quality: { type: 'object', additionalProperties: NUMBER },
+    whiteBalance: ref('WhiteBalance'),
+    irisMap: ref('IrisMap'),
+    heterochromia: ref('Heterochromia'),
+    burst: ref('Burst'),
+    position: object({ x: NUMBER, y: NUMBER }),
+    debug: ref('Debug'),
+    scanId: STRING,
+    ownerToken: { ...STRING, description: 'New owner token for the saved scan: send it as X-Owner-Token from now on' }
+  }, ['burst', 'position', 'debug', 'scanId', 'ownerToken']),
+  BothEyesResult: object({
+    mode: { type: 'string', enum: ['both'] },
+    left: ref('EyeResult'),
+    right: ref('EyeResult'),
+    comparison: object({ deltaE: nullable(NUMBER), metric: STRING, sameCategory: BOOLEAN, completeHeterochromia: BOOLEAN }),
+    debug: ref('Debug'),
+    scanId: STRING,
+    ownerToken: STRING
+  }, ['debug', 'scanId', 'ownerToken']),
+  Debug: object({
+    requestId: STRING,
+    timings: {
+      type: 'object',
+      description: 'Milliseconds per stage (decode, resize, pupilSearch, quality, whiteBalance, sampling, ' +
+        'clustering, matching, irisMap; locate and crop for both eyes), summed over frames or eyes',
+      additionalProperties: NUMBER
+    }
+  }, ['requestId']),
+  AnalysisResult: { oneOf: [ref('EyeResult'), ref('BothEyesResult')] },
+  BatchItem: object({
+    name: STRING,
+    status: { type: 'string', enum: ['ok', 'error'] },
+    result: ref('AnalysisResult'),
+    error: {
+      type: 'object',
+      required: ['status', 'code', 'message'],
+      properties: {
+        status: INTEGER,
+        code: STRING,
+        message: STRING,
+        reasons: arrayOf(ref('QualityReason')),
+        quality: { type: 'object' }
+      }
+    },
+    timingMs: NUMBER
+  }, ['result', 'error']),
+  BatchResponse: object({
+    count: INTEGER,
+    succeeded: INTEGER,
+    failed: INTEGER,
+    timingMs: NUMBER,
+    results: arrayOf(ref('BatchItem'))
+  }),
+  PaletteSummary: object({
+    id: STRING,
+    name: STRING,
+    description: nullable(STRING),
+    source: { type: 'string', enum: ['bundled', 'uploaded'] },
+    colorCount: INTEGER
+  }),
+  Palette: object({
+    id: STRING,
+    name: STRING,
+    description: nullable(STRING),
+    source: { type: 'string', enum: ['bundled', 'uploaded'] },
+    colors: arrayOf(object({ name: STRING, hex: HEX }))
+  }),
+  PaletteDefinition: object({
+    id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,63}$' },
+    name: { type: 'string', maxLength: 100 },
+    description: { type: 'string', maxLength: 500 },
+    colors: { ...arrayOf(object({ name: { type: 'string', maxLength: 80 }, hex: { type: 'string', pattern: '^#?[0-9A-Fa-f]{6}$' } })), minItems: 1 }
+  }, ['description']),
+  ScanSummary: object({
+    id: STRING,
+    createdAt: { type: 'string', format: 'date-time' },
+    userId: nullable(STRING),
+    sessionId: nullable(STRING),
+    mode: { type: 'string', enum: ['single', 'both'] },
+    generalColor: {
+      oneOf: [
+        ref('GeneralColor'),
+        { ...object({ left: ref('GeneralColor'), right: ref('GeneralColor') }), additionalProperties: false }
+      ]
+    },
+    thumbnail: nullable(STRING)
+  }),
+  ScanList: object({
+    scans: arrayOf(ref('ScanSummary')),
+    total: INTEGER,
+    limit: INTEGER,
+    offset: INTEGER
+  }),
+  Scan: object({
+    id: STRING,
+    createdAt: { type: 'string', format: 'date-time' },
+    userId: nullable(STRING),
+    sessionId: nullable(STRING),
+    thumbnail: nullable({ type: 'string', description: 'JPEG data URL of the iris, without metadata' }),
+    result: ref('AnalysisResult')
+  }),
+  Recommendations: object({
+    base: object({ hex: HEX, lch: ref('Lch') }),
+    category: STRING,
+    summary: STRING,
+    harmonies: object(Object.fromEntries(Object.keys(HARMONIES).map(name => [name, arrayOf(object({ hex: HEX, lch: ref('Lch') }))]))),
+    sets: object(Object.fromEntries(RECOMMENDATION_SETS.map(set => [set, arrayOf(object({ name: STRING, hex: HEX, harmony: STRING }))])))
+  }),
+  Lch: object({ L: NUMBER, C: NUMBER, h: NUMBER }),
+  Health: object({
+    status: { type: 'string', enum: ['ok', 'unavailable'] },
+    retention: { type: 'string', enum: RETENTION_MODES },
+    checks: object({
+      palette: { type: 'object', required: ['ok'], properties: { ok: BOOLEAN, defaultPalette: STRING, palettes: INTEGER, error: STRING } },
+      sharp: { type: 'object', required: ['ok'], properties: { ok: BOOLEAN, version: STRING, libvips: STRING, error: STRING } }
+    })
+  })
+};
+
+const paths = {
+  '/analyze': {
+    post: {
+      operationId: 'analyze',
+      summary: 'Analyze the eye color in one photo',
+      description: 'The photo is a close-up of one eye (mode single) or a face (mode both). ' +
+        'With an X-Owner-Token header, save: true or a userId / sessionId label, the result is saved to the ' +
+        'scan history (unless retention is none) and its id returned as scanId. A request without a token ' +
+        'this server issued gets a new one as ownerToken.',
+      parameters: ANALYZE_PARAMETERS,
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: object({ image: { type: 'string', description: 'Data URL or base64 of a JPEG, PNG or WebP image' }, ...ANALYZE_OPTIONS }, Object.keys(ANALYZE_OPTIONS))
+          },
+          'multipart/form-data': {
+            schema: object({ image: { type: 'string', format: 'binary' }, ...ANALYZE_OPTIONS }, Object.keys(ANALYZE_OPTIONS))
+          }
+        }
+      },
+      responses: {
+        200: jsonResponse('The analysis', ref('AnalysisResult'), RETENTION_HEADERS),
+        ...errorResponses(400, 413, 415, 422, 503)
+      }
+    }
+  },
+  '/analyze/burst': {
+    post: {
+      operationId: 'analyzeBurst',
+      summary: `Analyze 2-${MAX_BURST_FRAMES} frames of one eye together`,
+      description: 'Frames failing the quality gate, blurrier frames and color outliers are dropped; burst says which. ' +
+        'Saved to the scan history like /analyze.',
+      parameters: ANALYZE_PARAMETERS,
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: object({
+              frames: { ...arrayOf({ type: 'string', description: 'Data URL or base64' }), minItems: 1, maxItems: MAX_BURST_FRAMES },
+              ...ANALYZE_OPTIONS
+            }, Object.keys(ANALYZE_OPTIONS))
+          },
+          'multipart/form-data': {
+            schema: object({
+              frames: { ...arrayOf({ type: 'string', format: 'binary' }), maxItems: MAX_BURST_FRAMES },
+              ...ANALYZE_OPTIONS
+            }, Object.keys(ANALYZE_OPTIONS))
+          }
+        }
+      },
+      responses: {
+        200: jsonResponse('The consensus analysis, with burst', ref('EyeResult'), RETENTION_HEADERS),
+        ...errorResponses(400, 413, 415, 422, 503)
+      }
+    }
+  },
+  '/analyze/debug': {
+    post: {
+      operationId: 'analyzeDebugOverlay',
+      summary: 'Annotated PNG of how one eye is segmented, filtered and clustered',
+      description: 'Shows the pupil seed, the inner and outer sampling radii, pixels rejected by the luminance and ' +
+        'saturation filters or masked out, and accepted pixels in their cluster\'s color. The quality gate is ' +
+        'skipped and nothing is stored.',
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: object({ image: { type: 'string', description: 'Data URL or base64 of a JPEG, PNG or WebP image' }, ...OVERLAY_OPTIONS }, Object.keys(OVERLAY_OPTIONS))
+          },
+          'multipart/form-data': {
+            schema: object({ image: { type: 'string', format: 'binary' }, ...OVERLAY_OPTIONS }, Object.keys(OVERLAY_OPTIONS))
+          }
+        }
+      },
+      responses: {
+        200: { description: 'PNG image, twice the analysis size, with a legend', headers: RETENTION_HEADERS, content: PNG_CONTENT },
+        ...errorResponses(400, 413, 415)
+      }
+    }
+  },
+  '/analyze/batch': {
+    post: {
+      operationId: 'analyzeBatch',
+      summary: 'Analyze many images, uploaded as files and/or a zip archive',
+      description: 'Each image succeeds or fails on its own; batch results are never stored.',
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: object({
+              images: arrayOf({ type: 'string', format: 'binary' }),
+              archive: { type: 'string', format: 'binary', description: 'Zip file; its JPEG, PNG and WebP entries are analyzed' },
+              ...ANALYZE_OPTIONS
+            }, ['images', 'archive', ...Object.keys(ANALYZE_OPTIONS)])
+          }
+        }
+      },
+      responses: {
+        200: jsonResponse('Per-image results in upload order', ref('BatchResponse')),
+        ...errorResponses(400, 413, 415)
+      }
+    }
+  },
+  '/scans': {
+    get: {
+      operationId: 'listScans',
+      summary: 'Scan history, newest first',
+      parameters: [
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE } },
+        { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0 } },
+        { name: 'color', in: 'query', schema: STRING, description: 'General color name, e.g. blue' },
+        { name: 'userId', in: 'query', schema: STRING, description: 'Only scans with this userId label' },
+        { name: 'sessionId', in: 'query', schema: STRING, description: 'Only scans with this sessionId label' },
+        ...OWNER_PARAMETERS
+      ],
+      responses: { 200: jsonResponse('One page of scans', ref('ScanList')), ...errorResponses(400) }
+    }
+  },
+  '/scans/{id}': {
+    get: {
+      operationId: 'getScan',
+      summary: 'A stored scan with its full analysis',
+      parameters: [ID_PARAMETER, ...OWNER_PARAMETERS],
+      responses: { 200: jsonResponse('The scan', ref('Scan')), ...errorResponses(400, 404) }
+    },
+    delete: {
+      operationId: 'deleteScan',
+      summary: 'Delete a stored scan',
+      parameters: [ID_PARAMETER, ...OWNER_PARAMETERS],
+      responses: { 204: { description: 'Deleted' }, ...errorResponses(400, 404) }
+    }
+  },
+  '/scans/{id}/card.png': {
+    get: {
+      operationId: 'getScanCard',
+      summary: 'A 1200×630 shareable result card',
+      parameters: [ID_PARAMETER, ...OWNER_PARAMETERS],
+      responses: {
+        200: { description: 'PNG image', content: PNG_CONTENT },
+        ...errorResponses(400, 404)
+      }
+    }
+  },
+  '/scans/{id}/export.{format}': {
+    get: {
+      operationId: 'exportScan',
+      summary: 'Download a scan as a report or swatch file',
+      parameters: [ID_PARAMETER, { name: 'format', in: 'path', required: true, schema: { type: 'string', enum: EXPORT_FORMATS } }, ...OWNER_PARAMETERS],
+      responses: {
+        200: { description: 'The export, as an attachment', content: { '*/*': { schema: { type: 'string', format: 'binary' } } } },
+        ...errorResponses(400, 404)
+      }
+    }
+  },
+  '/recommendations': {
+    get: {
+      operationId: 'getRecommendations',
+      summary: 'Color harmonies and makeup / clothing suggestions for an iris color',
+      parameters: [
+        { name: 'hex', in: 'query', required: true, schema: HEX },
+        { name: 'category', in: 'query', schema: { type: 'string', enum: Object.keys(EYE_COLOR_CATEGORIES) } }
+      ],
+      responses: { 200: jsonResponse('Recommendations', ref('Recommendations')), ...errorResponses(400) }
+    }
+  },
+  '/palettes': {
+    get: {
+      operationId: 'listPalettes',
+      summary: 'Palettes available for shade names and matches',
+      responses: { 200: jsonResponse('The palettes', object({ palettes: arrayOf(ref('PaletteSummary')) })) }
+    },
+    post: {
+      operationId: 'registerPalette',
+      summary: 'Upload a palette (kept in memory until the server restarts)',
+      requestBody: { required: true, content: { 'application/json': { schema: ref('PaletteDefinition') } } },
+      responses: { 201: jsonResponse('The registered palette', ref('PaletteSummary')), ...errorResponses(400, 409, 507) }
+    }
+  },
+  '/palettes/{id}': {
+    get: {
+      operationId: 'getPalette',
+      summary: 'A palette with its colors',
+      parameters: [ID_PARAMETER],
+      responses: { 200: jsonResponse('The palette', ref('Palette')), ...errorResponses(404) }
+    }
+  },
+  '/health': {
+    get: {
+      operationId: 'getHealth',
+      summary: 'Readiness (palettes loaded, sharp working) and the server-wide retention mode',
+      responses: { 200: jsonResponse('Ready', ref('Health')), 503: jsonResponse('Not ready; checks says why', ref('Health')) }
+    }
+  }
+};
+
+const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Eye Color Identifier API',
+    version,
+    description: 'Eye color analysis with palette matching. Errors are { error: { code, message } }; ' +
+      'the unversioned /api routes remain for existing clients but are not described here.'
+  },
+  servers: [{ url: `/api/${CURRENT_API_VERSION}` }],
+  paths,
+  components: { schemas }
+};
+
+module.exports = { openApiDocument };
@@ -0,0 +1,17 @@
+/**
+ * Error for a malformed or unknown option in a request (answered 400 INVALID_OPTION):
+ * - Extends RangeError, so code that catches RangeError keeps working
+ * - Only validation throws it: any other RangeError (a bug, "Maximum call stack size exceeded")
+ *   is an internal 500 whose message never reaches the client
+ * Has no Node dependencies, so the browser build can use it.
+ */
+
+class InvalidOptionError extends RangeError {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidOptionError';
+    this.code = 'INVALID_OPTION';
+  }
+}
+
+module.exports = { InvalidOptionError };
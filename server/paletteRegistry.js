@@ -0,0 +1,218 @@
+/**
+ * Palette registry for naming iris shades:
+ * - Loads every *.json palette in server/data/palettes (or PALETTE_DIR) in Node: the server calls
+ *   loadBundledPalettes at startup with its logger, other callers get them on first use; the
+ *   browser build registers the same files inlined (registerBundledPalette), without fs
+ * - Validates the schema { id, name, description?, colors: [{ name, hex }] }
+ * - Accepts runtime uploads (kept in memory; no palette, bundled or uploaded, can be replaced)
+ * - Precomputes LAB for each color once, so matching never converts palette hex values
+ */
+
+const { hexToLab } = require('./colorSpace');
+const { InvalidOptionError } = require('./optionError');
+
+const DEFAULT_PALETTE_ID = 'pantone';
+const MAX_COLORS = 1000;
+const MAX_UPLOADED_PALETTES = 50;
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const HEX_PATTERN = /^#?[0-9a-f]{6}$/i;
+// Printable text only: no control characters or markup brackets in names shown in the UI
+const NAME_PATTERN = /^[^\u0000-\u001f\u007f<>]+$/;
+
+const palettes = new Map();
+let uploadedCount = 0;
+let bundledLoaded = false;
+
+/**
+ * Thrown when a palette definition fails validation; errors is a list of human-readable problems
+ */
+class PaletteValidationError extends Error {
+  constructor(errors) {
+    super('Invalid palette: ' + errors.join('; '));
+    this.name = 'PaletteValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Thrown when a valid palette cannot be registered (code: 'PALETTE_EXISTS' or 'PALETTE_LIMIT')
+ */
+class PaletteRegistryError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PaletteRegistryError';
+    this.code = code;
+  }
+}
+
+function isValidName(value, maxLength) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength && NAME_PATTERN.test(value);
+}
+
+/**
+ * Validate a palette definition. Returns a list of problems (empty when valid).
+ */
+function validatePalette(definition) {
+  const errors = [];
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['palette must be an object with id, name and colors'];
+  }
+  const { id, name, description, colors } = definition;
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    errors.push('id must be 1-64 lowercase letters, digits or dashes');
+  }
+  if (!isValidName(name, 100)) errors.push('name must be a non-empty string of at most 100 characters');
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 500)) {
+    errors.push('description must be a string of at most 500 characters');
+  }
+  if (!Array.isArray(colors) || colors.length === 0 || colors.length > MAX_COLORS) {
+    errors.push(`colors must be an array of 1-${MAX_COLORS} entries`);
+    return errors;
+  }
+  const seen = new Set();
+  colors.forEach((color, i) => {
+    if (!color || typeof color !== 'object') {
+      errors.push(`colors[${i}] must be an object with name and hex`);
+      return;
+    }
+    if (!isValidName(color.name, 80)) {
+      errors.push(`colors[${i}].name must be a non-empty string of at most 80 characters`);
+    } else {
+      const key = color.name.trim().toLowerCase();
+      if (seen.has(key)) errors.push(`colors[${i}].name "${color.name}" is duplicated`);
+      seen.add(key);
+    }
+    if (typeof color.hex !== 'string' || !HEX_PATTERN.test(color.hex)) {
+      errors.push(`colors[${i}].hex must be a 6-digit hex color like #5B7C99`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Normalize a validated definition: trimmed names, #RRGGBB hex, LAB precomputed
+ */
+function normalize(definition, source) {
+  return {
+    id: definition.id,
+    name: definition.name.trim(),
+    description: definition.description || null,
+    source,
+    colors: definition.colors.map(c => {
+      const hex = '#' + c.hex.replace('#', '').toUpperCase();
+      return { name: c.name.trim(), hex, lab: hexToLab(hex) };
+    })
+  };
+}
+
+// Default onSkip: callers with a structured logger pass their own
+function warnSkippedPalette(file, errors) {
+  console.warn(`Skipping palette ${file}: ${errors.join('; ')}`);
+}
+
+/**
+ * Register a palette shipped with the app. Returns its id, or null when the definition is
+ * invalid, after calling onSkip(file, errors).
+ */
+function registerBundledPalette(definition, file = 'palette', { onSkip = warnSkippedPalette } = {}) {
+  bundledLoaded = true;
+  const errors = validatePalette(definition);
+  if (errors.length) {
+    onSkip(file, errors);
+    return null;
+  }
+  palettes.set(definition.id, normalize(definition, 'bundled'));
+  return definition.id;
+}
+
+/**
+ * Load all palettes from a directory (PALETTE_DIR or server/data/palettes by default) and return
+ * their ids. Invalid files, including unreadable or malformed JSON, are skipped after calling
+ * onSkip(file, errors). fs is required here rather than at the top so the browser build, which
+ * never calls this, does not need it.
+ */
+function loadBundledPalettes({ dir, onSkip = warnSkippedPalette } = {}) {
+  const fs = require('fs');
+  const path = require('path');
+  const from = dir || process.env.PALETTE_DIR || path.join(__dirname, 'data', 'palettes');
+  const loaded = [];
+  for (const file of fs.readdirSync(from).filter(f => f.endsWith('.json')).sort()) {
+    let definition;
+    try {
+      definition = JSON.parse(fs.readFileSync(path.join(from, file), 'utf8'));
+    } catch (err) {
+      onSkip(file, [err.message]);
+      continue;
+    }
+    const id = registerBundledPalette(definition, file, { onSkip });
+    if (id) loaded.push(id);
+  }
+  return loaded;
+}
+
+// Palettes are loaded on first use unless the server or the browser build registered them first
+function ensureBundledPalettes() {
+  if (!bundledLoaded) loadBundledPalettes();
+}
+
+/**
+ * Register a palette uploaded at runtime. Uploads are anonymous, so an id that is taken (bundled or
+ * uploaded) is refused rather than replaced: nobody can swap out a palette someone else uploaded.
+ * Throws PaletteValidationError for bad input, PaletteRegistryError when it cannot be added.
+ */
+function registerPalette(definition) {
+  ensureBundledPalettes();
+  const errors = validatePalette(definition);
+  if (errors.length) throw new PaletteValidationError(errors);
+  const existing = palettes.get(definition.id);
+  if (existing) {
+    throw new PaletteRegistryError('PALETTE_EXISTS', existing.source === 'bundled'
+      ? `Palette "${definition.id}" is bundled and cannot be replaced`
+      : `Palette "${definition.id}" already exists; upload it under another id`);
+  }
+  if (uploadedCount >= MAX_UPLOADED_PALETTES) {
+    throw new PaletteRegistryError('PALETTE_LIMIT', `At most ${MAX_UPLOADED_PALETTES} palettes can be uploaded`);
+  }
+  uploadedCount += 1;
+  const palette = normalize(definition, 'uploaded');
+  palettes.set(palette.id, palette);
+  return palette;
+}
+
+/**
+ * Get a palette by id (throws InvalidOptionError for unknown ids)
+ */
+function getPalette(id = DEFAULT_PALETTE_ID) {
+  ensureBundledPalettes();
+  const palette = palettes.get(id);
+  if (!palette) {
+    throw new InvalidOptionError(`Unknown palette "${id}". Use one of: ${[...palettes.keys()].join(', ')}`);
+  }
+  return palette;
+}
+
+/**
+ * Summaries of all registered palettes (without colors)
+ */
+function listPalettes() {
+  ensureBundledPalettes();
+  return [...palettes.values()].map(({ id, name, description, source, colors }) => ({
+    id,
+    name,
+    description,
+    source,
+    colorCount: colors.length
+  }));
+}
+
+module.exports = {
+  getPalette,
+  listPalettes,
+  registerPalette,
+  registerBundledPalette,
+  validatePalette,
+  loadBundledPalettes,
+  PaletteValidationError,
+  PaletteRegistryError,
+  DEFAULT_PALETTE_ID
+};
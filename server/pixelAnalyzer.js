@@ -0,0 +1,598 @@
+/**
+ * Pixel-level core of the eye color analysis, with no dependency on sharp or the filesystem:
+ * - Works on raw RGBA pixels (a Node Buffer from sharp, or canvas ImageData in the browser)
+ * - White balance, masked iris sampling, clustering, shade naming and the general category
+ * - Every shade and the general color carry a plain-language description (see colorDescription.js)
+ * - analyzePixels is the whole single-eye pipeline after decoding; colorAnalyzer decodes and
+ *   resizes with sharp, the browser build (browserBundle.js) draws to a canvas instead
+ */
+
+const { rgbToHex, hexToRgb, cachedRgbToLab, hexToLab, getHSL, SRGB_TO_LINEAR } = require('./colorSpace');
+const { EYE_COLOR_CATEGORIES, categorizeBreakdown, colorCategoryDistribution } = require('./colorCategories');
+const { getPalette, DEFAULT_PALETTE_ID } = require('./paletteRegistry');
+const { segmentIris } = require('./irisSegmentation');
+const { detectPartialHeterochromia, mapIris } = require('./irisZones');
+const { getColorDifference, DEFAULT_METRIC } = require('./colorDifference');
+const { clusterColors, CLUSTERING_ALGORITHMS } = require('./colorClustering');
+const { assessImageQuality, ImageQualityError, MIN_IRIS_SAMPLES, REASON_MESSAGES } = require('./imageQuality');
+const { createStageTimer } = require('./stageTimer');
+const { describeColor } = require('./colorDescription');
+const { InvalidOptionError } = require('./optionError');
+
+// Upper bound for the caller-selected number of clusters
+const MAX_NUM_COLORS = 24;
+// Images are analyzed at most this many pixels wide and high
+const ANALYSIS_SIZE = 280;
+
+/**
+ * Find closest palette color(s) for a given hex (perceptual delta E, metric: cie76 | cie94 | ciede2000 | cmc).
+ * Palette LAB values are precomputed by the registry; defaults to the bundled Pantone subset.
+ */
+function findPantoneMatches(hex, count = 3, metric = DEFAULT_METRIC, paletteId = DEFAULT_PALETTE_ID) {
+  const distance = getColorDifference(metric);
+  const lab = hexToLab(hex);
+  const withDistance = getPalette(paletteId).colors.map(p => ({
+    ...p,
+    distance: lab && p.lab ? distance(p.lab, lab) : Infinity
+  }));
+  withDistance.sort((a, b) => a.distance - b.distance);
+  return withDistance.slice(0, count).map(({ name, hex: pantoneHex, distance }) => ({
+    name: name.replace(/-/g, ' '),
+    hex: pantoneHex,
+    distance: Math.round(distance)
+  }));
+}
+
+/**
+ * Find single best palette name for a hex (for Unika-style named breakdown)
+ */
+function findBestPantoneName(hex, metric = DEFAULT_METRIC, paletteId = DEFAULT_PALETTE_ID) {
+  const matches = findPantoneMatches(hex, 1, metric, paletteId);
+  return matches.length ? matches[0].name : null;
+}
+
+/**
+ * Color constancy (white balance) modes. rgbToLab assumes D65, so the scene illuminant is
+ * estimated and divided out (von Kries scaling in linear RGB) before iris colors are extracted.
+ */
+const WHITE_BALANCE_MODES = ['auto', 'none', 'gray-world', 'white-patch', 'reference-card'];
+const MIN_WHITE_BALANCE_SAMPLES = 50;
+const MAX_WHITE_BALANCE_GAIN = 4;
+
+function linearToSrgb(c) {
+  const v = c > 0.0031308 ? 1.055 * Math.pow(c, 1 / 2.4) - 0.055 : 12.92 * c;
+  return Math.round(Math.max(0, Math.min(1, v)) * 255);
+}
+
+/**
+ * Mean linear RGB of the pixels selected by accept(x, y, r, g, b), or null if too few
+ */
+function meanLinearRgb(pixels, width, height, accept, region = { xMin: 0, xMax: width - 1, yMin: 0, yMax: height - 1 }) {
+  let r = 0, g = 0, b = 0, count = 0;
+  for (let y = Math.max(0, region.yMin); y <= Math.min(height - 1, region.yMax); y++) {
+    for (let x = Math.max(0, region.xMin); x <= Math.min(width - 1, region.xMax); x++) {
+      const i = (y * width + x) * 4;
+      if (!accept(x, y, pixels[i], pixels[i + 1], pixels[i + 2])) continue;
+      r += SRGB_TO_LINEAR[pixels[i]];
+      g += SRGB_TO_LINEAR[pixels[i + 1]];
+      b += SRGB_TO_LINEAR[pixels[i + 2]];
+      count += 1;
+    }
+  }
+  if (count < MIN_WHITE_BALANCE_SAMPLES) return null;
+  return { r: r / count, g: g / count, b: b / count, samples: count };
+}
+
+/**
+ * Gray-world: the average scene reflectance is assumed neutral (clipped and near-black pixels skipped)
+ */
+function estimateGrayWorld(pixels, width, height) {
+  return meanLinearRgb(pixels, width, height, (x, y, r, g, b) => {
+    const max = Math.max(r, g, b);
+    return max < 250 && max > 12;
+  });
+}
+
+/**
+ * White-patch on the sclera: bright, unclipped pixels left and right of the limbus,
+ * between the eyelids. The brightest 40% are used so skin at the eye corners is skipped.
+ */
+function estimateSclera(pixels, width, height, segmentation) {
+  const { iris, eyelids } = segmentation;
+  const rInner = iris.r * 1.15;
+  const rOuter = iris.r * 2.2;
+  const maxDy = iris.r * 0.6;
+  const region = {
+    xMin: Math.floor(iris.cx - rOuter), xMax: Math.ceil(iris.cx + rOuter),
+    yMin: Math.floor(iris.cy - maxDy), yMax: Math.ceil(iris.cy + maxDy)
+  };
+  const inSclera = (x, y, r, g, b) => {
+    if (eyelids && (y <= eyelids.upper || y >= eyelids.lower)) return false;
+    const d = Math.hypot(x - iris.cx, y - iris.cy);
+    if (d < rInner || d > rOuter) return false;
+    return Math.max(r, g, b) < 250 && getHSL(r, g, b).l > 0.35;
+  };
+  const lums = [];
+  for (let y = Math.max(0, region.yMin); y <= Math.min(height - 1, region.yMax); y++) {
+    for (let x = Math.max(0, region.xMin); x <= Math.min(width - 1, region.xMax); x++) {
+      const i = (y * width + x) * 4;
+      if (inSclera(x, y, pixels[i], pixels[i + 1], pixels[i + 2])) lums.push(getHSL(pixels[i], pixels[i + 1], pixels[i + 2]).l);
+    }
+  }
+  if (lums.length < MIN_WHITE_BALANCE_SAMPLES) return null;
+  lums.sort((a, b) => a - b);
+  const cutoff = lums[Math.floor(lums.length * 0.6)];
+  return meanLinearRgb(pixels, width, height, (x, y, r, g, b) =>
+    inSclera(x, y, r, g, b) && getHSL(r, g, b).l >= cutoff, region);
+}
+
+/**
+ * Detect a reference card: a rectangular run of uniform, bright blocks away from the eye.
+ * A gray card under tungsten light still looks fairly saturated, so among the runs that are large
+ * enough the most neutral one wins (skin is usually both less uniform and more saturated). Returns { x, y, width, height, r, g, b (linear), samples } or null.
+ */
+function detectReferenceCard(pixels, width, height, segmentation) {
+  const block = Math.max(4, Math.round(Math.min(width, height) / 35));
+  const cols = Math.floor(width / block);
+  const rows = Math.floor(height / block);
+  const { iris } = segmentation;
+  const keepOut = iris.r * 1.5 + block;
+  const candidates = new Array(cols * rows).fill(null);
+
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < cols; bx++) {
+      const cx = (bx + 0.5) * block;
+      const cy = (by + 0.5) * block;
+      if (Math.hypot(cx - iris.cx, cy - iris.cy) < keepOut) continue;
+      const sum = [0, 0, 0], sumSq = [0, 0, 0];
+      let clipped = false;
+      for (let y = by * block; y < (by + 1) * block; y++) {
+        for (let x = bx * block; x < (bx + 1) * block; x++) {
+          const i = (y * width + x) * 4;
+          for (let c = 0; c < 3; c++) {
+            sum[c] += pixels[i + c];
+            sumSq[c] += pixels[i + c] * pixels[i + c];
+          }
+          if (Math.max(pixels[i], pixels[i + 1], pixels[i + 2]) >= 250) clipped = true;
+        }
+      }
+      const n = block * block;
+      const mean = sum.map(s => s / n);
+      const maxStd = Math.max(...sumSq.map((s, c) => Math.sqrt(Math.max(0, s / n - mean[c] * mean[c]))));
+      if (clipped || maxStd > 6) continue;
+      const { l, s } = getHSL(mean[0], mean[1], mean[2]);
+      if (l < 0.35 || s > 0.45) continue;
+      candidates[by * cols + bx] = { mean, s };
+    }
+  }
+
+  // 4-connected groups of blocks with a consistent color; keep the most neutral large one
+  const seen = new Uint8Array(cols * rows);
+  let best = null;
+  let bestSat = Infinity;
+  for (let start = 0; start < candidates.length; start++) {
+    if (!candidates[start] || seen[start]) continue;
+    const group = [];
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length) {
+      const k = stack.pop();
+      group.push(k);
+      const bx = k % cols, by = Math.floor(k / cols);
+      for (const [nx, ny] of [[bx - 1, by], [bx + 1, by], [bx, by - 1], [bx, by + 1]]) {
+        if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+        const nk = ny * cols + nx;
+        if (seen[nk] || !candidates[nk]) continue;
+        const a = candidates[k].mean, b = candidates[nk].mean;
+        if (Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]) > 10) continue;
+        seen[nk] = 1;
+        stack.push(nk);
+      }
+    }
+    if (group.length < 12) continue;
+    const xs = group.map(k => k % cols);
+    const ys = group.map(k => Math.floor(k / cols));
+    const fill = group.length / ((Math.max(...xs) - Math.min(...xs) + 1) * (Math.max(...ys) - Math.min(...ys) + 1));
+    const sat = group.reduce((sum, k) => sum + candidates[k].s, 0) / group.length;
+    if (fill >= 0.7 && sat < bestSat) {
+      best = group;
+      bestSat = sat;
+    }
+  }
+  if (!best) return null;
+
+  const xs = best.map(k => k % cols);
+  const ys = best.map(k => Math.floor(k / cols));
+  const bx0 = Math.min(...xs), bx1 = Math.max(...xs), by0 = Math.min(...ys), by1 = Math.max(...ys);
+
+  const inCard = new Set(best);
+  const mean = meanLinearRgb(pixels, width, height, (x, y) =>
+    inCard.has(Math.floor(y / block) * cols + Math.floor(x / block)), {
+    xMin: bx0 * block, xMax: (bx1 + 1) * block - 1, yMin: by0 * block, yMax: (by1 + 1) * block - 1
+  });
+  if (!mean) return null;
+  return {
+    x: bx0 * block, y: by0 * block,
+    width: (bx1 - bx0 + 1) * block, height: (by1 - by0 + 1) * block,
+    ...mean
+  };
+}
+
+/**
+ * Correlated color temperature (McCamy) of a linear sRGB illuminant estimate
+ */
+function estimateCct({ r, g, b }) {
+  const X = r * 0.4124 + g * 0.3576 + b * 0.1805;
+  const Y = r * 0.2126 + g * 0.7152 + b * 0.0722;
+  const Z = r * 0.0193 + g * 0.1192 + b * 0.9505;
+  const sum = X + Y + Z;
+  if (sum <= 0) return null;
+  const n = (X / sum - 0.3320) / (0.1858 - Y / sum);
+  return Math.round(449 * n * n * n + 3525 * n * n + 6823.3 * n + 5520.33);
+}
+
+/**
+ * Estimate the scene illuminant and the per-channel gains that map it to neutral.
+ * 'auto' uses the sclera when enough of it is visible, otherwise gray-world.
+ * A neutral card (unknown brightness) only corrects chromaticity; referenceCardHex gives its true color.
+ */
+function estimateWhiteBalance(pixels, width, height, segmentation, mode = 'auto', referenceCardHex = null) {
+  if (mode === 'none') return { mode: 'none', requestedMode: mode, gains: { r: 1, g: 1, b: 1 } };
+
+  let used = null;
+  let illuminant = null;
+  let card = null;
+  if (mode === 'reference-card') {
+    card = detectReferenceCard(pixels, width, height, segmentation);
+    if (card) {
+      used = 'reference-card';
+      illuminant = card;
+    }
+  }
+  if (!used && mode !== 'gray-world') {
+    illuminant = estimateSclera(pixels, width, height, segmentation);
+    if (illuminant) used = 'white-patch';
+  }
+  if (!used) {
+    illuminant = estimateGrayWorld(pixels, width, height);
+    if (illuminant) used = 'gray-world';
+  }
+  if (!used) return { mode: 'none', requestedMode: mode, gains: { r: 1, g: 1, b: 1 } };
+
+  let target = (illuminant.r + illuminant.g + illuminant.b) / 3;
+  let targetRgb = { r: target, g: target, b: target };
+  const known = used === 'reference-card' && referenceCardHex ? hexToRgb(referenceCardHex) : null;
+  if (known) {
+    targetRgb = { r: SRGB_TO_LINEAR[known.r], g: SRGB_TO_LINEAR[known.g], b: SRGB_TO_LINEAR[known.b] };
+  }
+  const gain = c => Math.min(MAX_WHITE_BALANCE_GAIN, Math.max(1 / MAX_WHITE_BALANCE_GAIN, targetRgb[c] / Math.max(illuminant[c], 1e-6)));
+  const gains = { r: gain('r'), g: gain('g'), b: gain('b') };
+
+  // Illuminant reported as the color a perfect white would take, normalized to max channel 1
+  const peak = Math.max(illuminant.r, illuminant.g, illuminant.b);
+  const result = {
+    mode: used,
+    requestedMode: mode,
+    illuminant: {
+      hex: rgbToHex(linearToSrgb(illuminant.r / peak), linearToSrgb(illuminant.g / peak), linearToSrgb(illuminant.b / peak)),
+      cct: estimateCct(illuminant),
+      samples: illuminant.samples
+    },
+    gains: {
+      r: Math.round(gains.r * 1000) / 1000,
+      g: Math.round(gains.g * 1000) / 1000,
+      b: Math.round(gains.b * 1000) / 1000
+    }
+  };
+  if (card) result.referenceCard = { x: card.x, y: card.y, width: card.width, height: card.height };
+  return result;
+}
+
+/**
+ * Apply per-channel linear-light gains to RGBA pixels (returns a corrected copy)
+ */
+function applyWhiteBalance(pixels, gains) {
+  const out = new Uint8Array(pixels);
+  if (gains.r === 1 && gains.g === 1 && gains.b === 1) return out;
+  const lut = ['r', 'g', 'b'].map(c => {
+    const table = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) table[i] = linearToSrgb(SRGB_TO_LINEAR[i] * gains[c]);
+    return table;
+  });
+  for (let i = 0; i < out.length; i += 4) {
+    out[i] = lut[0][out[i]];
+    out[i + 1] = lut[1][out[i + 1]];
+    out[i + 2] = lut[2][out[i + 2]];
+  }
+  return out;
+}
+
+/**
+ * Why sampleIris keeps or drops a masked iris pixel: 'accepted', or the filter that rejected it
+ * ('transparent', 'too-bright' for sclera and glare, 'too-dark' for pupil and lashes, 'low-saturation')
+ */
+function samplingStatus(r, g, b, a = 255) {
+  if (a < 200) return 'transparent';
+  // getHSL's lightness and saturation, inlined: this runs for every iris pixel
+  const rn = r / 255, gn = g / 255, bn = b / 255;
+  const max = Math.max(rn, gn, bn), min = Math.min(rn, gn, bn);
+  const luminance = (max + min) / 2;
+  if (luminance > 0.88) return 'too-bright';
+  if (luminance < 0.08) return 'too-dark';
+  const saturation = max === min ? 0 : luminance > 0.5 ? (max - min) / (2 - max - min) : (max - min) / (max + min);
+  if (saturation < 0.04) return 'low-saturation';
+  return 'accepted';
+}
+
+/**
+ * Iris pixels inside the mask, opaque, and neither sclera-bright, pupil-dark nor gray, packed
+ * for clustering: { count, lab: Float64Array [L, a, b, ...], rgb: Uint8Array [r, g, b, ...] }.
+ * Only the chord of each row that lies inside the limbus circle is visited.
+ */
+function sampleIris(pixels, width, height, segmentation) {
+  const bytesPerPixel = 4;
+  const { iris, mask } = segmentation;
+  const yMin = Math.max(0, Math.floor(iris.cy - iris.r));
+  const yMax = Math.min(height - 1, Math.ceil(iris.cy + iris.r));
+  const capacity = (yMax - yMin + 1) * Math.min(width, 2 * Math.ceil(iris.r) + 1);
+  const lab = new Float64Array(Math.max(0, capacity) * 3);
+  const rgb = new Uint8Array(Math.max(0, capacity) * 3);
+  let count = 0;
+
+  for (let y = yMin; y <= yMax; y++) {
+    const dy = y - iris.cy;
+    const half = Math.sqrt(Math.max(0, iris.r * iris.r - dy * dy));
+    const xMin = Math.max(0, Math.floor(iris.cx - half));
+    const xMax = Math.min(width - 1, Math.ceil(iris.cx + half));
+    for (let x = xMin; x <= xMax; x++) {
+      if (!mask[y * width + x]) continue;
+      const i = (y * width + x) * bytesPerPixel;
+      const r = pixels[i];
+      const g = pixels[i + 1];
+      const b = pixels[i + 2];
+      const a = pixels[i + 3] !== undefined ? pixels[i + 3] : 255;
+      if (samplingStatus(r, g, b, a) !== 'accepted') continue;
+      const color = cachedRgbToLab(r, g, b);
+      const k = count * 3;
+      lab[k] = color.L;
+      lab[k + 1] = color.a;
+      lab[k + 2] = color.b;
+      rgb[k] = r;
+      rgb[k + 1] = g;
+      rgb[k + 2] = b;
+      count += 1;
+    }
+  }
+  return { count, lab: lab.subarray(0, count * 3), rgb: rgb.subarray(0, count * 3) };
+}
+
+/**
+ * Sample only the segmented iris (mask between pupil and limbus, without eyelids,
+ * lashes or highlights) for accurate eye color. Unika-style: analyze the actual iris, not center rectangle.
+ * clusterOptions: { algorithm: 'kmeans' | 'median-cut', mergeDeltaE, seed } (see colorClustering),
+ * plus timer to record the sampling and clustering stages (see stageTimer).
+ */
+function getDominantColors(pixels, width, height, numColors = 10, segmentation = segmentIris(pixels, width, height), clusterOptions = {}) {
+  const { timer = createStageTimer(), ...clusterSettings } = clusterOptions;
+  const samples = timer.time('sampling', () => sampleIris(pixels, width, height, segmentation));
+
+  // No center-rectangle or gray fallback: a color from non-iris pixels is worse than a retake
+  if (samples.count < MIN_IRIS_SAMPLES) {
+    throw new ImageQualityError(
+      [{ code: 'INSUFFICIENT_IRIS_PIXELS', message: REASON_MESSAGES.INSUFFICIENT_IRIS_PIXELS }],
+      { irisSamples: samples.count }
+    );
+  }
+
+  // Cluster in LAB for perceptual grouping (finer shades like Unika)
+  const clusters = timer.time('clustering', () => clusterColors(samples, { ...clusterSettings, k: numColors }));
+
+  const total = clusters.reduce((sum, c) => sum + c.count, 0);
+  return clusters.map(c => ({
+    hex: rgbToHex(c.rgb.r, c.rgb.g, c.rgb.b),
+    percentage: Math.round((c.count / total) * 100),
+    variance: Math.round(c.variance * 10) / 10
+  }));
+}
+
+/**
+ * Build Unika-style named shade breakdown: aggregate by Pantone shade name, sum percentages.
+ * Returns array of { name, percentage, hex } for "Slate Blue 42%, Hazel 28%, ..."
+ */
+function buildNamedShadeBreakdown(dominantColors, metric = DEFAULT_METRIC, paletteId = DEFAULT_PALETTE_ID) {
+  const byName = new Map();
+  for (const c of dominantColors) {
+    const name = findBestPantoneName(c.hex, metric, paletteId);
+    const key = name || c.hex;
+    if (!byName.has(key)) {
+      byName.set(key, { name: name || c.hex, percentage: 0, hex: c.hex });
+    }
+    const entry = byName.get(key);
+    entry.percentage += c.percentage;
+    entry.hex = c.hex; // keep representative hex
+  }
+  return [...byName.values()]
+    .map(e => ({ ...e, percentage: Math.round(e.percentage), description: describeColor(e.hex) }))
+    .filter(e => e.percentage > 0)
+    .sort((a, b) => b.percentage - a.percentage);
+}
+
+/**
+ * Pick general eye color from the category distribution of the whole breakdown.
+ * The representative hex is the breakdown color contributing most to the top category
+ * (for hazel, brown and green colors count too).
+ */
+function pickGeneralColor(dominantColors) {
+  const confidence = categorizeBreakdown(dominantColors);
+  const category = EYE_COLOR_CATEGORIES[confidence.category];
+  const related = confidence.category === 'hazel' ? ['hazel', 'brown', 'green'] : [confidence.category];
+  let best = null;
+  let bestWeight = 0;
+  for (const c of dominantColors) {
+    const d = colorCategoryDistribution(c.hex);
+    const weight = c.percentage * related.reduce((sum, key) => sum + d[key], 0);
+    if (weight > bestWeight) {
+      bestWeight = weight;
+      best = c;
+    }
+  }
+  return { hex: best ? best.hex : category.hex, category, confidence };
+}
+
+/**
+ * Size an image is analyzed at, and the centered crop of the source that fills it
+ * (the same as sharp's default 'cover' fit: scale by the larger ratio, crop the rest).
+ * Returns { width, height, scale, crop: { left, top, width, height } } with crop in source pixels.
+ */
+function analysisSize(sourceWidth, sourceHeight) {
+  const width = Math.min(ANALYSIS_SIZE, sourceWidth);
+  const height = Math.min(ANALYSIS_SIZE, sourceHeight);
+  const scale = Math.max(width / sourceWidth, height / sourceHeight);
+  const cropWidth = Math.min(sourceWidth, Math.round(width / scale));
+  const cropHeight = Math.min(sourceHeight, Math.round(height / scale));
+  return {
+    width,
+    height,
+    scale,
+    crop: {
+      left: Math.floor((sourceWidth - cropWidth) / 2),
+      top: Math.floor((sourceHeight - cropHeight) / 2),
+      width: cropWidth,
+      height: cropHeight
+    }
+  };
+}
+
+/**
+ * Check analysis options before any work is done. Throws InvalidOptionError for unknown modes,
+ * algorithms, metrics or palettes and for a bad numColors; returns the resolved palette.
+ */
+function validateAnalysisOptions({ whiteBalance = 'auto', clustering = 'kmeans', numColors = 10, metric = DEFAULT_METRIC, palette = DEFAULT_PALETTE_ID } = {}) {
+  if (!WHITE_BALANCE_MODES.includes(whiteBalance)) {
+    throw new InvalidOptionError(`Unknown whiteBalance mode "${whiteBalance}". Use one of: ${WHITE_BALANCE_MODES.join(', ')}`);
+  }
+  if (!CLUSTERING_ALGORITHMS.includes(clustering)) {
+    throw new InvalidOptionError(`Unknown clustering algorithm "${clustering}". Use one of: ${CLUSTERING_ALGORITHMS.join(', ')}`);
+  }
+  getColorDifference(metric);  // throws InvalidOptionError for unknown metrics
+  const resolved = getPalette(palette);  // likewise for unknown palettes
+  if (!Number.isInteger(numColors) || numColors < 1 || numColors > MAX_NUM_COLORS) {
+    throw new InvalidOptionError(`numColors must be an integer between 1 and ${MAX_NUM_COLORS}`);
+  }
+  return resolved;
+}
+
+/**
+ * Single-eye analysis of decoded RGBA pixels at analysis size (see analysisSize).
+ * scale is analysis pixels per source pixel, used by the quality gate's resolution check;
+ * timer (a stageTimer) records pupilSearch, quality, whiteBalance, sampling, clustering,
+ * matching and irisMap. Other options and the result are those of analyzeEyeColor.
+ * The white-balanced copy of the pixels is zeroed before returning; the caller owns (and should clear) the input.
+ */
+function analyzePixels(pixels, width, height, options = {}) {
+  const {
+    scale = 1,
+    enforceQuality = true,
+    qualityThresholds,
+    whiteBalance = 'auto',
+    referenceCardHex = null,
+    clustering = 'kmeans',
+    numColors = 10,
+    mergeDeltaE,
+    seed,
+    metric = DEFAULT_METRIC,
+    timer = createStageTimer()
+  } = options;
+  const { id: paletteId, name: paletteName } = validateAnalysisOptions(options);
+
+  const segmentation = timer.time('pupilSearch', () => segmentIris(pixels, width, height));
+  const quality = timer.time('quality', () => assessImageQuality(pixels, width, height, segmentation, { scale, thresholds: qualityThresholds }));
+  if (enforceQuality && !quality.passed) {
+    throw new ImageQualityError(quality.reasons, quality.scores);
+  }
+  const whiteBalanceResult = timer.time('whiteBalance', () => estimateWhiteBalance(pixels, width, height, segmentation, whiteBalance, referenceCardHex));
+  const corrected = timer.time('whiteBalance', () => applyWhiteBalance(pixels, whiteBalanceResult.gains));
+  try {
+    const dominantColors = getDominantColors(corrected, width, height, numColors, segmentation, {
+      algorithm: clustering,
+      mergeDeltaE,
+      seed,
+      timer
+    });
+
+    const { hex: primaryHex, category: generalCategory, confidence } = timer.time('matching', () => pickGeneralColor(dominantColors));
+    const shadeBreakdown = timer.time('matching', () => buildNamedShadeBreakdown(dominantColors, metric, paletteId));
+    const breakdown = timer.time('matching', () => dominantColors.map(c => ({
+      hex: c.hex,
+      percentage: c.percentage,
+      variance: c.variance,
+      shadeName: findBestPantoneName(c.hex, metric, paletteId),
+      description: describeColor(c.hex),
+      pantoneMatches: findPantoneMatches(c.hex, 2, metric, paletteId)
+    })));
+    const allPantoneForGeneral = timer.time('matching', () => findPantoneMatches(generalCategory.hex, 5, metric, paletteId));
+    const irisMap = timer.time('irisMap', () => mapIris(corrected, width, height, segmentation, metric));
+    const heterochromia = timer.time('irisMap', () => detectPartialHeterochromia(corrected, width, height, segmentation, metric));
+
+    return {
+      generalColor: {
+        name: generalCategory.name,
+        hex: primaryHex,
+        colorCode: primaryHex,
+        description: describeColor(primaryHex)
+      },
+      confidence,
+      breakdown,
+      shadeBreakdown,
+      pantoneMatches: allPantoneForGeneral,
+      palette: { id: paletteId, name: paletteName },
+      colorCode: primaryHex,
+      segmentation: {
+        pupil: segmentation.pupil,
+        iris: segmentation.iris,
+        maskCoverage: segmentation.maskCoverage
+      },
+      quality: quality.scores,
+      whiteBalance: whiteBalanceResult,
+      irisMap,
+      heterochromia
+    };
+  } finally {
+    corrected.fill(0);
+  }
+}
+
+/**
+ * Percentage-weighted mean LAB of a breakdown (the eye's overall color, not just its primary shade)
+ */
+function meanBreakdownLab(breakdown) {
+  const sum = { L: 0, a: 0, b: 0 };
+  let weight = 0;
+  for (const c of breakdown) {
+    const lab = hexToLab(c.hex);
+    if (!lab) continue;
+    sum.L += lab.L * c.percentage;
+    sum.a += lab.a * c.percentage;
+    sum.b += lab.b * c.percentage;
+    weight += c.percentage;
+  }
+  return weight ? { L: sum.L / weight, a: sum.a / weight, b: sum.b / weight } : null;
+}
+
+module.exports = {
+  analyzePixels,
+  analysisSize,
+  validateAnalysisOptions,
+  estimateWhiteBalance,
+  applyWhiteBalance,
+  getDominantColors,
+  samplingStatus,
+  buildNamedShadeBreakdown,
+  pickGeneralColor,
+  meanBreakdownLab,
+  findPantoneMatches,
+  findBestPantoneName,
+  WHITE_BALANCE_MODES,
+  MAX_NUM_COLORS,
+  ANALYSIS_SIZE
+};
@@ -0,0 +1,62 @@
+/**
+ * Privacy controls for analysis requests:
+ * - Retention: 'history' keeps the result and a small iris thumbnail in the scan store;
+ *   'none' keeps nothing. SCAN_RETENTION=none turns no-retention mode on for every request,
+ *   otherwise a request opts out with retention: 'none' (or save: false)
+ * - Every analysis response states what was kept in a Retention-Policy header
+ * - Uploaded image bytes are overwritten once a request is done with them
+ */
+
+const { InvalidOptionError } = require('./optionError');
+
+const RETENTION_MODES = ['history', 'none'];
+const RETENTION_POLICY_HEADER = 'Retention-Policy';
+
+/**
+ * The server-wide retention mode (SCAN_RETENTION, default 'history'); throws RangeError when unknown
+ */
+function getServerRetention(mode = process.env.SCAN_RETENTION || 'history') {
+  if (!RETENTION_MODES.includes(mode)) {
+    throw new RangeError(`Unknown retention mode "${mode}". Use one of: ${RETENTION_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Retention for one request: 'none' when the server, retention or save says so.
+ * Throws InvalidOptionError for an unknown retention value.
+ */
+function resolveRetention({ retention, save } = {}, serverRetention = getServerRetention()) {
+  if (retention !== undefined && retention !== null && retention !== '' && !RETENTION_MODES.includes(retention)) {
+    throw new InvalidOptionError(`retention must be one of: ${RETENTION_MODES.join(', ')}`);
+  }
+  if (serverRetention === 'none' || retention === 'none' || save === false || save === 'false') return 'none';
+  return 'history';
+}
+
+/**
+ * Retention-Policy header value. The uploaded image itself is never kept; a stored scan keeps the
+ * result and a re-encoded thumbnail without EXIF or GPS metadata.
+ */
+function retentionPolicy({ stored, scanId = null }) {
+  if (!stored) return 'image=discarded; result=discarded; thumbnail=none';
+  return `image=discarded; result=stored; thumbnail=stored; metadata=stripped; scan=${scanId}`;
+}
+
+/**
+ * Overwrite image buffers with zeros (anything that is not a Buffer or typed array is skipped)
+ */
+function zeroBuffers(buffers) {
+  for (const buffer of buffers) {
+    if (ArrayBuffer.isView(buffer)) buffer.fill(0);
+  }
+}
+
+module.exports = {
+  getServerRetention,
+  resolveRetention,
+  retentionPolicy,
+  zeroBuffers,
+  RETENTION_MODES,
+  RETENTION_POLICY_HEADER
+};
@@ -0,0 +1,49 @@
+/**
+ * Per-IP rate limiting for the API (fixed windows, kept in memory):
+ * - Each client IP gets `max` requests per `windowMs`; the next one is answered
+ *   429 RATE_LIMITED with Retry-After
+ * - RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers on every limited response
+ * - Expired windows are swept as requests come in, so memory is bounded by recent clients
+ * Behind a reverse proxy set TRUST_PROXY, or every client shares the proxy's IP.
+ */
+
+const { ApiError, sendError } = require('./apiErrors');
+
+/**
+ * Express middleware limiting requests per req.ip. now is injectable for tests.
+ * Throws RangeError for a bad max or windowMs.
+ */
+function createRateLimiter({ windowMs = 60 * 1000, max = 60, now = Date.now } = {}) {
+  if (!Number.isInteger(max) || max < 1) throw new RangeError('Rate limit max must be a positive integer');
+  if (!Number.isFinite(windowMs) || windowMs <= 0) throw new RangeError('Rate limit windowMs must be a positive number');
+  const windows = new Map();
+  let nextSweep = now() + windowMs;
+
+  return function rateLimit(req, res, next) {
+    const time = now();
+    if (time >= nextSweep) {
+      for (const [key, entry] of windows) {
+        if (entry.resetAt <= time) windows.delete(key);
+      }
+      nextSweep = time + windowMs;
+    }
+    const key = req.ip || req.socket.remoteAddress || 'unknown';
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= time) {
+      entry = { count: 0, resetAt: time + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count += 1;
+    const resetSeconds = Math.max(1, Math.ceil((entry.resetAt - time) / 1000));
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+    if (entry.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return sendError(res, new ApiError(429, 'RATE_LIMITED', `Too many requests, try again in ${resetSeconds} s`, { retryAfter: resetSeconds }));
+    }
+    return next();
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,168 @@
+/**
+ * Makeup and clothing color recommendations for an eye color:
+ * - Harmonies computed in LCh from the primary iris color: complementary (180°),
+ *   analogous (±30°) and triadic (±120°), keeping its lightness
+ * - Curated sets per general category (eyeshadow, eyeliner, clothing) from
+ *   data/recommendations.json (or RECOMMENDATIONS_FILE), validated on first use
+ * - Each curated color is tagged with the harmony its hue falls in, so a UI can explain it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hexToLab, labToLch, lchToHex } = require('./colorSpace');
+const { EYE_COLOR_CATEGORIES, classifyEyeColor } = require('./colorCategories');
+const { InvalidOptionError } = require('./optionError');
+
+const RECOMMENDATIONS_FILE = process.env.RECOMMENDATIONS_FILE || path.join(__dirname, 'data', 'recommendations.json');
+const HARMONIES = { complementary: [180], analogous: [-30, 30], triadic: [-120, 120] };
+const RECOMMENDATION_SETS = ['eyeshadow', 'eyeliner', 'clothing'];
+// Iris colors are muted; harmonies of a near-gray would be grays too, so they get at least this chroma
+const MIN_HARMONY_CHROMA = 25;
+const NEUTRAL_CHROMA = 10;     // curated colors below this chroma are tagged "neutral"
+const HARMONY_TOLERANCE = 30;  // degrees of hue within which a curated color matches a harmony
+const HEX_PATTERN = /^#?[0-9a-f]{6}$/i;
+
+/**
+ * Thrown when the recommendations data file is invalid; errors is a list of human-readable problems
+ */
+class RecommendationDataError extends Error {
+  constructor(errors) {
+    super('Invalid recommendations data: ' + errors.join('; '));
+    this.name = 'RecommendationDataError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Read and validate a recommendations file:
+ * { categories: { <category>: { summary, eyeshadow: [{ name, hex }], eyeliner, clothing } } }
+ * with an entry for every general eye color category.
+ */
+function loadRecommendationData(file = RECOMMENDATIONS_FILE) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const categories = data && data.categories;
+  const errors = [];
+  if (!categories || typeof categories !== 'object') {
+    throw new RecommendationDataError(['categories must be an object']);
+  }
+  for (const key of Object.keys(EYE_COLOR_CATEGORIES)) {
+    const entry = categories[key];
+    if (!entry) {
+      errors.push(`categories.${key} is missing`);
+      continue;
+    }
+    if (typeof entry.summary !== 'string' || !entry.summary.trim()) errors.push(`categories.${key}.summary must be text`);
+    for (const set of RECOMMENDATION_SETS) {
+      if (!Array.isArray(entry[set]) || entry[set].length === 0) {
+        errors.push(`categories.${key}.${set} must be a non-empty array`);
+        continue;
+      }
+      entry[set].forEach((color, i) => {
+        if (!color || typeof color.name !== 'string' || !color.name.trim()) errors.push(`categories.${key}.${set}[${i}].name must be text`);
+        if (!color || !HEX_PATTERN.test(color.hex)) errors.push(`categories.${key}.${set}[${i}].hex must be a 6-digit hex color`);
+      });
+    }
+  }
+  for (const key of Object.keys(categories)) {
+    if (!EYE_COLOR_CATEGORIES[key]) errors.push(`categories.${key} is not an eye color category`);
+  }
+  if (errors.length) throw new RecommendationDataError(errors);
+  return data;
+}
+
+let recommendationData = null;
+
+function getRecommendationData() {
+  if (!recommendationData) recommendationData = loadRecommendationData();
+  return recommendationData;
+}
+
+const round1 = x => Math.round(x * 10) / 10;
+
+function colorEntry(hex) {
+  const { L, C, h } = labToLch(hexToLab(hex));
+  return { hex: hex.toUpperCase(), lch: { L: round1(L), C: round1(C), h: round1(h) } };
+}
+
+function hueDistance(a, b) {
+  const d = Math.abs(a - b) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
+/**
+ * Harmonies of a hex color: { complementary: [color], analogous: [color, color], triadic: [color, color] }
+ * with each color { hex, lch: { L, C, h } }. Out-of-gamut colors lose chroma, not hue.
+ */
+function colorHarmonies(hex) {
+  const lch = labToLch(hexToLab(hex));
+  const base = { L: lch.L, C: Math.max(lch.C, MIN_HARMONY_CHROMA) };
+  const harmonies = {};
+  for (const [name, offsets] of Object.entries(HARMONIES)) {
+    harmonies[name] = offsets.map(offset => colorEntry(lchToHex({ ...base, h: (lch.h + offset + 360) % 360 })));
+  }
+  return harmonies;
+}
+
+/**
+ * Which harmony a curated color belongs to relative to the iris hue: a HARMONIES key,
+ * 'neutral' for low-chroma colors, or null
+ */
+function harmonyOf(hex, irisHue) {
+  const { C, h } = labToLch(hexToLab(hex));
+  if (C < NEUTRAL_CHROMA) return 'neutral';
+  let best = null;
+  let bestDistance = HARMONY_TOLERANCE;
+  for (const [name, offsets] of Object.entries(HARMONIES)) {
+    for (const offset of offsets) {
+      const distance = hueDistance(h, (irisHue + offset + 360) % 360);
+      if (distance <= bestDistance) {
+        best = name;
+        bestDistance = distance;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Recommendations for an iris color. category defaults to the general category of hex.
+ * Returns { base, category, summary, harmonies, sets: { eyeshadow, eyeliner, clothing } }
+ * with set items { name, hex, harmony }. Throws InvalidOptionError for a bad hex or category.
+ */
+function recommendColors(hex, { category } = {}) {
+  if (typeof hex !== 'string' || !HEX_PATTERN.test(hex)) {
+    throw new InvalidOptionError('hex must be a 6-digit hex color, e.g. #4A75A9');
+  }
+  const normalized = '#' + hex.replace('#', '').toUpperCase();
+  const key = category ? String(category).toLowerCase() : classifyEyeColor(normalized).name.toLowerCase();
+  if (!EYE_COLOR_CATEGORIES[key]) {
+    throw new InvalidOptionError(`Unknown category "${category}". Use one of: ${Object.keys(EYE_COLOR_CATEGORIES).join(', ')}`);
+  }
+  const entry = getRecommendationData().categories[key];
+  const base = colorEntry(normalized);
+  const sets = {};
+  for (const set of RECOMMENDATION_SETS) {
+    sets[set] = entry[set].map(({ name, hex: itemHex }) => ({
+      name,
+      hex: '#' + itemHex.replace('#', '').toUpperCase(),
+      harmony: harmonyOf(itemHex, base.lch.h)
+    }));
+  }
+  return {
+    base,
+    category: key,
+    summary: entry.summary,
+    harmonies: colorHarmonies(normalized),
+    sets
+  };
+}
+
+module.exports = {
+  recommendColors,
+  colorHarmonies,
+  loadRecommendationData,
+  RecommendationDataError,
+  HARMONIES,
+  RECOMMENDATION_SETS,
+  MIN_HARMONY_CHROMA
+};
@@ -0,0 +1,343 @@
+/**
+ * Shareable exports of a stored scan:
+ * - Result card: a branded PNG rendered with sharp from an SVG layout (thumbnail, general color,
+ *   shade breakdown, palette matches)
+ * - Swatches of the matched colors: Adobe Swatch Exchange (.ase) and GIMP palette (.gpl)
+ * - Reports: JSON, and a one-page PDF written directly (no PDF library needed)
+ * Two-eye scans export both eyes, labeled left and right.
+ */
+
+const sharp = require('sharp');
+const { hexToRgb } = require('./colorSpace');
+const { InvalidOptionError } = require('./optionError');
+
+const BRAND = 'Eye Color Identifier';
+const EXPORT_FORMATS = ['json', 'pdf', 'ase', 'gpl'];
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const CARD_COLORS = { background: '#060A12', surface: '#0C1423', accent: '#00D4FF', text: '#E0E8F0', muted: '#8BA3B8' };
+const MAX_SHADES = 5;
+const MAX_MATCHES = 4;
+
+/**
+ * The eyes in a result: [{ label, result }] (label is null for a single-eye scan)
+ */
+function resultEyes(result) {
+  if (result.mode === 'both') {
+    return [{ label: 'Left eye', result: result.left }, { label: 'Right eye', result: result.right }];
+  }
+  return [{ label: null, result }];
+}
+
+/**
+ * Named colors of a scan for swatch files, without duplicates within a group:
+ * [{ name, hex, group }] with the general color, measured shades and palette matches of each eye
+ */
+function collectSwatches(result) {
+  const swatches = [];
+  const seen = new Set();
+  const add = (group, name, hex) => {
+    const key = `${group}|${name}|${hex.toUpperCase()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    swatches.push({ group, name, hex: hex.toUpperCase() });
+  };
+  for (const { label, result: eye } of resultEyes(result)) {
+    const prefix = label ? `${label} – ` : '';
+    add(`${prefix}Eye color`, `${prefix}${eye.generalColor.name}`, eye.generalColor.hex);
+    for (const shade of eye.shadeBreakdown || []) {
+      add(`${prefix}Shades`, `${shade.name || shade.hex} (${shade.percentage}%)`, shade.hex);
+    }
+    for (const match of eye.pantoneMatches || []) add(`${prefix}Palette matches`, match.name, match.hex);
+  }
+  return swatches;
+}
+
+/**
+ * GIMP palette text (.gpl)
+ */
+function toGpl(swatches, name = BRAND) {
+  const lines = ['GIMP Palette', `Name: ${name}`, 'Columns: 4', '#'];
+  for (const { name: colorName, hex } of swatches) {
+    const { r, g, b } = hexToRgb(hex);
+    lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${colorName}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ASE strings: uint16 length in UTF-16 code units (with the terminator), UTF-16BE, 0x0000
+function aseString(text) {
+  const units = Buffer.from(text + '\0', 'utf16le').swap16();
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(units.length / 2);
+  return Buffer.concat([length, units]);
+}
+
+function aseBlock(type, body) {
+  const header = Buffer.alloc(6);
+  header.writeUInt16BE(type, 0);
+  header.writeUInt32BE(body.length, 2);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Adobe Swatch Exchange (.ase, version 1.0): one group per swatch group, RGB global colors
+ */
+function toAse(swatches) {
+  const blocks = [];
+  const groups = [...new Set(swatches.map(s => s.group))];
+  for (const group of groups) {
+    blocks.push(aseBlock(0xC001, aseString(group)));
+    for (const { name, hex } of swatches.filter(s => s.group === group)) {
+      const { r, g, b } = hexToRgb(hex);
+      const color = Buffer.alloc(4 + 12 + 2);
+      color.write('RGB ', 0, 'ascii');
+      color.writeFloatBE(r / 255, 4);
+      color.writeFloatBE(g / 255, 8);
+      color.writeFloatBE(b / 255, 12);
+      color.writeUInt16BE(0, 16); // global
+      blocks.push(aseBlock(0x0001, Buffer.concat([aseString(name), color])));
+    }
+    blocks.push(aseBlock(0xC002, Buffer.alloc(0)));
+  }
+  const header = Buffer.alloc(12);
+  header.write('ASEF', 0, 'ascii');
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(0, 6);
+  header.writeUInt32BE(blocks.length, 8);
+  return Buffer.concat([header, ...blocks]);
+}
+
+/**
+ * JSON report: scan metadata and the full analysis, without the embedded thumbnail
+ */
+function toJsonReport(scan) {
+  const { thumbnail, ...report } = scan;
+  return JSON.stringify({ ...report, swatches: collectSwatches(scan.result) }, null, 2) + '\n';
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+function thumbnailBuffer(scan) {
+  const match = /^data:image\/\w+;base64,(.+)$/.exec(scan.thumbnail || '');
+  return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+function formatDate(iso) {
+  return new Date(iso).toISOString().slice(0, 10);
+}
+
+// One eye's column on the card: color name, a stacked shade bar with labels, palette swatches.
+// Labeled (two-eye) columns use a compact layout so both fit.
+function cardEyeSvg(eye, label, x, y, width) {
+  const parts = [];
+  const compact = Boolean(label);
+  let top = y;
+  if (label) {
+    parts.push(`<text x="${x}" y="${top + 22}" font-size="22" fill="${CARD_COLORS.muted}">${escapeXml(label)}</text>`);
+    top += 30;
+  }
+  parts.push(`<text x="${x}" y="${top + (compact ? 34 : 44)}" font-size="${compact ? 36 : 48}" font-weight="600" fill="${CARD_COLORS.text}">${escapeXml(eye.generalColor.name)}</text>`);
+  parts.push(`<text x="${x}" y="${top + (compact ? 62 : 76)}" font-size="22" fill="${CARD_COLORS.accent}">${escapeXml(eye.generalColor.hex.toUpperCase())}</text>`);
+  top += compact ? 78 : 100;
+
+  const shades = (eye.shadeBreakdown || []).slice(0, MAX_SHADES);
+  const total = shades.reduce((sum, s) => sum + s.percentage, 0) || 1;
+  let offset = 0;
+  for (const shade of shades) {
+    const w = (shade.percentage / total) * width;
+    parts.push(`<rect x="${x + offset}" y="${top}" width="${Math.max(1, w)}" height="${compact ? 20 : 26}" fill="${shade.hex}"/>`);
+    offset += w;
+  }
+  const shadeText = shades.slice(0, 3).map(s => `${s.name || s.hex} ${s.percentage}%`).join(' · ');
+  parts.push(`<text x="${x}" y="${top + (compact ? 44 : 54)}" font-size="18" fill="${CARD_COLORS.muted}">${escapeXml(shadeText)}</text>`);
+  top += compact ? 60 : 76;
+
+  const matches = (eye.pantoneMatches || []).slice(0, MAX_MATCHES);
+  const cell = width / MAX_MATCHES;
+  matches.forEach((m, i) => {
+    const cx = x + i * cell;
+    parts.push(`<rect x="${cx}" y="${top}" width="${cell - 12}" height="${compact ? 34 : 70}" rx="4" fill="${m.hex}"/>`);
+    parts.push(`<text x="${cx}" y="${top + (compact ? 52 : 92)}" font-size="15" fill="${CARD_COLORS.text}">${escapeXml(m.name)}</text>`);
+  });
+  return parts.join('');
+}
+
+/**
+ * Branded result card (1200x630 PNG, the usual social preview size) for a stored scan
+ */
+async function renderResultCard(scan) {
+  const eyes = resultEyes(scan.result);
+  const { background, surface, accent, muted } = CARD_COLORS;
+  const panelX = 440;
+  const panelWidth = CARD_WIDTH - panelX - 60;
+  const pair = eyes.length === 2;
+  // Single eye: the iris in a ring; two eyes: the strip across both eyes in a frame
+  const photo = pair ? { width: 340, height: 120 } : { width: 316, height: 316 };
+  const frame = pair
+    ? `<rect x="${220 - photo.width / 2 - 6}" y="${280 - photo.height / 2 - 6}" width="${photo.width + 12}" height="${photo.height + 12}" rx="10" fill="none" stroke="${accent}" stroke-width="4"/>`
+    : `<circle cx="220" cy="280" r="164" fill="none" stroke="${accent}" stroke-width="4"/>`;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" font-family="Georgia, 'DejaVu Serif', serif">
+  <rect width="100%" height="100%" fill="${background}"/>
+  <rect x="24" y="24" width="${CARD_WIDTH - 48}" height="${CARD_HEIGHT - 48}" rx="6" fill="${surface}" stroke="${accent}" stroke-opacity="0.35"/>
+  ${frame}
+  ${eyes.map((e, i) => cardEyeSvg(e.result, e.label, panelX, pair ? 56 + i * 270 : 160, panelWidth)).join('')}
+  <text x="60" y="${CARD_HEIGHT - 66}" font-size="26" fill="${accent}">${BRAND}</text>
+  <text x="60" y="${CARD_HEIGHT - 40}" font-size="18" fill="${muted}">${formatDate(scan.createdAt)}</text>
+</svg>`;
+
+  const layers = [];
+  const thumbnail = thumbnailBuffer(scan);
+  if (thumbnail) {
+    const { width, height } = photo;
+    const mask = pair
+      ? `<rect width="${width}" height="${height}" rx="6" fill="#fff"/>`
+      : `<circle cx="${width / 2}" cy="${height / 2}" r="${width / 2}" fill="#fff"/>`;
+    const image = await sharp(thumbnail)
+      .resize(width, height, { fit: 'cover' })
+      .composite([{ input: Buffer.from(`<svg width="${width}" height="${height}">${mask}</svg>`), blend: 'dest-in' }])
+      .png()
+      .toBuffer();
+    layers.push({ input: image, left: 220 - width / 2, top: 280 - height / 2 });
+  }
+  return sharp(Buffer.from(svg)).composite(layers).png().toBuffer();
+}
+
+// PDF text: Helvetica with WinAnsi covers Latin-1; anything else becomes '?'
+function pdfText(text) {
+  return String(text)
+    .replace(/[–—]/g, '-')
+    .replace(/[·]/g, '-')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/[\\()]/g, c => '\\' + c);
+}
+
+function pdfRgb(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  return [r, g, b].map(v => (v / 255).toFixed(3)).join(' ');
+}
+
+/**
+ * One-page A4 PDF report: thumbnail, general color and confidence, shades and palette matches per eye
+ */
+async function toPdf(scan) {
+  const ops = [];
+  const text = (x, y, size, value, font = 'F1') => ops.push(`BT /${font} ${size} Tf ${x} ${y} Td (${pdfText(value)}) Tj ET`);
+  const swatch = (x, y, w, h, hex) => ops.push(`${pdfRgb(hex)} rg ${x} ${y} ${w} ${h} re f 0 0 0 rg`);
+
+  const thumbnail = thumbnailBuffer(scan);
+  let image = null;
+  if (thumbnail) {
+    const jpeg = await sharp(thumbnail).flatten({ background: '#ffffff' }).jpeg({ quality: 90 }).toBuffer();
+    const { width, height } = await sharp(jpeg).metadata();
+    image = { jpeg, width, height };
+  }
+
+  text(50, 790, 22, `${BRAND} - Report`, 'F2');
+  const palette = resultEyes(scan.result)[0].result.palette;
+  text(50, 770, 10, `Scan ${scan.id} - ${new Date(scan.createdAt).toUTCString()}${palette ? ` - palette: ${palette.name}` : ''}`);
+  let y = 740;
+  if (image) {
+    const h = 110;
+    const w = Math.round((image.width / image.height) * h);
+    ops.push(`q ${w} 0 0 ${h} 50 ${y - h} cm /Im1 Do Q`);
+    y -= h + 30;
+  }
+
+  // Two-eye scans get one column per eye
+  resultEyes(scan.result).forEach(({ label, result: eye }, column) => {
+    const x = 50 + column * 270;
+    let top = y;
+    if (label) {
+      text(x, top, 14, label, 'F2');
+      top -= 22;
+    }
+    swatch(x, top - 6, 28, 28, eye.generalColor.hex);
+    text(x + 40, top + 4, 18, `${eye.generalColor.name}  ${eye.generalColor.hex.toUpperCase()}`, 'F2');
+    top -= 30;
+    if (eye.confidence) {
+      const ranked = Object.entries(eye.confidence.distribution).slice(0, 3)
+        .map(([name, p]) => `${name} ${Math.round(p * 100)}%`).join(', ');
+      text(x, top, 10, `Confidence: ${ranked}${eye.confidence.ambiguous ? ' (ambiguous)' : ''}`);
+      top -= 24;
+    }
+    text(x, top, 12, 'Shade breakdown', 'F2');
+    top -= 18;
+    for (const shade of (eye.shadeBreakdown || []).slice(0, 8)) {
+      swatch(x, top - 3, 12, 12, shade.hex);
+      text(x + 20, top, 10, `${shade.name || shade.hex}  ${shade.hex.toUpperCase()}  ${shade.percentage}%`);
+      top -= 16;
+    }
+    top -= 8;
+    text(x, top, 12, 'Closest palette matches', 'F2');
+    top -= 18;
+    for (const match of (eye.pantoneMatches || []).slice(0, 5)) {
+      swatch(x, top - 3, 12, 12, match.hex);
+      text(x + 20, top, 10, `${match.name}  ${match.hex.toUpperCase()}`);
+      top -= 16;
+    }
+  });
+
+  const content = ops.join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents 4 0 R /Resources << /Font << /F1 5 0 R /F2 6 0 R >>${image ? ' /XObject << /Im1 7 0 R >>' : ''} >> >>`,
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+  const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = [];
+  const push = buffer => {
+    chunks.push(buffer);
+    length += buffer.length;
+  };
+  objects.forEach((body, i) => {
+    offsets.push(length);
+    push(Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, 'latin1'));
+  });
+  if (image) {
+    offsets.push(length);
+    push(Buffer.from(`7 0 obj\n<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.jpeg.length} >>\nstream\n`, 'latin1'));
+    push(image.jpeg);
+    push(Buffer.from('\nendstream\nendobj\n', 'latin1'));
+  }
+  const xref = length;
+  const count = offsets.length + 1;
+  const table = offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  push(Buffer.from(`xref\n0 ${count}\n0000000000 65535 f \n${table}trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`, 'latin1'));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Export a stored scan: { body, contentType, extension } for json, pdf, ase or gpl.
+ * Throws InvalidOptionError for an unknown format.
+ */
+async function exportScan(scan, format) {
+  switch (format) {
+    case 'json':
+      return { body: toJsonReport(scan), contentType: 'application/json', extension: 'json' };
+    case 'pdf':
+      return { body: await toPdf(scan), contentType: 'application/pdf', extension: 'pdf' };
+    case 'ase':
+      return { body: toAse(collectSwatches(scan.result)), contentType: 'application/octet-stream', extension: 'ase' };
+    case 'gpl':
+      return { body: toGpl(collectSwatches(scan.result), `${BRAND} ${formatDate(scan.createdAt)}`), contentType: 'text/plain; charset=utf-8', extension: 'gpl' };
+    default:
+      throw new InvalidOptionError(`Unknown export format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  renderResultCard,
+  exportScan,
+  collectSwatches,
+  toAse,
+  toGpl,
+  toPdf,
+  EXPORT_FORMATS
+};
@@ -0,0 +1,300 @@
+/**
+ * Scan history store:
+ * - Keeps each analysis with an iris thumbnail, a timestamp, optional user / session ID labels and
+ *   the hash of its owner token
+ * - Scans are biometric data: the API only lists, returns or deletes them for the holder of the
+ *   owner token they were saved with (ownsScan). Tokens are issued by the server, never chosen by
+ *   clients, and only their SHA-256 hash is stored
+ * - Drivers share one async interface (save, get, list, delete) so another backend
+ *   (SQLite, a hosted database) can be plugged in with setScanStore
+ * - 'json' (default) persists to a JSON file with atomic writes; 'memory' keeps scans in process
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { InvalidOptionError } = require('./optionError');
+
+const SCAN_STORE_DRIVERS = ['json', 'memory'];
+const DEFAULT_STORE_FILE = path.join(__dirname, '..', 'data', 'scans.json');
+// The JSON file is rewritten whole on every change, so it is kept to the newest scans
+const DEFAULT_MAX_SCANS = 1000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// 32 random bytes, base64url
+const OWNER_TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * A new owner token: 256 random bits, so it cannot be guessed
+ */
+function createOwnerToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * SHA-256 of an owner token, the form records keep; throws InvalidOptionError for a malformed token
+ */
+function hashOwnerToken(token) {
+  if (typeof token !== 'string' || !OWNER_TOKEN_PATTERN.test(token)) {
+    throw new InvalidOptionError('Owner token must be one issued by this server');
+  }
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check optional user / session ID labels; throws InvalidOptionError when malformed
+ */
+function validateScanOwner({ userId, sessionId } = {}) {
+  for (const [name, value] of [['userId', userId], ['sessionId', sessionId]]) {
+    if (value !== undefined && value !== null && !(typeof value === 'string' && ID_PATTERN.test(value))) {
+      throw new InvalidOptionError(`${name} must be 1-64 letters, digits, dashes or underscores`);
+    }
+  }
+}
+
+/**
+ * Whether a scan belongs to the owner with this token hash; a scan saved without one belongs to nobody
+ */
+function ownsScan(scan, ownerHash) {
+  return Boolean(ownerHash && scan.ownerHash) && scan.ownerHash === ownerHash;
+}
+
+/**
+ * A stored scan without its owner hash, as the API returns it
+ */
+function publicScan(scan) {
+  const { ownerHash, ...rest } = scan;
+  return rest;
+}
+
+/**
+ * Validate list options; throws InvalidOptionError for bad paging or ids.
+ * ownerHash (see hashOwnerToken) limits the list to one owner's scans.
+ */
+function normalizeQuery({ limit = DEFAULT_PAGE_SIZE, offset = 0, color, userId, sessionId, ownerHash } = {}) {
+  const l = Number(limit);
+  const o = Number(offset);
+  if (!Number.isInteger(l) || l < 1 || l > MAX_PAGE_SIZE) {
+    throw new InvalidOptionError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (!Number.isInteger(o) || o < 0) throw new InvalidOptionError('offset must be a non-negative integer');
+  validateScanOwner({ userId, sessionId });
+  return { limit: l, offset: o, color: color ? String(color).toLowerCase() : null, userId, sessionId, ownerHash };
+}
+
+/**
+ * General color names of a scan (both eyes in two-eye mode)
+ */
+function scanColors(scan) {
+  const { result } = scan;
+  if (result.mode === 'both') return [result.left.generalColor.name, result.right.generalColor.name];
+  return [result.generalColor.name];
+}
+
+/**
+ * List entry for a scan: everything except the full analysis output
+ */
+function summarizeScan(scan) {
+  const { result } = scan;
+  const eye = r => ({ name: r.generalColor.name, hex: r.generalColor.hex });
+  return {
+    id: scan.id,
+    createdAt: scan.createdAt,
+    userId: scan.userId,
+    sessionId: scan.sessionId,
+    mode: result.mode === 'both' ? 'both' : 'single',
+    generalColor: result.mode === 'both' ? { left: eye(result.left), right: eye(result.right) } : eye(result),
+    thumbnail: scan.thumbnail
+  };
+}
+
+function matches(scan, query) {
+  if (query.ownerHash !== undefined && !ownsScan(scan, query.ownerHash)) return false;
+  if (query.userId && scan.userId !== query.userId) return false;
+  if (query.sessionId && scan.sessionId !== query.sessionId) return false;
+  if (query.color && !scanColors(scan).some(name => name.toLowerCase() === query.color)) return false;
+  return true;
+}
+
+/**
+ * New scan record from an analysis result: { id, createdAt, userId, sessionId, ownerHash, thumbnail, result }
+ */
+function createScanRecord({ result, thumbnail = null, userId = null, sessionId = null, ownerHash = null }) {
+  validateScanOwner({ userId, sessionId });
+  return {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    userId,
+    sessionId,
+    ownerHash,
+    thumbnail,
+    result
+  };
+}
+
+/**
+ * In-process store; also the base for the JSON file store
+ */
+class MemoryScanStore {
+  constructor() {
+    this.scans = new Map();
+  }
+
+  async save(scan) {
+    this.scans.set(scan.id, scan);
+    return scan;
+  }
+
+  async get(id) {
+    return this.scans.get(id) || null;
+  }
+
+  /**
+   * Newest first. Returns { scans: [summary], total, limit, offset }.
+   */
+  async list(query) {
+    const q = normalizeQuery(query);
+    const found = [...this.scans.values()]
+      .filter(scan => matches(scan, q))
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+    return {
+      scans: found.slice(q.offset, q.offset + q.limit).map(summarizeScan),
+      total: found.length,
+      limit: q.limit,
+      offset: q.offset
+    };
+  }
+
+  async delete(id) {
+    return this.scans.delete(id);
+  }
+}
+
+/**
+ * JSON file store: loaded on first use, rewritten atomically (temp file + rename) after each change.
+ * Writes are serialized so concurrent requests never interleave.
+ * Every save and delete rewrites the whole file, thumbnails included (a few KB per scan), so the
+ * store keeps only the newest maxScans scans; use another backend for larger histories.
+ */
+class JsonFileScanStore extends MemoryScanStore {
+  constructor(file = DEFAULT_STORE_FILE, { maxScans = DEFAULT_MAX_SCANS } = {}) {
+    super();
+    this.file = file;
+    this.maxScans = maxScans;
+    this.loaded = null;
+    this.writing = Promise.resolve();
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = fs.promises.readFile(this.file, 'utf8')
+        .then(text => {
+          for (const scan of JSON.parse(text).scans || []) this.scans.set(scan.id, scan);
+        })
+        .catch(err => {
+          if (err.code === 'ENOENT') return;
+          // Not cached, so the next request reads the file again
+          this.loaded = null;
+          throw err;
+        });
+    }
+    return this.loaded;
+  }
+
+  persist() {
+    const write = async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      const temp = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify({ scans: [...this.scans.values()] }));
+      await fs.promises.rename(temp, this.file);
+    };
+    this.writing = this.writing.then(write, write);
+    return this.writing;
+  }
+
+  async save(scan) {
+    await this.load();
+    await super.save(scan);
+    // Oldest first: scans are kept in insertion order, in memory and in the file
+    for (const id of this.scans.keys()) {
+      if (this.scans.size <= this.maxScans) break;
+      this.scans.delete(id);
+    }
+    await this.persist();
+    return scan;
+  }
+
+  async get(id) {
+    await this.load();
+    return super.get(id);
+  }
+
+  async list(query) {
+    await this.load();
+    return super.list(query);
+  }
+
+  async delete(id) {
+    await this.load();
+    const removed = await super.delete(id);
+    if (removed) await this.persist();
+    return removed;
+  }
+}
+
+/**
+ * Create a store: { driver = SCAN_STORE env or 'json', file = SCAN_STORE_FILE env or data/scans.json,
+ * maxScans = SCAN_STORE_MAX_SCANS env or 1000 (json only) }
+ */
+function createScanStore({
+  driver = process.env.SCAN_STORE || 'json',
+  file = process.env.SCAN_STORE_FILE || DEFAULT_STORE_FILE,
+  maxScans = Number(process.env.SCAN_STORE_MAX_SCANS) || DEFAULT_MAX_SCANS
+} = {}) {
+  if (driver === 'memory') return new MemoryScanStore();
+  if (driver === 'json') return new JsonFileScanStore(file, { maxScans });
+  throw new RangeError(`Unknown scan store driver "${driver}". Use one of: ${SCAN_STORE_DRIVERS.join(', ')}`);
+}
+
+let activeStore = null;
+
+/**
+ * The store used by the API (created on first use)
+ */
+function getScanStore() {
+  if (!activeStore) activeStore = createScanStore();
+  return activeStore;
+}
+
+/**
+ * Plug in another store implementing save(scan), get(id), list(query) and delete(id)
+ */
+function setScanStore(store) {
+  for (const method of ['save', 'get', 'list', 'delete']) {
+    if (!store || typeof store[method] !== 'function') {
+      throw new TypeError(`Scan store must implement ${method}()`);
+    }
+  }
+  activeStore = store;
+}
+
+module.exports = {
+  createScanStore,
+  createScanRecord,
+  getScanStore,
+  setScanStore,
+  summarizeScan,
+  normalizeQuery,
+  validateScanOwner,
+  createOwnerToken,
+  hashOwnerToken,
+  ownsScan,
+  publicScan,
+  MemoryScanStore,
+  JsonFileScanStore,
+  SCAN_STORE_DRIVERS,
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_MAX_SCANS,
+  MAX_PAGE_SIZE
+};
@@ -0,0 +1,108 @@
+/**
+ * JSON Schema checks for the subset the OpenAPI document uses (see openapi.js):
+ * - type (with OpenAPI's nullable), enum, pattern, maxLength, minimum / maximum
+ * - objects: required, properties, additionalProperties; arrays: items, minItems, maxItems
+ * - oneOf, anyOf, allOf and local $refs (#/components/schemas/...)
+ * Used to check API responses against the documented schemas; format and description are ignored.
+ */
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new RangeError(`Only local $refs are supported, got "${ref}"`);
+  const target = ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+  if (!target) throw new RangeError(`Unresolved $ref "${ref}"`);
+  return target;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Errors of value against schema, as ["$.path: message"]; empty when it matches.
+ * root is the document $refs resolve against.
+ */
+function validateSchema(value, schema, root = schema, path = '$') {
+  if (schema.$ref) return validateSchema(value, resolveRef(root, schema.$ref), root, path);
+  if (value === null && schema.nullable) return [];
+  const errors = [];
+
+  if (schema.allOf) {
+    for (const part of schema.allOf) errors.push(...validateSchema(value, part, root, path));
+  }
+  for (const keyword of ['oneOf', 'anyOf']) {
+    if (!schema[keyword]) continue;
+    const results = schema[keyword].map(option => validateSchema(value, option, root, path));
+    const matched = results.filter(result => result.length === 0).length;
+    if (keyword === 'oneOf' ? matched !== 1 : matched === 0) {
+      // Report the closest option, so the message points at the actual mismatch
+      const closest = results.reduce((best, result) => (result.length < best.length ? result : best));
+      errors.push(matched > 1
+        ? `${path}: matches ${matched} oneOf options`
+        : `${path}: matches no ${keyword} option (closest: ${closest.join('; ')})`);
+    }
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [...errors, `${path}: expected ${schema.type}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: "${value}" does not match ${schema.pattern}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, root, `${path}[${i}]`)));
+    }
+  }
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}: missing ${key}`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], root, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property ${key}`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, root, `${path}.${key}`));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Errors of a JSON response body against the document's schema for
+ * method + path template (e.g. 'get', '/scans/{id}') and status.
+ * Throws RangeError when the document does not describe that response.
+ */
+function validateResponse(document, method, path, status, body) {
+  const operation = document.paths[path] && document.paths[path][method.toLowerCase()];
+  if (!operation) throw new RangeError(`${method.toUpperCase()} ${path} is not documented`);
+  const response = operation.responses[status] || operation.responses.default;
+  if (!response) throw new RangeError(`${method.toUpperCase()} ${path} has no ${status} response`);
+  const content = response.content && response.content['application/json'];
+  if (!content) return body === undefined ? [] : [`$: ${status} response has no JSON body`];
+  return validateSchema(body, content.schema, document);
+}
+
+module.exports = { validateSchema, validateResponse, resolveRef };
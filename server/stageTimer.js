@@ -0,0 +1,45 @@
+/**
+ * Per-stage wall-clock timings for an analysis (decode, resize, pupil search, sampling,
+ * clustering, matching, ...):
+ * - Durations add up when a stage runs more than once (burst frames, both eyes)
+ * - No Node-only APIs, so the browser build of the pixel pipeline can use it too
+ */
+
+const now = typeof performance !== 'undefined' && performance.now
+  ? () => performance.now()
+  : () => Date.now();
+
+/**
+ * A timer: time(stage, fn) runs fn and records how long it took (awaiting it when it returns
+ * a promise); toJSON() gives { stage: milliseconds } rounded to 0.1 ms, in first-run order.
+ */
+function createStageTimer() {
+  const stages = new Map();
+  const add = (stage, ms) => stages.set(stage, (stages.get(stage) || 0) + ms);
+
+  return {
+    add,
+    time(stage, fn) {
+      const start = now();
+      let result;
+      try {
+        result = fn();
+      } catch (err) {
+        add(stage, now() - start);
+        throw err;
+      }
+      if (result && typeof result.then === 'function') {
+        return result.finally(() => add(stage, now() - start));
+      }
+      add(stage, now() - start);
+      return result;
+    },
+    toJSON() {
+      const timings = {};
+      for (const [stage, ms] of stages) timings[stage] = Math.round(ms * 10) / 10;
+      return timings;
+    }
+  };
+}
+
+module.exports = { createStageTimer };
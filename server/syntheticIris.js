@@ -0,0 +1,129 @@
+/**
+ * Synthetic eye images with known ground truth, for offline evaluation and tests:
+ * - Sclera, skin above and below (eyelids), an iris with radial striations and seeded noise,
+ *   a dark pupil and an optional specular highlight
+ * - Iris colors can vary from the pupil outward (e.g. a brown collarette around a green iris)
+ * - Same spec and seed always produce the same image
+ */
+
+const sharp = require('sharp');
+const { hexToRgb, rgbToHex, rgbToLab } = require('./colorSpace');
+const { createRandom } = require('./colorClustering');
+
+const DEFAULTS = {
+  width: 480,
+  height: 360,
+  irisRadius: 110,
+  pupilRatio: 0.32,
+  scleraHex: '#E4DCD6',
+  skinHex: '#C49680',
+  pupilHex: '#0E0E10',
+  striation: 0.08,   // relative brightness swing of the radial fibres
+  noise: 6,          // per-channel noise amplitude (0-255)
+  highlight: true,
+  seed: 7
+};
+
+// Labeled fixtures: one per general category, with zones as [fromRadialFraction, hex]
+const SYNTHETIC_CASES = [
+  { id: 'blue', category: 'blue', zones: [[0, '#4A75A9']] },
+  { id: 'light-blue', category: 'blue', zones: [[0, '#7FA3C8']] },
+  { id: 'green', category: 'green', zones: [[0, '#5A8A4E']] },
+  { id: 'brown', category: 'brown', zones: [[0, '#6B4A2E']] },
+  { id: 'dark-brown', category: 'brown', zones: [[0, '#4A3222']] },
+  { id: 'hazel', category: 'hazel', zones: [[0, '#7A5530'], [0.45, '#6E8A4A']] },
+  { id: 'gray', category: 'gray', zones: [[0, '#8A9096']] },
+  { id: 'amber', category: 'amber', zones: [[0, '#A87A2A']] },
+  { id: 'violet', category: 'violet', zones: [[0, '#8A5EAE']] }
+];
+
+function zoneColor(zones, radial) {
+  let color = zones[0][1];
+  for (const [from, hex] of zones) {
+    if (radial >= from) color = hex;
+  }
+  return hexToRgb(color);
+}
+
+/**
+ * Render a synthetic eye. spec: { zones: [[fromRadial, hex]], ...DEFAULTS overrides }.
+ * Resolves to { buffer (JPEG), groundTruth: { hex, lab, pupil, iris } } with the
+ * mean iris color actually drawn (before JPEG compression) and circles in image pixels.
+ */
+async function generateSyntheticEye(spec) {
+  const s = { ...DEFAULTS, ...spec };
+  const random = createRandom(s.seed);
+  const { width, height, irisRadius } = s;
+  const cx = Math.round(width * 0.54);
+  const cy = Math.round(height * 0.53);
+  const pupilRadius = irisRadius * s.pupilRatio;
+  const sclera = hexToRgb(s.scleraHex);
+  const skin = hexToRgb(s.skinHex);
+  const pupil = hexToRgb(s.pupilHex);
+  const lidTop = cy - irisRadius * 0.9;
+  const lidBottom = cy + irisRadius * 0.9;
+  const data = Buffer.alloc(width * height * 3);
+  const sum = { r: 0, g: 0, b: 0, n: 0 };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const d = Math.hypot(x - cx, y - cy);
+      let c = sclera;
+      let drawnIris = false;
+      if (d < irisRadius) {
+        const radial = Math.max(0, (d - pupilRadius) / (irisRadius - pupilRadius));
+        const base = zoneColor(s.zones, radial);
+        const angle = Math.atan2(y - cy, x - cx);
+        const fibre = 1 + s.striation * Math.sin(angle * 48 + radial * 3);
+        const jitter = () => (random() * 2 - 1) * s.noise;
+        c = { r: base.r * fibre + jitter(), g: base.g * fibre + jitter(), b: base.b * fibre + jitter() };
+        drawnIris = d >= pupilRadius;
+      }
+      if (d < pupilRadius) c = pupil;
+      // Eyelids: skin above the upper lid curve and below the lower one
+      const curve = 0.0008 * (x - cx) * (x - cx);
+      if (y < lidTop + curve || y > lidBottom - curve) {
+        c = skin;
+        drawnIris = false;
+      }
+      if (s.highlight && Math.hypot(x - cx + irisRadius * 0.35, y - cy + irisRadius * 0.3) < irisRadius * 0.08) {
+        c = { r: 255, g: 255, b: 255 };
+        drawnIris = false;
+      }
+      const i = (y * width + x) * 3;
+      data[i] = Math.max(0, Math.min(255, Math.round(c.r)));
+      data[i + 1] = Math.max(0, Math.min(255, Math.round(c.g)));
+      data[i + 2] = Math.max(0, Math.min(255, Math.round(c.b)));
+      if (drawnIris) {
+        sum.r += data[i]; sum.g += data[i + 1]; sum.b += data[i + 2]; sum.n += 1;
+      }
+    }
+  }
+
+  const buffer = await sharp(data, { raw: { width, height, channels: 3 } }).jpeg({ quality: 92 }).toBuffer();
+  const mean = { r: sum.r / sum.n, g: sum.g / sum.n, b: sum.b / sum.n };
+  return {
+    buffer,
+    groundTruth: {
+      hex: rgbToHex(mean.r, mean.g, mean.b),
+      lab: rgbToLab(mean.r, mean.g, mean.b),
+      pupil: { cx, cy, r: Math.round(pupilRadius) },
+      iris: { cx, cy, r: irisRadius }
+    }
+  };
+}
+
+/**
+ * Render every SYNTHETIC_CASES entry as evaluation items:
+ * [{ name, buffer, category, referenceHex }]
+ */
+async function generateSyntheticSuite(cases = SYNTHETIC_CASES, overrides = {}) {
+  const items = [];
+  for (const c of cases) {
+    const { buffer, groundTruth } = await generateSyntheticEye({ ...overrides, zones: c.zones });
+    items.push({ name: c.id, buffer, category: c.category, referenceHex: groundTruth.hex });
+  }
+  return items;
+}
+
+module.exports = { generateSyntheticEye, generateSyntheticSuite, SYNTHETIC_CASES };
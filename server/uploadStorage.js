@@ -0,0 +1,82 @@
+/**
+ * Multer storage that keeps files in memory like multer.memoryStorage, with limits checked
+ * while a file streams in rather than after it has been buffered:
+ * - fieldLimits caps the bytes of each file by field name (fileSize in multer's limits applies
+ *   to every field alike)
+ * - maxTotalBytes caps the bytes of all files of one request together
+ * Going over a limit fails the upload with that limit's error at once; the rest of the request
+ * is not read, and the connection is closed once the error has been answered.
+ */
+
+const { ApiError } = require('./apiErrors');
+
+const TOTAL_BYTES = Symbol('uploadedBytes');
+
+class LimitedMemoryStorage {
+  constructor({ fieldLimits = {}, maxTotalBytes = Infinity } = {}) {
+    this.fieldLimits = fieldLimits;
+    this.maxTotalBytes = maxTotalBytes;
+  }
+
+  _handleFile(req, file, cb) {
+    const maxBytes = this.fieldLimits[file.fieldname] || Infinity;
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    const fail = err => {
+      failed = true;
+      chunks.length = 0;
+      file.stream.unpipe();
+      file.stream.removeAllListeners('data');
+      file.stream.resume();
+      // Nothing else is read from this request; close the connection after the error reply
+      if (req.res) req.res.set('Connection', 'close');
+      cb(err);
+    };
+    file.stream.on('data', chunk => {
+      if (failed) return;
+      size += chunk.length;
+      req[TOTAL_BYTES] = (req[TOTAL_BYTES] || 0) + chunk.length;
+      if (size > maxBytes) {
+        return fail(new ApiError(413, 'IMAGE_TOO_LARGE', `Image "${file.originalname}" is larger than ${maxBytes} bytes`));
+      }
+      if (req[TOTAL_BYTES] > this.maxTotalBytes) {
+        return fail(new ApiError(413, 'PAYLOAD_TOO_LARGE', `Request body is larger than ${this.maxTotalBytes} bytes`));
+      }
+      chunks.push(chunk);
+    });
+    file.stream.on('end', () => {
+      if (failed) return;
+      const buffer = Buffer.concat(chunks, size);
+      cb(null, { buffer, size });
+    });
+  }
+
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    cb(null);
+  }
+}
+
+/**
+ * Storage engine for multer({ storage }); fieldLimits maps field names to their maximum bytes
+ */
+function limitedMemoryStorage(options) {
+  return new LimitedMemoryStorage(options);
+}
+
+/**
+ * Middleware answering 413 PAYLOAD_TOO_LARGE before reading a body whose declared length is over maxBytes
+ */
+function rejectLargeBodies(maxBytes) {
+  return (req, res, next) => {
+    const length = Number(req.headers['content-length']);
+    if (length > maxBytes) {
+      res.set('Connection', 'close');
+      return next(new ApiError(413, 'PAYLOAD_TOO_LARGE', `Request body is larger than ${maxBytes} bytes`));
+    }
+    next();
+  };
+}
+
+module.exports = { limitedMemoryStorage, rejectLargeBodies };
@@ -0,0 +1,107 @@
+/**
+ * Minimal zip reader for batch uploads (no extra dependency):
+ * - Reads the central directory and inflates stored or deflated entries with zlib
+ * - Skips directories, macOS resource forks and hidden files
+ * - Enforces entry count and uncompressed size limits so a small archive cannot expand without bound
+ * Zip64, encryption and multi-disk archives are rejected.
+ */
+
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT = 0xffff;
+
+/**
+ * Thrown for archives that cannot be read or exceed the limits
+ */
+class ZipArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipArchiveError';
+  }
+}
+
+function findEndOfCentralDirectory(buffer) {
+  const stop = Math.max(0, buffer.length - EOCD_MIN_SIZE - MAX_COMMENT);
+  for (let i = buffer.length - EOCD_MIN_SIZE; i >= stop; i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+  }
+  return -1;
+}
+
+function isSkipped(name) {
+  const base = name.split('/').pop();
+  return name.endsWith('/') || name.startsWith('__MACOSX/') || base.startsWith('.') || base.length === 0;
+}
+
+/**
+ * Quick check for the local file header signature ("PK\x03\x04")
+ */
+function isZip(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+}
+
+/**
+ * Extract file entries. Returns [{ name, buffer }] in archive order.
+ * Options: { maxEntries, maxEntryBytes, maxTotalBytes, filter(name) }.
+ */
+function extractZip(buffer, { maxEntries = 500, maxEntryBytes = 10 * 1024 * 1024, maxTotalBytes = 200 * 1024 * 1024, filter = () => true } = {}) {
+  const eocd = buffer.length >= EOCD_MIN_SIZE ? findEndOfCentralDirectory(buffer) : -1;
+  if (eocd < 0) throw new ZipArchiveError('Not a zip archive (end of central directory not found)');
+  if (buffer.readUInt16LE(eocd + 4) !== 0 || buffer.readUInt16LE(eocd + 6) !== 0) {
+    throw new ZipArchiveError('Multi-disk zip archives are not supported');
+  }
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new ZipArchiveError('Zip64 archives are not supported');
+  }
+
+  const entries = [];
+  let total = 0;
+  let offset = directoryOffset;
+  for (let n = 0; n < entryCount; n++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new ZipArchiveError('Corrupt zip central directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (isSkipped(name) || !filter(name)) continue;
+    if (flags & 0x1) throw new ZipArchiveError(`Encrypted zip entry "${name}" is not supported`);
+    if (method !== 0 && method !== 8) throw new ZipArchiveError(`Zip entry "${name}" uses unsupported compression method ${method}`);
+    if (entries.length >= maxEntries) throw new ZipArchiveError(`Zip archive has more than ${maxEntries} files`);
+    if (size > maxEntryBytes) throw new ZipArchiveError(`Zip entry "${name}" is larger than ${maxEntryBytes} bytes`);
+    total += size;
+    if (total > maxTotalBytes) throw new ZipArchiveError(`Zip archive expands to more than ${maxTotalBytes} bytes`);
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+      throw new ZipArchiveError(`Corrupt zip entry "${name}"`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (data.length !== compressedSize) throw new ZipArchiveError(`Truncated zip entry "${name}"`);
+    let content;
+    try {
+      content = method === 0 ? Buffer.from(data) : zlib.inflateRawSync(data, { maxOutputLength: maxEntryBytes });
+    } catch (err) {
+      throw new ZipArchiveError(`Could not inflate zip entry "${name}": ${err.message}`);
+    }
+    if (content.length !== size) throw new ZipArchiveError(`Zip entry "${name}" size does not match its header`);
+    entries.push({ name, buffer: content });
+  }
+  return entries;
+}
+
+module.exports = { extractZip, isZip, ZipArchiveError };
@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { createApp } = require('../server/index');
+const { createLogger } = require('../server/logger');
+const { createMetrics } = require('../server/metrics');
+const { createScanStore, setScanStore } = require('../server/scanStore');
+const { generateSyntheticEye } = require('../server/syntheticIris');
+const { analyzeEyeColor, decodeForAnalysis } = require('../server/colorAnalyzer');
+const { locateEyes } = require('../server/eyeLocator');
+const { renderDebugOverlay } = require('../server/debugOverlay');
+const { createAnalysisPool, AnalysisQueueFullError } = require('../server/analysisPool');
+const { registerPalette } = require('../server/paletteRegistry');
+const { createStageTimer } = require('../server/stageTimer');
+
+let pool;
+let eye;
+
+before(async () => {
+  setScanStore(createScanStore({ driver: 'memory' }));
+  eye = (await generateSyntheticEye({ zones: [[0, '#4A75A9']], seed: 1 })).buffer;
+  pool = createAnalysisPool({ size: 1, maxQueue: 1 });
+});
+
+after(() => pool.close());
+
+async function listen(app) {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('a worker gives the same result as the request thread, with its stage timings', async () => {
+  const inline = await analyzeEyeColor(eye, { seed: 1 });
+  const timer = createStageTimer();
+  const pooled = await analyzeEyeColor(eye, { seed: 1, pool, timer });
+  assert.deepEqual(pooled, inline);
+  for (const stage of ['decode', 'resize', 'pupilSearch', 'sampling', 'clustering', 'irisMap']) {
+    assert.ok(stage in timer.toJSON(), stage);
+  }
+
+  // Uploaded palettes are only in this thread's registry
+  registerPalette({
+    id: 'pool-test',
+    name: 'Pool test',
+    colors: [{ name: 'Test Blue', hex: '#4A75A9' }, { name: 'Test Brown', hex: '#6B4226' }]
+  });
+  const withPalette = await analyzeEyeColor(eye, { seed: 1, pool, palette: 'pool-test' });
+  assert.equal(withPalette.palette.id, 'pool-test');
+  assert.equal(withPalette.pantoneMatches[0].name, 'Test Blue');
+
+  await assert.rejects(analyzeEyeColor(eye, { pool, numColors: 99 }), RangeError);
+});
+
+test('eye location and the debug overlay run on a worker with the same results', async () => {
+  const small = await sharp(eye).resize(120).png().toBuffer();
+  const face = await sharp({ create: { width: 640, height: 360, channels: 3, background: '#D9A88A' } })
+    .composite([{ input: small, left: 110, top: 120 }, { input: small, left: 410, top: 120 }])
+    .png()
+    .toBuffer();
+  const eyes = await locateEyes(face);
+  assert.ok(eyes);
+  assert.deepEqual(await locateEyes(face, { pool }), eyes);
+
+  const inline = await renderDebugOverlay(eye, { seed: 1 });
+  const pooled = await renderDebugOverlay(eye, { seed: 1, pool });
+  assert.deepEqual(pooled.stats, inline.stats);
+  assert.ok(pooled.png.equals(inline.png));
+});
+
+test('frames queue while the worker is busy and are refused once the queue is full', async () => {
+  const { data, size } = await decodeForAnalysis(eye);
+  const running = [pool.run(data, size.width, size.height), pool.run(data, size.width, size.height)];
+  assert.deepEqual(pool.stats(), { workers: 1, busy: 1, queued: 1, maxQueue: 1 });
+  await assert.rejects(pool.run(data, size.width, size.height), err => {
+    assert.ok(err instanceof AnalysisQueueFullError);
+    assert.equal(err.code, 'SERVER_BUSY');
+    return true;
+  });
+  // The pool works on copies; the caller's frame is untouched
+  assert.ok(data.some(value => value !== 0));
+  const results = await Promise.all(running);
+  assert.deepEqual(results[0].breakdown, results[1].breakdown);
+  assert.equal(pool.stats().queued, 0);
+});
+
+test('a full queue is answered 503 SERVER_BUSY with Retry-After, and reported in metrics and health', async () => {
+  const busyPool = {
+    run: () => Promise.reject(new AnalysisQueueFullError(8)),
+    stats: () => ({ workers: 2, busy: 2, queued: 8, maxQueue: 8 })
+  };
+  const metrics = createMetrics();
+  const { server, base } = await listen(createApp({
+    rateLimit: false,
+    logger: createLogger({ level: 'silent' }),
+    metrics,
+    analysisPool: busyPool
+  }));
+  try {
+    const res = await fetch(`${base}/api/v1/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ image: eye.toString('base64') })
+    });
+    assert.equal(res.status, 503);
+    assert.equal(res.headers.get('retry-after'), '1');
+    const { error } = await res.json();
+    assert.equal(error.code, 'SERVER_BUSY');
+    assert.equal(error.retryAfter, 1);
+
+    const text = await (await fetch(`${base}/metrics`)).text();
+    assert.match(text, /eye_color_analysis_workers\{state="busy"\} 2/);
+    assert.match(text, /eye_color_analysis_queue_depth 8/);
+
+    const health = await (await fetch(`${base}/api/v1/health`)).json();
+    assert.equal(health.checks.workers.ok, true);
+    assert.equal(health.checks.workers.queued, 8);
+  } finally {
+    server.close();
+  }
+});
+
+test('closing the pool fails queued analyses and stops the workers', async () => {
+  const closing = createAnalysisPool({ size: 1, maxQueue: 2 });
+  const { data, size } = await decodeForAnalysis(eye);
+  const running = assert.rejects(closing.run(data, size.width, size.height), /closed/);
+  const queued = assert.rejects(closing.run(data, size.width, size.height), /closed/);
+  await closing.close();
+  await Promise.all([running, queued]);
+  assert.equal(closing.stats().workers, 0);
+  await assert.rejects(closing.run(data, size.width, size.height), /closed/);
+});
@@ -0,0 +1,245 @@
+const { test, before, after } = require('node:test');
+const http = require('http');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { createApp } = require('../server/index');
+const { createLogger } = require('../server/logger');
+const { createScanStore, setScanStore } = require('../server/scanStore');
+const { generateSyntheticEye } = require('../server/syntheticIris');
+const { describeError } = require('../server/apiErrors');
+const { InvalidOptionError } = require('../server/optionError');
+const { PaletteRegistryError } = require('../server/paletteRegistry');
+const { MAX_IMAGE_BYTES } = require('../server/imageValidation');
+
+let eye;
+const servers = [];
+
+// A local instance on a free port; closed after the tests
+async function start(config) {
+  const server = createApp({ logger: createLogger({ level: 'silent' }), ...config }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  servers.push(server);
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+function post(base, path, body, headers = {}) {
+  return fetch(base + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+before(async () => {
+  setScanStore(createScanStore({ driver: 'memory' }));
+  eye = (await generateSyntheticEye({ zones: [[0, '#4A75A9']], seed: 1 })).buffer;
+});
+
+after(() => {
+  for (const server of servers) server.close();
+});
+
+// Streams a multipart batch with one image part of chunks MB, never ending the request: only an
+// answer given while the upload is still open resolves. Resolves { status, body, sentBytes }.
+function streamBatch(base, { chunks, headers = {} }) {
+  return new Promise((resolve, reject) => {
+    const boundary = 'batch-boundary';
+    const req = http.request(base + '/api/analyze/batch', {
+      method: 'POST',
+      headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, ...headers }
+    });
+    let sentBytes = 0;
+    let answered = false;
+    const fail = err => {
+      req.destroy();
+      reject(err);
+    };
+    req.on('response', res => {
+      answered = true;
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        req.destroy();
+        resolve({ status: res.statusCode, body: JSON.parse(text), sentBytes });
+      });
+    });
+    // The server closes the connection after answering; writes racing that are expected to fail
+    req.on('error', err => { if (!answered) fail(err); });
+    req.write(`--${boundary}\r\nContent-Disposition: form-data; name="images"; filename="big.jpg"\r\nContent-Type: image/jpeg\r\n\r\n`);
+    const chunk = Buffer.alloc(1024 * 1024);
+    let written = 0;
+    const writeNext = () => {
+      if (answered || req.destroyed) return;
+      if (written === chunks) {
+        setTimeout(() => fail(new Error('no answer while the upload was streaming')), 5000).unref();
+        return;
+      }
+      written++;
+      sentBytes += chunk.length;
+      if (req.write(chunk)) setImmediate(writeNext);
+      else req.once('drain', writeNext);
+    };
+    writeNext();
+  });
+}
+
+test('errors are { error: { code, message } } with stable codes', async () => {
+  const base = await start({ rateLimit: false });
+  const cases = [
+    [await post(base, '/api/analyze', {}), 400, 'MISSING_IMAGE'],
+    [await post(base, '/api/analyze', '{"image": '), 400, 'INVALID_JSON'],
+    [await post(base, '/api/analyze', { image: 'data:text/html,<b>' }), 400, 'INVALID_IMAGE_DATA'],
+    [await post(base, '/api/analyze', { image: Buffer.from('GIF89a, not allowed here').toString('base64') }), 415, 'UNSUPPORTED_IMAGE_TYPE'],
+    [await post(base, '/api/analyze', { image: eye.toString('base64'), metric: 'nope' }), 400, 'INVALID_OPTION'],
+    [await fetch(base + '/api/scans/missing', { headers: { 'X-Owner-Token': 'm'.repeat(43) } }), 404, 'SCAN_NOT_FOUND'],
+    [await fetch(base + '/api/scans/missing'), 400, 'OWNER_REQUIRED'],
+    [await fetch(base + '/api/nothing-here'), 404, 'NOT_FOUND']
+  ];
+  for (const [res, status, code] of cases) {
+    const body = await res.json();
+    assert.equal(res.status, status, code);
+    assert.equal(body.error.code, code);
+    assert.equal(typeof body.error.message, 'string');
+  }
+
+  const blurred = await sharp(eye).blur(12).jpeg().toBuffer();
+  const res = await post(base, '/api/analyze', { image: 'data:image/jpeg;base64,' + blurred.toString('base64') });
+  const body = await res.json();
+  assert.equal(res.status, 422);
+  assert.equal(body.error.code, 'IMAGE_QUALITY');
+  assert.ok(body.error.reasons.some(r => r.code === 'TOO_BLURRY'));
+});
+
+test('scans are only listed, returned and deleted for the holder of their owner token', async () => {
+  const base = await start({ rateLimit: false });
+  const image = eye.toString('base64');
+  const mine = await (await post(base, '/api/v1/analyze', { image, save: true })).json();
+  assert.match(mine.ownerToken, /^[A-Za-z0-9_-]{43}$/);
+  const owner = { 'X-Owner-Token': mine.ownerToken };
+  const again = await (await post(base, '/api/v1/analyze', { image }, owner)).json();
+  assert.equal(again.ownerToken, undefined, 'a known token is kept');
+  const labeled = await (await post(base, '/api/v1/analyze', { image, userId: 'alice' })).json();
+  assert.notEqual(labeled.ownerToken, mine.ownerToken);
+  // A token the server never issued is replaced, so clients cannot pick their own
+  const madeUp = 'a'.repeat(43);
+  const replaced = await (await post(base, '/api/v1/analyze', { image }, { 'X-Owner-Token': madeUp })).json();
+  assert.notEqual(replaced.ownerToken, madeUp);
+  const anonymous = await post(base, '/api/v1/analyze', { image });
+  assert.equal((await anonymous.json()).scanId, undefined);
+  assert.match(anonymous.headers.get('retention-policy'), /result=discarded/);
+
+  const unowned = await fetch(`${base}/api/v1/scans?userId=alice`);
+  assert.equal(unowned.status, 400);
+  assert.equal((await unowned.json()).error.code, 'OWNER_REQUIRED');
+  const list = await (await fetch(`${base}/api/v1/scans`, { headers: owner })).json();
+  assert.deepEqual(list.scans.map(scan => scan.id), [again.scanId, mine.scanId]);
+  assert.equal('ownerHash' in list.scans[0], false);
+  const malformed = await fetch(`${base}/api/v1/scans`, { headers: { 'X-Owner-Token': 'alice' } });
+  assert.equal((await malformed.json()).error.code, 'INVALID_OPTION');
+
+  const scanPath = `${base}/api/v1/scans/${mine.scanId}`;
+  const other = { 'X-Owner-Token': labeled.ownerToken };
+  for (const res of [
+    await fetch(scanPath, { headers: other }),
+    await fetch(`${scanPath}/export.json`, { headers: other }),
+    await fetch(scanPath, { method: 'DELETE', headers: other }),
+    await fetch(scanPath, { headers: { 'X-Owner-Token': madeUp } })
+  ]) {
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error.code, 'SCAN_NOT_FOUND');
+  }
+  assert.equal((await fetch(`${scanPath}?userId=alice`, { method: 'DELETE' })).status, 400);
+  const scan = await fetch(scanPath, { headers: owner });
+  assert.equal(scan.status, 200);
+  assert.equal('ownerHash' in await scan.json(), false);
+  assert.equal((await fetch(scanPath, { method: 'DELETE', headers: owner })).status, 204);
+  assert.equal((await fetch(scanPath, { headers: owner })).status, 404);
+});
+
+test('metric names inherited from Object.prototype are rejected, not looked up', async () => {
+  const base = await start({ rateLimit: false });
+  for (const metric of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    const res = await post(base, '/api/v1/analyze', { image: eye.toString('base64'), metric });
+    const body = await res.json();
+    assert.equal(res.status, 400, metric);
+    assert.equal(body.error.code, 'INVALID_OPTION', metric);
+  }
+});
+
+test('only InvalidOptionError is a client mistake; other RangeErrors stay internal', () => {
+  const invalid = describeError(new InvalidOptionError('numColors must be an integer between 1 and 24'));
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.error, { code: 'INVALID_OPTION', message: 'numColors must be an integer between 1 and 24' });
+
+  const internal = describeError(new RangeError('Maximum call stack size exceeded'), 'Analysis failed.');
+  assert.equal(internal.status, 500);
+  assert.deepEqual(internal.body.error, { code: 'INTERNAL_ERROR', message: 'Analysis failed.' });
+});
+
+test('a taken palette id is a conflict; the upload cap is not retryable', () => {
+  assert.equal(describeError(new PaletteRegistryError('PALETTE_EXISTS', 'taken')).status, 409);
+  const limit = describeError(new PaletteRegistryError('PALETTE_LIMIT', 'At most 50 palettes can be uploaded'));
+  assert.equal(limit.status, 507);
+  assert.equal(limit.body.error.code, 'PALETTE_LIMIT');
+  assert.equal(limit.body.error.retryAfter, undefined);
+});
+
+test('images are checked by magic bytes and decoded size', async () => {
+  const base = await start({ rateLimit: false, imageLimits: { maxPixels: 100 * 100 } });
+  // Declared types are not trusted: text labeled image/png is refused, a PNG labeled JPEG gets to the size check
+  const png = await sharp(eye).png().toBuffer();
+  const form = new FormData();
+  form.append('image', new Blob([Buffer.from('plain text, not an image')], { type: 'image/png' }), 'eye.png');
+  let res = await fetch(base + '/api/analyze', { method: 'POST', body: form });
+  assert.equal(res.status, 415);
+  assert.equal((await res.json()).error.code, 'UNSUPPORTED_IMAGE_TYPE');
+
+  res = await post(base, '/api/analyze', { image: 'data:image/jpeg;base64,' + png.toString('base64') });
+  assert.equal(res.status, 413);
+  assert.equal((await res.json()).error.code, 'IMAGE_DIMENSIONS_TOO_LARGE');
+});
+
+test('batch uploads are refused at 413 while streaming, before they are buffered', async () => {
+  const base = await start({ rateLimit: false });
+  const oversized = await streamBatch(base, { chunks: 4 * MAX_IMAGE_BYTES / (1024 * 1024) });
+  assert.equal(oversized.status, 413);
+  assert.equal(oversized.body.error.code, 'IMAGE_TOO_LARGE');
+  assert.ok(oversized.sentBytes < 4 * MAX_IMAGE_BYTES);
+
+  const declared = await streamBatch(base, { chunks: 1, headers: { 'Content-Length': String(1024 ** 4) } });
+  assert.equal(declared.status, 413);
+  assert.equal(declared.body.error.code, 'PAYLOAD_TOO_LARGE');
+});
+
+test('valid images are analyzed; truncated ones are rejected', async () => {
+  const base = await start({ rateLimit: false });
+  let res = await post(base, '/api/analyze', { image: eye.toString('base64'), retention: 'none' });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).generalColor.name, 'Blue');
+
+  res = await post(base, '/api/analyze', { image: eye.subarray(0, eye.length / 2).toString('base64') });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error.code, 'INVALID_IMAGE');
+});
+
+test('per-IP rate limit answers 429 with Retry-After', async () => {
+  const base = await start({ rateLimit: { max: 3, analyzeMax: 2, windowMs: 60000 } });
+  const statuses = [];
+  for (let i = 0; i < 3; i++) statuses.push((await post(base, '/api/analyze', {})).status);
+  assert.deepEqual(statuses, [400, 400, 429]);
+  const limited = await post(base, '/api/analyze', {});
+  assert.equal(limited.headers.get('retry-after'), '60');
+  assert.equal((await limited.json()).error.code, 'RATE_LIMITED');
+
+  const health = await fetch(base + '/api/health');
+  assert.equal(health.status, 429, 'the /api budget is shared');
+});
+
+test('CORS headers only for allowlisted origins', async () => {
+  const base = await start({ rateLimit: false, corsOrigins: ['https://allowed.example'] });
+  const allowed = await fetch(base + '/api/health', { headers: { Origin: 'https://allowed.example' } });
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://allowed.example');
+  const other = await fetch(base + '/api/health', { headers: { Origin: 'https://evil.example' } });
+  assert.equal(other.headers.get('access-control-allow-origin'), null);
+  assert.equal(other.status, 200);
+});
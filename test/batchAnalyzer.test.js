@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeBatch } = require('../server/batchAnalyzer');
+const { createLogger } = require('../server/logger');
+
+// An item whose file cannot be read, like a CLI path that vanished mid-batch
+const unreadable = {
+  name: 'gone.jpg',
+  get buffer() {
+    throw new Error("ENOENT: no such file or directory, open 'gone.jpg'");
+  }
+};
+
+test('unexpected item errors are logged; the API hides their message, the CLI keeps it', async () => {
+  const lines = [];
+  const log = createLogger({ level: 'info', write: line => lines.push(JSON.parse(line)) });
+  const [item] = await analyzeBatch([unreadable], {}, { log });
+  assert.equal(item.status, 'error');
+  assert.deepEqual(item.error, { status: 500, code: 'INTERNAL_ERROR', message: 'Analysis failed.' });
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].level, 'error');
+  assert.equal(lines[0].item, 'gone.jpg');
+  assert.match(JSON.stringify(lines[0].err), /ENOENT/);
+
+  const [detailed] = await analyzeBatch([unreadable], {}, { detailedErrors: true });
+  assert.match(detailed.error.message, /^ENOENT: no such file/);
+});
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { analyzeBurst } = require('../server/burstAnalyzer');
+const { ImageQualityError } = require('../server/colorAnalyzer');
+const { generateSyntheticEye } = require('../server/syntheticIris');
+
+const eye = async (hex, seed) => (await generateSyntheticEye({ zones: [[0, hex]], seed })).buffer;
+
+test('burst consensus drops blurred and off-color frames', async () => {
+  const frames = [await eye('#4A75A9', 1), await eye('#4A75A9', 2), await eye('#4A75A9', 3), await eye('#6B4A2E', 4)];
+  frames.push(await sharp(frames[0]).blur(12).jpeg().toBuffer());
+  const result = await analyzeBurst(frames);
+
+  assert.equal(result.generalColor.name, 'Blue');
+  assert.equal(result.burst.usedCount, 3);
+  assert.deepEqual(result.burst.frames.map(f => f.discarded), [null, null, null, 'color', 'quality']);
+  assert.deepEqual(result.burst.frames[4].reasons, ['TOO_BLURRY']);
+  assert.ok(result.burst.variance.maxDeltaE < 2);
+});
+
+test('burst with no usable frame fails the quality gate', async () => {
+  const blurred = await sharp(await eye('#4A75A9', 1)).blur(12).jpeg().toBuffer();
+  await assert.rejects(analyzeBurst([blurred, blurred]), ImageQualityError);
+  await assert.rejects(analyzeBurst([]), RangeError);
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { createApp } = require('../server/index');
+const { createLogger } = require('../server/logger');
+const { createClient, EyeColorApiError } = require('../client/eye-color-client');
+const { createScanStore, setScanStore } = require('../server/scanStore');
+const { generateSyntheticEye } = require('../server/syntheticIris');
+
+let client;
+let server;
+let eye;
+
+before(async () => {
+  setScanStore(createScanStore({ driver: 'memory' }));
+  eye = (await generateSyntheticEye({ zones: [[0, '#4A75A9']], seed: 1 })).buffer;
+  server = createApp({ rateLimit: false, logger: createLogger({ level: 'silent' }) }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  client = createClient({ baseUrl: `http://127.0.0.1:${server.address().port}/` });
+});
+
+after(() => server.close());
+
+test('analyze accepts bytes, Blobs and data URLs', async () => {
+  const fromBytes = await client.analyze(eye, { retention: 'none' });
+  assert.equal(fromBytes.generalColor.name, 'Blue');
+
+  const fromBlob = await client.analyze(new Blob([eye]), { sessionId: 'client-test' });
+  assert.equal(fromBlob.generalColor.hex, fromBytes.generalColor.hex);
+  assert.equal(typeof fromBlob.scanId, 'string');
+
+  const fromDataUrl = await client.analyze('data:image/jpeg;base64,' + eye.toString('base64'), { retention: 'none', numColors: 3 });
+  assert.equal(fromDataUrl.generalColor.name, 'Blue');
+  assert.ok(fromDataUrl.breakdown.length <= 3);
+});
+
+test('analyzeBatch and analyzeBurst', async () => {
+  const blurred = await sharp(eye).blur(12).jpeg().toBuffer();
+  const batch = await client.analyzeBatch([{ name: 'a.jpg', data: eye }, { name: 'b.jpg', data: blurred }]);
+  assert.equal(batch.count, 2);
+  assert.deepEqual(batch.results.map(r => [r.name, r.status]), [['a.jpg', 'ok'], ['b.jpg', 'error']]);
+  assert.equal(batch.results[1].error.code, 'IMAGE_QUALITY');
+
+  const burst = await client.analyzeBurst([eye, eye], { retention: 'none' });
+  assert.equal(burst.burst.frameCount, 2);
+});
+
+test('palette calls', async () => {
+  const palettes = await client.listPalettes();
+  assert.ok(palettes.some(p => p.id === 'pantone'));
+  const created = await client.registerPalette({ id: 'client-test', name: 'Client', colors: [{ name: 'Sky', hex: '#87CEEB' }] });
+  assert.equal(created.colorCount, 1);
+  const palette = await client.getPalette('client-test');
+  assert.deepEqual(palette.colors, [{ name: 'Sky', hex: '#87CEEB' }]);
+});
+
+test('failures reject with EyeColorApiError', async () => {
+  await assert.rejects(client.getPalette('nope'), err => {
+    assert.ok(err instanceof EyeColorApiError);
+    assert.equal(err.status, 404);
+    assert.equal(err.code, 'PALETTE_NOT_FOUND');
+    return true;
+  });
+  const blurred = await sharp(eye).blur(12).jpeg().toBuffer();
+  await assert.rejects(client.analyze(blurred), err => {
+    assert.equal(err.code, 'IMAGE_QUALITY');
+    assert.ok(err.details.reasons.some(r => r.code === 'TOO_BLURRY'));
+    return true;
+  });
+  await assert.rejects(client.registerPalette({ id: 'Bad Id' }), err => {
+    assert.equal(err.code, 'INVALID_PALETTE');
+    assert.ok(err.details.details.length > 0);
+    return true;
+  });
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { categorizeBreakdown, classifyEyeColor, colorCategoryDistribution } = require('../server/colorCategories');
+
+const sum = distribution => Object.values(distribution).reduce((a, b) => a + b, 0);
+
+test('each color distribution sums to 1', () => {
+  for (const hex of ['#4A75A9', '#6B4A2E', '#8A9096', '#3C6E71', '#A87A2A', '#8A5EAE', '#B03040', '#000000']) {
+    assert.ok(Math.abs(sum(colorCategoryDistribution(hex)) - 1) < 1e-9, hex);
+  }
+});
+
+test('classifyEyeColor uses the correct hue for blue and green eyes', () => {
+  assert.equal(classifyEyeColor('#4A75A9').name, 'Blue');
+  assert.equal(classifyEyeColor('#5A8A4E').name, 'Green');
+  assert.equal(classifyEyeColor('#6B4A2E').name, 'Brown');
+  assert.equal(classifyEyeColor('#8A9096').name, 'Gray');
+});
+
+test('hues near a band edge split between neighbouring categories', () => {
+  // HSL hue 200: the teal / blue boundary
+  const distribution = colorCategoryDistribution('#5A8AAA');
+  assert.ok(distribution.blue > 0.3 && distribution.blue < 1);
+  assert.ok(distribution.green > 0);
+});
+
+test('brown and green together count as hazel', () => {
+  const result = categorizeBreakdown([{ hex: '#6B4A2E', percentage: 50 }, { hex: '#5A8A4E', percentage: 50 }]);
+  assert.equal(result.category, 'hazel');
+  assert.equal(result.distribution.hazel, 1);
+});
+
+test('close top categories are flagged as ambiguous', () => {
+  const clear = categorizeBreakdown([{ hex: '#4A75A9', percentage: 100 }]);
+  assert.equal(clear.ambiguous, false);
+  const mixed = categorizeBreakdown([{ hex: '#4A75A9', percentage: 50 }, { hex: '#8A9096', percentage: 50 }]);
+  assert.equal(mixed.ambiguous, true);
+  assert.deepEqual([mixed.category, mixed.runnerUp].sort(), ['blue', 'gray']);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { clusterColors, createRandom } = require('../server/colorClustering');
+const { hexToRgb, rgbToLab } = require('../server/colorSpace');
+const { InvalidOptionError } = require('../server/optionError');
+
+function point(r, g, b) {
+  return { lab: rgbToLab(r, g, b), rgb: { r, g, b } };
+}
+
+// Iris-like samples: blue and brown pixels with seeded noise
+function noisySamples(count, seed) {
+  const random = createRandom(seed);
+  const jitter = value => Math.max(0, Math.min(255, Math.round(value + (random() * 2 - 1) * 20)));
+  return Array.from({ length: count }, (_, i) => {
+    const base = hexToRgb(i % 3 ? '#4A75A9' : '#6B4226');
+    return point(jitter(base.r), jitter(base.g), jitter(base.b));
+  });
+}
+
+test('seeded k-means gives the same clusters every run', () => {
+  const samples = noisySamples(600, 5);
+  const first = clusterColors(samples, { k: 6, seed: 11 });
+  assert.ok(first.length > 1);
+  assert.deepEqual(clusterColors(samples, { k: 6, seed: 11 }), first);
+  assert.deepEqual(clusterColors(noisySamples(600, 5), { k: 6, seed: 11 }), first);
+  assert.equal(first.reduce((sum, c) => sum + c.count, 0), 600);
+});
+
+test('median cut splits a two-color input into its two colors', () => {
+  const blue = hexToRgb('#4A75A9');
+  const brown = hexToRgb('#6B4226');
+  const samples = [
+    ...Array.from({ length: 25 }, () => point(brown.r, brown.g, brown.b)),
+    ...Array.from({ length: 25 }, () => point(blue.r, blue.g, blue.b))
+  ];
+  for (const algorithm of ['median-cut', 'kmeans']) {
+    const clusters = clusterColors(samples, { algorithm, k: 2 });
+    assert.equal(clusters.length, 2, algorithm);
+    assert.deepEqual(clusters.map(c => c.count), [25, 25], algorithm);
+    assert.deepEqual(clusters.map(c => c.rgb).sort((p, q) => p.r - q.r), [blue, brown], algorithm);
+    for (const cluster of clusters) assert.ok(cluster.variance < 1e-9, algorithm);
+  }
+
+  // Boxes of a single color are not split further, so asking for more clusters still finds two
+  assert.equal(clusterColors(samples, { algorithm: 'median-cut', k: 8 }).length, 2);
+});
+
+test('an unknown algorithm is an invalid option', () => {
+  assert.throws(() => clusterColors([point(1, 2, 3)], { algorithm: 'dbscan' }), InvalidOptionError);
+});
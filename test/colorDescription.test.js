@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeColor, describeLch } = require('../server/colorDescription');
+const { analyzeEyeColor } = require('../server/colorAnalyzer');
+const { generateSyntheticEye } = require('../server/syntheticIris');
+
+test('typical iris colors get lightness, temperature, chroma and hue words', () => {
+  assert.equal(describeColor('#4A75A9'), 'medium-dark, cool, muted blue');
+  assert.equal(describeColor('#634E34'), 'dark, warm, muted brown');
+  assert.equal(describeColor('#6B8E5A'), 'medium, cool, muted green');
+  assert.equal(describeColor('#708090'), 'medium, cool, grayish blue');
+  assert.equal(describeColor('#5A5C9E'), 'medium-dark, cool, muted violet');
+});
+
+test('grays have no chroma word and a neutral temperature', () => {
+  assert.deepEqual(describeLch({ L: 55, C: 2, h: 250 }), {
+    lightness: 'medium',
+    temperature: 'neutral',
+    chroma: null,
+    hue: 'gray',
+    text: 'medium, neutral gray'
+  });
+  assert.equal(describeColor('#000000'), 'very dark, neutral gray');
+});
+
+test('earth tones are named as browns, ambers and golds rather than dark oranges', () => {
+  assert.equal(describeLch({ L: 40, C: 30, h: 60 }).hue, 'brown');
+  assert.equal(describeLch({ L: 40, C: 70, h: 30 }).hue, 'red');
+  assert.equal(describeLch({ L: 65, C: 40, h: 60 }).hue, 'amber');
+  assert.equal(describeLch({ L: 52, C: 40, h: 90 }).hue, 'olive');
+  assert.equal(describeLch({ L: 75, C: 60, h: 90 }).hue, 'gold');
+});
+
+test('analysis results describe the general color and every shade', async () => {
+  const eye = (await generateSyntheticEye({ zones: [[0, '#4A75A9']], seed: 1 })).buffer;
+  const result = await analyzeEyeColor(eye, { seed: 1 });
+  assert.equal(result.generalColor.description, describeColor(result.generalColor.hex));
+  assert.match(result.generalColor.description, /blue$/);
+  for (const entry of [...result.breakdown, ...result.shadeBreakdown]) {
+    assert.equal(entry.description, describeColor(entry.hex));
+  }
+});
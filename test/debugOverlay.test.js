@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { createApp } = require('../server/index');
+const { createLogger } = require('../server/logger');
+const { createScanStore, setScanStore, getScanStore } = require('../server/scanStore');
+const { generateSyntheticEye } = require('../server/syntheticIris');
+const { renderDebugOverlay, OVERLAY_SCALE, LEGEND_HEIGHT } = require('../server/debugOverlay');
+const { hexToRgb } = require('../server/colorSpace');
+
+let base;
+let server;
+let eye;
+
+before(async () => {
+  setScanStore(createScanStore({ driver: 'memory' }));
+  eye = (await generateSyntheticEye({ zones: [[0, '#4A75A9']], seed: 1 })).buffer;
+  server = createApp({ rateLimit: false, logger: createLogger({ level: 'silent' }) }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('accepted iris pixels are painted in their cluster color inside the sampling radii', async () => {
+  const { png, stats } = await renderDebugOverlay(eye, { seed: 1 });
+  const { pupil, iris } = stats;
+  assert.ok(pupil.r < iris.r);
+  assert.ok(Math.hypot(stats.seed.cx - pupil.cx, stats.seed.cy - pupil.cy) < pupil.r);
+  assert.ok(stats.pixels.accepted > stats.pixels.masked);
+  assert.ok(stats.clusters.length > 0);
+
+  const { data, info } = await sharp(png).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  assert.equal(info.width, 280 * OVERLAY_SCALE);
+  assert.equal(info.height, 280 * OVERLAY_SCALE + LEGEND_HEIGHT);
+
+  // Midway between the two circles on the lateral side, clear of the eyelids
+  const x = Math.round(pupil.cx + (pupil.r + iris.r) / 2) * OVERLAY_SCALE;
+  const y = pupil.cy * OVERLAY_SCALE;
+  const i = (y * info.width + x) * 3;
+  const pixel = { r: data[i], g: data[i + 1], b: data[i + 2] };
+  assert.ok(stats.clusters.some(c => {
+    const rgb = hexToRgb(c.hex);
+    return Math.abs(rgb.r - pixel.r) <= 1 && Math.abs(rgb.g - pixel.g) <= 1 && Math.abs(rgb.b - pixel.b) <= 1;
+  }), JSON.stringify(pixel));
+});
+
+test('POST /api/v1/analyze/debug returns a PNG, skips the quality gate and stores nothing', async () => {
+  const blurred = await sharp(eye).blur(12).jpeg().toBuffer();
+  const res = await fetch(`${base}/api/v1/analyze/debug`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ image: blurred.toString('base64'), numColors: 4 })
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'image/png');
+  assert.equal(res.headers.get('cache-control'), 'no-store');
+  assert.match(res.headers.get('retention-policy'), /result=discarded/);
+  const metadata = await sharp(Buffer.from(await res.arrayBuffer())).metadata();
+  assert.equal(metadata.format, 'png');
+  assert.equal((await getScanStore().list()).total, 0);
+
+  const form = new FormData();
+  form.append('image', new Blob([eye], { type: 'image/jpeg' }), 'eye.jpg');
+  form.append('clustering', 'median-cut');
+  const multipart = await fetch(`${base}/api/v1/analyze/debug`, { method: 'POST', body: form });
+  assert.equal(multipart.status, 200);
+
+  const bad = await fetch(`${base}/api/v1/analyze/debug`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ image: eye.toString('base64'), whiteBalance: 'sepia' })
+  });
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).error.code, 'INVALID_OPTION');
+});
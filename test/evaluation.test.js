@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildReport, evaluate, loadManifest, ManifestError, REJECTED } = require('../server/evaluation');
+const { generateSyntheticEye, generateSyntheticSuite } = require('../server/syntheticIris');
+
+function okResult(name, hex) {
+  return { status: 'ok', result: { generalColor: { name, hex }, breakdown: [{ hex, percentage: 100 }] } };
+}
+
+test('buildReport computes the confusion matrix, precision and recall', () => {
+  const items = [
+    { name: 'a', category: 'blue', referenceHex: '#4A75A9' },
+    { name: 'b', category: 'blue', referenceHex: null },
+    { name: 'c', category: 'gray', referenceHex: null },
+    { name: 'd', category: 'brown', referenceHex: null }
+  ];
+  const results = [
+    okResult('Blue', '#4A75A9'),
+    okResult('Gray', '#8A9096'),
+    okResult('Gray', '#8A9096'),
+    { status: 'error', error: { status: 422, reasons: [{ code: 'TOO_BLURRY' }] } }
+  ];
+  const report = buildReport(items, results);
+
+  assert.equal(report.count, 4);
+  assert.equal(report.rejected, 1);
+  assert.equal(report.accuracy, 0.5);
+  assert.equal(report.confusionMatrix.matrix.blue.blue, 1);
+  assert.equal(report.confusionMatrix.matrix.blue.gray, 1);
+  assert.equal(report.confusionMatrix.matrix.brown[REJECTED], 1);
+  assert.deepEqual(
+    { precision: report.perCategory.blue.precision, recall: report.perCategory.blue.recall },
+    { precision: 1, recall: 0.5 }
+  );
+  assert.equal(report.perCategory.gray.precision, 0.5);
+  assert.equal(report.perCategory.brown.recall, 0);
+  assert.equal(report.perCategory.violet.precision, null);
+  assert.equal(report.deltaE.count, 1);
+  assert.equal(report.deltaE.mean, 0);
+});
+
+test('synthetic fixtures are classified correctly with small color error', async () => {
+  const items = await generateSyntheticSuite();
+  const report = await evaluate(items, {}, { concurrency: 2 });
+  const misses = report.items.filter(r => !r.correct).map(r => `${r.name} -> ${r.predicted}`);
+  assert.deepEqual(misses, []);
+  assert.equal(report.accuracy, 1);
+  assert.ok(report.deltaE.mean < 3, `mean delta E ${report.deltaE.mean}`);
+});
+
+test('synthetic eyes are deterministic for a given seed', async () => {
+  const spec = { zones: [[0, '#4A75A9']], seed: 11 };
+  const first = await generateSyntheticEye(spec);
+  const second = await generateSyntheticEye(spec);
+  assert.ok(first.buffer.equals(second.buffer));
+  assert.equal(first.groundTruth.hex, second.groundTruth.hex);
+});
+
+test('images rejected by the quality gate count as misses', async () => {
+  const { buffer } = await generateSyntheticEye({ zones: [[0, '#4A75A9']], irisRadius: 12 });
+  const report = await evaluate([{ name: 'tiny', buffer, category: 'blue', referenceHex: null }]);
+  assert.equal(report.rejected, 1);
+  assert.equal(report.accuracy, 0);
+  assert.equal(report.items[0].predicted, REJECTED);
+});
+
+test('loadManifest resolves paths and validates entries', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eye-eval-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'eye.jpg'), '');
+    fs.writeFileSync(path.join(dir, 'good.json'), JSON.stringify({ images: [{ file: 'eye.jpg', category: 'Blue', referenceHex: '4a75a9' }] }));
+    const [item] = loadManifest(path.join(dir, 'good.json'));
+    assert.equal(item.file, path.join(dir, 'eye.jpg'));
+    assert.equal(item.category, 'blue');
+    assert.equal(item.referenceHex, '#4A75A9');
+
+    fs.writeFileSync(path.join(dir, 'bad.json'), JSON.stringify([{ file: 'missing.jpg', category: 'teal' }]));
+    assert.throws(() => loadManifest(path.join(dir, 'bad.json')), err => {
+      assert.ok(err instanceof ManifestError);
+      assert.equal(err.errors.length, 2);
+      return true;
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
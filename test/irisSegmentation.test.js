@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { generateSyntheticEye } = require('../server/syntheticIris');
+const { segmentIris } = require('../server/irisSegmentation');
+
+// RGBA pixels of a synthetic eye at its own size, with the circles it was drawn with
+async function syntheticFrame(spec) {
+  const { buffer, groundTruth } = await generateSyntheticEye({ zones: [[0, '#5A8A4E']], seed: 3, ...spec });
+  const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, groundTruth };
+}
+
+function assertCircle(found, expected, label) {
+  assert.ok(Math.hypot(found.cx - expected.cx, found.cy - expected.cy) <= 2, `${label} center ${JSON.stringify(found)}`);
+  assert.ok(Math.abs(found.r - expected.r) <= 2, `${label} radius ${found.r}, drawn ${expected.r}`);
+}
+
+test('the pupil and limbus of a synthetic iris are found at the radii they were drawn with', async () => {
+  for (const spec of [
+    { width: 280, height: 280, irisRadius: 80 },
+    { width: 320, height: 240, irisRadius: 70, pupilRatio: 0.4 }
+  ]) {
+    const { data, width, height, groundTruth } = await syntheticFrame(spec);
+    const segmentation = segmentIris(data, width, height);
+    assertCircle(segmentation.pupil, groundTruth.pupil, 'pupil');
+    assertCircle(segmentation.iris, groundTruth.iris, 'iris');
+    assert.ok(Math.hypot(segmentation.seed.cx - groundTruth.pupil.cx, segmentation.seed.cy - groundTruth.pupil.cy) < groundTruth.pupil.r);
+
+    // The mask covers the annulus only: not the pupil, not the sclera
+    const { pupil, iris } = groundTruth;
+    const at = (x, y) => segmentation.mask[y * width + x];
+    assert.equal(at(pupil.cx, pupil.cy), 0);
+    assert.equal(at(Math.round(pupil.cx + (pupil.r + iris.r) / 2), pupil.cy), 1);
+    assert.equal(at(Math.min(width - 1, iris.cx + iris.r + 10), iris.cy), 0);
+    assert.ok(segmentation.maskCoverage > 0.9);
+  }
+});
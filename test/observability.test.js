@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { createApp } = require('../server/index');
+const { createLogger } = require('../server/logger');
+const { createMetrics } = require('../server/metrics');
+const { createScanStore, setScanStore } = require('../server/scanStore');
+const { generateSyntheticEye } = require('../server/syntheticIris');
+
+const lines = [];
+const metrics = createMetrics();
+let base;
+let server;
+let eye;
+
+before(async () => {
+  setScanStore(createScanStore({ driver: 'memory' }));
+  eye = (await generateSyntheticEye({ zones: [[0, '#4A75A9']], seed: 1 })).buffer;
+  const logger = createLogger({ level: 'info', write: line => lines.push(JSON.parse(line)) });
+  server = createApp({ rateLimit: false, logger, metrics, metricsToken: 'secret' }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function analyze(image, query = '', headers = {}) {
+  return fetch(`${base}/api/v1/analyze${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ image: image.toString('base64'), retention: 'none' })
+  });
+}
+
+test('requests are logged as JSON lines tagged with a request ID', async () => {
+  const res = await analyze(eye, '', { 'X-Request-Id': 'trace-123' });
+  assert.equal(res.headers.get('x-request-id'), 'trace-123');
+  const generated = await fetch(`${base}/api/v1/health`, { headers: { 'X-Request-Id': 'not a valid id!' } });
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+  const line = lines.find(l => l.requestId === 'trace-123');
+  assert.equal(line.level, 'info');
+  assert.equal(line.msg, 'request');
+  assert.equal(line.path, '/api/v1/analyze');
+  assert.equal(line.status, 200);
+  assert.equal(typeof line.durationMs, 'number');
+
+  await fetch(`${base}/api/v1/analyze`, { method: 'POST' });
+  assert.equal(lines.at(-1).errorCode, 'MISSING_IMAGE');
+});
+
+test('debug=true adds per-stage timings', async () => {
+  const res = await analyze(eye, '?debug=true');
+  const { debug } = await res.json();
+  assert.equal(debug.requestId, res.headers.get('x-request-id'));
+  for (const stage of ['decode', 'resize', 'pupilSearch', 'quality', 'whiteBalance', 'sampling', 'clustering', 'matching', 'irisMap']) {
+    assert.equal(typeof debug.timings[stage], 'number', stage);
+  }
+  assert.equal((await (await analyze(eye)).json()).debug, undefined);
+});
+
+test('/metrics counts requests, categories and quality rejections', async () => {
+  await analyze(await sharp(eye).blur(12).jpeg().toBuffer());
+  assert.equal((await fetch(`${base}/metrics`)).status, 401);
+  const res = await fetch(`${base}/metrics`, { headers: { Authorization: 'Bearer secret' } });
+  assert.match(res.headers.get('content-type'), /^text\/plain/);
+  const text = await res.text();
+
+  assert.match(text, /^http_requests_total\{method="POST",route="\/api\/v1\/analyze",status="200"\} [1-9]/m);
+  assert.match(text, /^http_request_duration_seconds_bucket\{method="POST",route="\/api\/v1\/analyze",le="\+Inf"\} [1-9]/m);
+  assert.equal(metrics.analyses.get({ category: 'blue' }), 3);
+  assert.match(text, /^eye_color_analyses_total\{category="blue"\} 3$/m);
+  assert.match(text, /^eye_color_quality_rejections_total\{reason="TOO_BLURRY"\} 1$/m);
+  assert.match(text, /^eye_color_analysis_stage_seconds_count\{stage="clustering"\} 3$/m);
+});
+
+test('health reports readiness checks', async () => {
+  const res = await fetch(`${base}/api/v1/health`);
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(body.status, 'ok');
+  assert.equal(body.checks.palette.ok, true);
+  assert.equal(body.checks.sharp.ok, true);
+});
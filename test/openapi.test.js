@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { createApp } = require('../server/index');
+const { createLogger } = require('../server/logger');
+const { openApiDocument } = require('../server/openapi');
+const { validateSchema, validateResponse, resolveRef } = require('../server/schemaValidator');
+const { createScanStore, setScanStore } = require('../server/scanStore');
+const { generateSyntheticEye } = require('../server/syntheticIris');
+
+let base;
+let server;
+let eye;
+
+before(async () => {
+  setScanStore(createScanStore({ driver: 'memory' }));
+  eye = (await generateSyntheticEye({ zones: [[0, '#4A75A9']], seed: 1 })).buffer;
+  server = createApp({ rateLimit: false, logger: createLogger({ level: 'silent' }) }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// Call the v1 API and check the response against the document; returns the parsed body
+async function call(method, template, { path = template, body, form, headers = {} } = {}) {
+  const init = { method: method.toUpperCase(), headers };
+  if (form) init.body = form;
+  if (body) {
+    init.headers = { 'Content-Type': 'application/json', ...headers };
+    init.body = JSON.stringify(body);
+  }
+  const res = await fetch(`${base}/api/v1${path}`, init);
+  const data = res.status === 204 ? undefined : await res.json();
+  assert.deepEqual(validateResponse(openApiDocument, method, template, res.status, data), [], `${method} ${path} ${res.status}`);
+  return { status: res.status, data };
+}
+
+test('the document is served and every $ref resolves', async () => {
+  const served = await (await fetch(`${base}/api/openapi.json`)).json();
+  assert.deepEqual(served, JSON.parse(JSON.stringify(openApiDocument)));
+  assert.equal(served.servers[0].url, '/api/v1');
+
+  const refs = JSON.stringify(openApiDocument).match(/"\$ref":"[^"]+"/g).map(r => r.slice(8, -1));
+  for (const ref of new Set(refs)) assert.ok(resolveRef(openApiDocument, ref), ref);
+});
+
+test('every documented operation is routed', async () => {
+  for (const [template, operations] of Object.entries(openApiDocument.paths)) {
+    const path = template.replace('{id}', 'missing').replace('{format}', 'json');
+    for (const method of Object.keys(operations)) {
+      const res = await fetch(`${base}/api/v1${path}`, { method: method.toUpperCase() });
+      const data = res.headers.get('content-type').includes('json') ? await res.json() : null;
+      assert.notEqual(data && data.error && data.error.code, 'NOT_FOUND', `${method} ${template}`);
+    }
+  }
+});
+
+test('analysis responses match their schemas; v1 drops the duplicate colorCode', async () => {
+  const image = 'data:image/jpeg;base64,' + eye.toString('base64');
+  const single = await call('post', '/analyze', { body: { image, sessionId: 'openapi-test' } });
+  const headers = { 'X-Owner-Token': single.data.ownerToken };
+  assert.equal(single.status, 200);
+  assert.deepEqual(Object.keys(single.data.generalColor), ['name', 'hex', 'description']);
+  assert.equal(single.data.colorCode, undefined);
+
+  const scan = await call('get', '/scans/{id}', { path: `/scans/${single.data.scanId}`, headers });
+  assert.equal(scan.data.result.colorCode, undefined);
+  await call('get', '/scans', { path: '/scans?sessionId=openapi-test', headers });
+  assert.equal((await call('get', '/scans')).data.error.code, 'OWNER_REQUIRED');
+
+  const burst = await call('post', '/analyze/burst', { body: { frames: [image, image], retention: 'none', debug: true } });
+  assert.equal(burst.data.burst.usedCount, 2);
+
+  const form = new FormData();
+  form.append('images', new Blob([eye], { type: 'image/jpeg' }), 'eye.jpg');
+  form.append('images', new Blob([await sharp(eye).blur(12).jpeg().toBuffer()], { type: 'image/jpeg' }), 'blurred.jpg');
+  const batch = await call('post', '/analyze/batch', { form });
+  assert.deepEqual(batch.data.results.map(r => r.status), ['ok', 'error']);
+
+  const blurred = await call('post', '/analyze', { body: { image: (await sharp(eye).blur(12).jpeg().toBuffer()).toString('base64') } });
+  assert.equal(blurred.status, 422);
+  assert.equal(blurred.data.error.code, 'IMAGE_QUALITY');
+
+  // The unversioned routes keep their original shape
+  const legacy = await (await fetch(`${base}/api/analyze`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ image, retention: 'none' })
+  })).json();
+  assert.equal(legacy.colorCode, legacy.generalColor.hex);
+  assert.notDeepEqual(validateSchema(legacy, { $ref: '#/components/schemas/AnalysisResult' }, openApiDocument), []);
+});
+
+test('palette, recommendation and health responses match their schemas', async () => {
+  const list = await call('get', '/palettes');
+  assert.ok(list.data.palettes.some(p => p.id === 'pantone'));
+  await call('get', '/palettes/{id}', { path: '/palettes/pantone' });
+  assert.equal((await call('get', '/palettes/{id}', { path: '/palettes/nope' })).status, 404);
+
+  const created = await call('post', '/palettes', { body: { id: 'openapi-test', name: 'Test', colors: [{ name: 'Sky', hex: '#87CEEB' }] } });
+  assert.equal(created.status, 201);
+  const replaced = await call('post', '/palettes', { body: { id: 'openapi-test', name: 'Other', colors: [{ name: 'Red', hex: '#FF0000' }] } });
+  assert.equal(replaced.status, 409);
+  assert.equal(replaced.data.error.code, 'PALETTE_EXISTS');
+  assert.equal((await call('get', '/palettes/{id}', { path: '/palettes/openapi-test' })).data.name, 'Test');
+  const invalid = await call('post', '/palettes', { body: { id: 'Bad Id', colors: [] } });
+  assert.equal(invalid.data.error.code, 'INVALID_PALETTE');
+
+  await call('get', '/recommendations', { path: '/recommendations?hex=%234c7ab4' });
+  await call('get', '/health');
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadBundledPalettes, getPalette } = require('../server/paletteRegistry');
+const { buildBrowserBundle } = require('../server/browserBundle');
+
+test('malformed palette files are reported and skipped instead of stopping startup', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'palettes-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{bad');
+  fs.writeFileSync(path.join(dir, 'no-colors.json'), JSON.stringify({ id: 'no-colors', name: 'No colors' }));
+  fs.writeFileSync(path.join(dir, 'good.json'), JSON.stringify({
+    id: 'test-directory-palette',
+    name: 'Test palette',
+    colors: [{ name: 'Slate', hex: '#708090' }]
+  }));
+  const skipped = [];
+
+  assert.deepEqual(loadBundledPalettes({ dir, onSkip: (file, errors) => skipped.push({ file, errors }) }), ['test-directory-palette']);
+  assert.equal(getPalette('test-directory-palette').colors[0].hex, '#708090');
+  assert.deepEqual(skipped.map(({ file }) => file), ['broken.json', 'no-colors.json']);
+  assert.match(skipped[0].errors[0], /JSON/);
+});
+
+test('the browser build leaves the Node logger out', () => {
+  assert.doesNotMatch(buildBrowserBundle(), /\/\/ logger\.js\n/);
+});
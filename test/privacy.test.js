@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const fs = require('node:fs');
+const path = require('node:path');
+const sharp = require('sharp');
+const { analyzeEyeColor, createIrisThumbnail } = require('../server/colorAnalyzer');
+const { analysisSize } = require('../server/pixelAnalyzer');
+const { buildBrowserBundle } = require('../server/browserBundle');
+const { listPalettes } = require('../server/paletteRegistry');
+const { resolveRetention, retentionPolicy, getServerRetention } = require('../server/privacy');
+const { generateSyntheticEye } = require('../server/syntheticIris');
+
+test('no-retention: server mode, retention and save all opt out', () => {
+  assert.equal(resolveRetention({}, 'history'), 'history');
+  assert.equal(resolveRetention({ retention: 'none' }, 'history'), 'none');
+  assert.equal(resolveRetention({ save: 'false' }, 'history'), 'none');
+  assert.equal(resolveRetention({ retention: 'history' }, 'none'), 'none');
+  assert.throws(() => resolveRetention({ retention: 'forever' }, 'history'), RangeError);
+  assert.throws(() => getServerRetention('forever'), RangeError);
+  assert.match(retentionPolicy({ stored: false }), /^image=discarded; result=discarded/);
+  assert.match(retentionPolicy({ stored: true, scanId: 'abc' }), /metadata=stripped; scan=abc$/);
+});
+
+test('stored thumbnails carry no EXIF or GPS metadata', async () => {
+  const { buffer } = await generateSyntheticEye({ zones: [[0, '#4A75A9']], seed: 1 });
+  const tagged = await sharp(buffer)
+    .withExif({ IFD0: { Make: 'PhoneCo' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '52/1 31/1 0/1' } })
+    .jpeg()
+    .toBuffer();
+  assert.ok((await sharp(tagged).metadata()).exif);
+  const result = await analyzeEyeColor(tagged);
+  const metadata = await sharp(await createIrisThumbnail(tagged, result)).metadata();
+  assert.equal(metadata.exif, undefined);
+  assert.equal(metadata.icc, undefined);
+});
+
+test('browser bundle analyzes canvas pixels without Node and matches the server', async () => {
+  // Only what a browser has: no require, process or Buffer
+  const sandbox = { self: {}, console };
+  vm.createContext(sandbox);
+  vm.runInContext(buildBrowserBundle(), sandbox);
+  const core = sandbox.self.EyeColorCore;
+
+  const bundled = listPalettes().filter(p => p.source === 'bundled').map(p => p.id).sort();
+  const files = fs.readdirSync(path.join(__dirname, '..', 'server', 'data', 'palettes')).filter(f => f.endsWith('.json'));
+  assert.deepEqual(Array.from(core.listPalettes(), p => p.id).sort(), bundled);
+  assert.equal(files.length, bundled.length);
+
+  const { buffer } = await generateSyntheticEye({ zones: [[0, '#4A75A9']], seed: 2 });
+  const { width, height } = await sharp(buffer).metadata();
+  const size = analysisSize(width, height);
+  const { data } = await sharp(buffer).resize(size.width, size.height).raw().ensureAlpha().toBuffer({ resolveWithObject: true });
+  const imageData = { data: new Uint8ClampedArray(data), width: size.width, height: size.height };
+  const onDevice = core.analyzeImageData(imageData, { scale: size.scale, seed: 1 });
+  const server = await analyzeEyeColor(buffer, { seed: 1 });
+  assert.deepEqual(JSON.parse(JSON.stringify(onDevice)), JSON.parse(JSON.stringify(server)));
+
+  const blank = { data: new Uint8ClampedArray(100 * 100 * 4), width: 100, height: 100 };
+  assert.throws(() => core.analyzeImageData(blank, {}), err => err instanceof core.ImageQualityError);
+});
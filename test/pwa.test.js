@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createApp } = require('../server/index');
+const { createLogger } = require('../server/logger');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+let base;
+let server;
+
+before(async () => {
+  server = createApp({ rateLimit: false, logger: createLogger({ level: 'silent' }) }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// The SHELL list of sw.js, read from the source (the worker only runs in a browser)
+function shellFiles() {
+  const source = fs.readFileSync(path.join(PUBLIC_DIR, 'sw.js'), 'utf8');
+  const list = source.match(/const SHELL = \[([^\]]*)\]/)[1];
+  return [...list.matchAll(/'([^']+)'/g)].map(match => match[1]);
+}
+
+test('every file the service worker precaches is served, so installation cannot fail on a 404', async () => {
+  const files = shellFiles();
+  assert.ok(files.includes('./') && files.some(file => file.startsWith('app.js')) && files.some(file => file.startsWith('offlineQueue.js')));
+  for (const file of files) {
+    const res = await fetch(new URL(file, `${base}/`));
+    assert.equal(res.status, 200, file);
+  }
+
+  // index.html asks for a versioned stylesheet and scripts; the cached ones must be the same versions
+  const html = fs.readFileSync(path.join(PUBLIC_DIR, 'index.html'), 'utf8');
+  const stylesheet = html.match(/href="(styles\.css\?v=\d+)"/)[1];
+  assert.ok(files.includes(stylesheet), `sw.js should precache ${stylesheet}`);
+  const scripts = [...html.matchAll(/<script src="([^"]+)"/g)].map(match => match[1]);
+  assert.ok(scripts.length > 0);
+  for (const script of scripts) {
+    assert.match(script, /\?v=\d+$/, `${script} should be versioned`);
+    assert.ok(files.includes(script), `sw.js should precache ${script}`);
+  }
+});
+
+test('the web app manifest is linked and names installable icons', async () => {
+  const html = await (await fetch(`${base}/`)).text();
+  assert.match(html, /<link rel="manifest" href="manifest\.webmanifest">/);
+
+  const res = await fetch(`${base}/manifest.webmanifest`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^application\/manifest\+json/);
+  const manifest = await res.json();
+  assert.equal(manifest.display, 'standalone');
+  assert.ok(manifest.name && manifest.short_name && manifest.start_url);
+  for (const size of ['192x192', '512x512']) {
+    assert.ok(manifest.icons.some(icon => icon.sizes === size && icon.type === 'image/png'), size);
+  }
+  for (const icon of manifest.icons) {
+    const iconRes = await fetch(new URL(icon.src, `${base}/`));
+    assert.equal(iconRes.status, 200, icon.src);
+    assert.equal(iconRes.headers.get('content-type').split(';')[0], icon.type);
+  }
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { colorHarmonies, loadRecommendationData, recommendColors, RecommendationDataError } = require('../server/recommendations');
+const { hexToLab, labToLch } = require('../server/colorSpace');
+
+const hueOf = hex => labToLch(hexToLab(hex)).h;
+const hueDistance = (a, b) => Math.min(Math.abs(a - b), 360 - Math.abs(a - b));
+
+test('harmonies rotate the iris hue in LCh', () => {
+  const base = hueOf('#4A75A9');
+  const { complementary, analogous, triadic } = colorHarmonies('#4A75A9');
+  assert.ok(hueDistance(hueOf(complementary[0].hex), (base + 180) % 360) < 3);
+  assert.ok(hueDistance(hueOf(analogous[1].hex), (base + 30) % 360) < 3);
+  assert.ok(hueDistance(hueOf(triadic[0].hex), (base + 240) % 360) < 3);
+});
+
+test('recommendations use the category of the color unless one is given', () => {
+  assert.equal(recommendColors('#4A75A9').category, 'blue');
+  const hazel = recommendColors('4A75A9', { category: 'Hazel' });
+  assert.equal(hazel.category, 'hazel');
+  assert.ok(hazel.sets.eyeshadow.length > 0);
+  assert.equal(recommendColors('#4A75A9').sets.eyeshadow[0].harmony, 'complementary');
+  assert.throws(() => recommendColors('blue'), RangeError);
+  assert.throws(() => recommendColors('#4A75A9', { category: 'pink' }), RangeError);
+});
+
+test('recommendations data must cover every category', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'recs-')), 'recommendations.json');
+  fs.writeFileSync(file, JSON.stringify({ categories: { blue: { summary: 'x', eyeshadow: [{ name: 'Copper', hex: 'nope' }] } } }));
+  assert.throws(() => loadRecommendationData(file), RecommendationDataError);
+  assert.doesNotThrow(() => loadRecommendationData());
+});
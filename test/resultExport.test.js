@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { collectSwatches, exportScan, toAse, toGpl } = require('../server/resultExport');
+
+const eye = {
+  generalColor: { name: 'Blue', hex: '#4a75aa' },
+  shadeBreakdown: [{ name: 'Storm Blue', hex: '#4a73b2', percentage: 98 }, { name: 'Mystic Blue', hex: '#4f6a89', percentage: 2 }],
+  pantoneMatches: [{ name: 'Steel Blue', hex: '#4682B4' }, { name: 'Storm Blue', hex: '#507B9C' }],
+  palette: { id: 'pantone', name: 'Pantone' }
+};
+const scan = { id: 'abc', createdAt: '2024-05-01T10:00:00.000Z', thumbnail: null, result: eye };
+
+test('swatches cover the general color, shades and matches once each', () => {
+  const swatches = collectSwatches(eye);
+  assert.deepEqual(swatches.map(s => s.name), ['Blue', 'Storm Blue (98%)', 'Mystic Blue (2%)', 'Steel Blue', 'Storm Blue']);
+  const both = collectSwatches({ mode: 'both', left: eye, right: eye });
+  assert.equal(both.length, 10);
+  assert.ok(both[5].name.startsWith('Right eye'));
+});
+
+test('GIMP palette lists RGB triplets with names', () => {
+  const lines = toGpl(collectSwatches(eye), 'Test').trim().split('\n');
+  assert.equal(lines[0], 'GIMP Palette');
+  assert.equal(lines[4], ' 74 117 170\tBlue');
+});
+
+test('ASE file has a header, group blocks and RGB color blocks', () => {
+  const ase = toAse(collectSwatches(eye));
+  assert.equal(ase.toString('ascii', 0, 4), 'ASEF');
+  // 3 groups, each with a start and an end block, plus 5 colors
+  assert.equal(ase.readUInt32BE(8), 11);
+  assert.equal(ase.readUInt16BE(12), 0xC001);
+});
+
+test('PDF report has a valid cross-reference table', async () => {
+  const { body, contentType } = await exportScan(scan, 'pdf');
+  const text = body.toString('latin1');
+  assert.equal(contentType, 'application/pdf');
+  assert.ok(text.startsWith('%PDF-1.4'));
+  const xref = Number(/startxref\n(\d+)/.exec(text)[1]);
+  assert.equal(text.slice(xref, xref + 4), 'xref');
+  const offsets = [...text.matchAll(/(\d{10}) 00000 n/g)].map(m => Number(m[1]));
+  offsets.forEach((offset, i) => assert.ok(text.startsWith(`${i + 1} 0 obj`, offset)));
+  await assert.rejects(exportScan(scan, 'docx'), RangeError);
+});
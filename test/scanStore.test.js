@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createScanRecord,
+  createOwnerToken,
+  hashOwnerToken,
+  ownsScan,
+  MemoryScanStore,
+  JsonFileScanStore
+} = require('../server/scanStore');
+
+const single = name => ({ generalColor: { name, hex: '#4A75A9' } });
+
+test('list pages newest first and filters by color and session', async () => {
+  const store = new MemoryScanStore();
+  const scans = ['Blue', 'Brown', 'Blue'].map((name, i) => ({
+    ...createScanRecord({ result: single(name), sessionId: i === 1 ? 'other' : 'me' }),
+    createdAt: new Date(Date.UTC(2024, 0, i + 1)).toISOString()
+  }));
+  for (const scan of scans) await store.save(scan);
+
+  const page = await store.list({ limit: 2 });
+  assert.equal(page.total, 3);
+  assert.deepEqual(page.scans.map(s => s.id), [scans[2].id, scans[1].id]);
+  assert.equal((await store.list({ color: 'blue' })).total, 2);
+  assert.equal((await store.list({ sessionId: 'other' })).scans[0].generalColor.name, 'Brown');
+  await assert.rejects(store.list({ limit: 0 }), RangeError);
+});
+
+test('JSON file store persists saves and deletes', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'scans-')), 'scans.json');
+  const scan = createScanRecord({ result: single('Green') });
+  await new JsonFileScanStore(file).save(scan);
+
+  const reopened = new JsonFileScanStore(file);
+  assert.equal((await reopened.get(scan.id)).result.generalColor.name, 'Green');
+  assert.equal(await reopened.delete(scan.id), true);
+  assert.equal(await new JsonFileScanStore(file).get(scan.id), null);
+});
+
+test('JSON file store retries a failed load and keeps the newest maxScans scans', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'scans-')), 'scans.json');
+  fs.writeFileSync(file, '{"scans": [');
+  const store = new JsonFileScanStore(file, { maxScans: 2 });
+  await assert.rejects(store.list(), SyntaxError);
+  fs.writeFileSync(file, JSON.stringify({ scans: [] }));
+  assert.equal((await store.list()).total, 0);
+
+  const scans = ['Blue', 'Brown', 'Green'].map(name => createScanRecord({ result: single(name) }));
+  for (const scan of scans) await store.save(scan);
+  const kept = JSON.parse(fs.readFileSync(file, 'utf8')).scans.map(scan => scan.id);
+  assert.deepEqual(kept, [scans[1].id, scans[2].id]);
+});
+
+test('createScanRecord rejects malformed owner ids', () => {
+  assert.throws(() => createScanRecord({ result: single('Blue'), userId: 'a b' }), RangeError);
+});
+
+test('scans belong to the hash of a server-issued owner token', async () => {
+  const token = createOwnerToken();
+  assert.notEqual(createOwnerToken(), token);
+  const ownerHash = hashOwnerToken(token);
+  assert.throws(() => hashOwnerToken('alice'), RangeError);
+
+  const store = new MemoryScanStore();
+  const mine = await store.save(createScanRecord({ result: single('Blue'), ownerHash }));
+  const unowned = await store.save(createScanRecord({ result: single('Blue'), userId: 'alice' }));
+  assert.equal(JSON.stringify(mine).includes(token), false);
+  assert.equal(ownsScan(mine, ownerHash), true);
+  assert.equal(ownsScan(unowned, null), false);
+  assert.deepEqual((await store.list({ ownerHash })).scans.map(s => s.id), [mine.id]);
+  assert.equal((await store.list({ ownerHash: hashOwnerToken(createOwnerToken()) })).total, 0);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateWhiteBalance, applyWhiteBalance } = require('../server/pixelAnalyzer');
+
+const WIDTH = 210;
+const HEIGHT = 140;
+// A known iris position, so the tests need no segmentation
+const SEGMENTATION = { pupil: { cx: 60, cy: 70, r: 10 }, iris: { cx: 60, cy: 70, r: 30 }, eyelids: null };
+// Warm light: red up, blue down, applied in linear light like a real illuminant
+const TINT = { r: 1.25, g: 1, b: 0.7 };
+const GRAY = 160;
+
+const toLinear = c => (c / 255 <= 0.04045 ? c / 255 / 12.92 : ((c / 255 + 0.055) / 1.055) ** 2.4);
+const toSrgb = l => Math.min(255, Math.round(255 * (l <= 0.0031308 ? l * 12.92 : 1.055 * l ** (1 / 2.4) - 0.055)));
+
+function tinted(gray) {
+  const l = toLinear(gray);
+  return [toSrgb(l * TINT.r), toSrgb(l * TINT.g), toSrgb(l * TINT.b)];
+}
+
+// RGBA frame from color(x, y) -> [r, g, b], seen under TINT
+function frame(color) {
+  const pixels = new Uint8Array(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const i = (y * WIDTH + x) * 4;
+      const [r, g, b] = color(x, y).map((c, k) => toSrgb(toLinear(c) * TINT['rgb'[k]]));
+      pixels[i] = r;
+      pixels[i + 1] = g;
+      pixels[i + 2] = b;
+      pixels[i + 3] = 255;
+    }
+  }
+  return pixels;
+}
+
+const inIris = (x, y) => Math.hypot(x - SEGMENTATION.iris.cx, y - SEGMENTATION.iris.cy) < SEGMENTATION.iris.r;
+
+// The tinted gray after correction: [r, g, b]
+function corrected(gains, gray = GRAY) {
+  const pixel = new Uint8Array([...tinted(gray), 255]);
+  return Array.from(applyWhiteBalance(pixel, gains).subarray(0, 3));
+}
+
+function assertNeutral(rgb, label) {
+  const spread = Math.max(...rgb) - Math.min(...rgb);
+  assert.ok(spread <= 3, `${label}: ${rgb.join(', ')} should be gray`);
+}
+
+test('gray-world neutralizes a tinted gray scene', () => {
+  const [r, g, b] = tinted(GRAY);
+  assert.ok(r - g > 10 && g - b > 10);
+  const pixels = frame((x, y) => ((x + y) % 2 ? [GRAY, GRAY, GRAY] : [90, 90, 90]));
+  const balance = estimateWhiteBalance(pixels, WIDTH, HEIGHT, SEGMENTATION, 'gray-world');
+  assert.equal(balance.mode, 'gray-world');
+  assert.ok(balance.gains.r < 1 && balance.gains.b > 1);
+  assertNeutral(corrected(balance.gains), 'gray-world');
+});
+
+test('the sclera neutralizes the white of the eye even when the iris would skew gray-world', () => {
+  const pixels = frame((x, y) => (inIris(x, y) ? [40, 90, 200] : [215, 215, 215]));
+  const balance = estimateWhiteBalance(pixels, WIDTH, HEIGHT, SEGMENTATION, 'auto');
+  assert.equal(balance.mode, 'white-patch');
+  assertNeutral(corrected(balance.gains, 215), 'sclera');
+
+  const grayWorld = estimateWhiteBalance(pixels, WIDTH, HEIGHT, SEGMENTATION, 'gray-world');
+  const [r, , b] = corrected(grayWorld.gains, 215);
+  assert.ok(r - b > 3, 'the blue iris pulls gray-world off neutral');
+});
+
+test('a reference card neutralizes the scene, and its known color also sets the brightness', () => {
+  const inCard = (x, y) => x >= 150 && x < 182 && y >= 20 && y < 52;
+  // A busy, saturated background that gray-world cannot read as neutral
+  const pixels = frame((x, y) => {
+    if (inCard(x, y)) return [GRAY, GRAY, GRAY];
+    if (inIris(x, y)) return [120, 80, 50];
+    return (x + y) % 2 ? [60, 140, 70] : [200, 170, 60];
+  });
+  const balance = estimateWhiteBalance(pixels, WIDTH, HEIGHT, SEGMENTATION, 'reference-card');
+  assert.equal(balance.mode, 'reference-card');
+  assert.ok(balance.referenceCard.x >= 148 && balance.referenceCard.y >= 18);
+  assertNeutral(corrected(balance.gains), 'reference card');
+
+  const known = estimateWhiteBalance(pixels, WIDTH, HEIGHT, SEGMENTATION, 'reference-card', '#B4B4B4');
+  for (const channel of corrected(known.gains)) assert.ok(Math.abs(channel - 0xB4) <= 3, `${channel}`);
+});